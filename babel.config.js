@@ -0,0 +1,8 @@
+// Jest runs through babel-jest; jsdom's parse5 dependency ships as ES modules
+// only, so compile module syntax to CommonJS for the test run.
+module.exports = {
+  plugins: [
+    '@babel/plugin-transform-export-namespace-from',
+    '@babel/plugin-transform-modules-commonjs'
+  ]
+};
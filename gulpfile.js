@@ -4,11 +4,36 @@
  * This build system supports Bootstrap 5 (no jQuery required) and provides:
  * - Vendor file management (Bootstrap 5)
  * - CSS minification for custom stylesheets
+ * - css/variables.css and js/tokens.js generated from design tokens
  * - Development server with live reload
+ * - Publication list generation from BibTeX
+ * - News lists generated from a shared data file
+ * - Shared head and navbar partials injected into every page
+ * - Atom and RSS feeds generated from the news items
+ * - Grant cards, profile links and schema.org JSON-LD generated from data files
+ * - Site search index built from the generated pages
+ * - Translated pages (vi/...) built from data/i18n
+ * - Local link and asset integrity check
+ * - External link audit
+ * - News date consistency check
  * 
  * Available tasks:
  * - gulp vendor: Copy Bootstrap 5 from node_modules to vendor directory
- * - gulp css: Minify custom CSS files
+ * - gulp tokens: Write css/variables.css and js/tokens.js from data/tokens.json
+ * - gulp css: Regenerate the token files, then minify custom CSS files
+ * - gulp publications: Render publications.html from data/publications.bib
+ * - gulp news: Render the news lists on index.html and news.html from data/news.json
+ * - gulp partials: Inject partials/head.html and partials/navbar.html into every page
+ * - gulp feeds: Write feed.xml (Atom) and rss.xml from data/news.json
+ * - gulp grants: Render the Grants section of awards.html from data/grants.json
+ * - gulp profile: Render the homepage profile links from data/site.json
+ * - gulp structured-data: Write schema.org JSON-LD into index, publications and awards pages
+ * - gulp search-index: Write search-index.json and the entry list on search.html
+ * - gulp translations: Write the translated pages (vi/*.html) from the English pages and data/i18n
+ * - gulp html: Run all page generation tasks
+ * - gulp check-links: Fail if any local href/src or #fragment on any page does not resolve
+ * - gulp check-news-dates: Fail if a news date's datetime and text disagree or a list is out of order
+ * - gulp check-external: Audit target="_blank" links (CHECK_STATUS=1 also requests each URL)
  * - gulp dev: Start development server with live reload
  * - gulp clean: Remove old vendor files (jQuery)
  */
@@ -19,6 +44,19 @@ const cleanCSS = require('gulp-clean-css');
 const rename = require('gulp-rename');
 const fs = require('fs');
 const path = require('path');
+const { buildPublications } = require('./tasks/publications');
+const { buildNews } = require('./tasks/news');
+const { buildPartials } = require('./tasks/partials');
+const { buildFeeds } = require('./tasks/feeds');
+const { buildGrants } = require('./tasks/grants');
+const { buildProfile } = require('./tasks/profile');
+const { buildStructuredData } = require('./tasks/structured-data');
+const { buildSearchIndex } = require('./tasks/search-index');
+const { buildTokens } = require('./tasks/tokens');
+const { buildTranslations } = require('./tasks/translate');
+const { checkLinksTask } = require('./tasks/link-check');
+const { checkExternalLinksTask } = require('./tasks/external-links');
+const { checkNewsDatesTask } = require('./tasks/news-dates');
 
 // Clean old vendor files (jQuery no longer needed with Bootstrap 5)
 function cleanVendor(cb) {
@@ -65,10 +103,17 @@ function browserSyncReload(cb) {
   cb();
 }
 
-// Watch files
+// Watch files; anything that changes an English page also rebuilds the
+// translated pages in vi/, as `gulp html` does
 function watchFiles() {
   gulp.watch('./css/*.css', gulp.series(browserSyncReload));
+  gulp.watch('./data/tokens.json', gulp.series(buildTokens));
   gulp.watch('./*.html', gulp.series(browserSyncReload));
+  gulp.watch('./data/publications.bib', gulp.series(buildPublications, buildStructuredData, buildSearchIndex, buildTranslations));
+  gulp.watch('./data/news.json', gulp.series(buildNews, buildFeeds, buildSearchIndex, buildTranslations));
+  gulp.watch('./data/grants.json', gulp.series(buildGrants, buildStructuredData, buildSearchIndex, buildTranslations));
+  gulp.watch(['./partials/*.html', './data/navigation.json', './data/site.json'], gulp.series(buildPartials, buildProfile, buildStructuredData, buildNews, buildFeeds, buildTranslations));
+  gulp.watch(['./data/i18n/*.json'], gulp.series(buildPartials, buildTranslations));
 }
 
 // Clean task
@@ -77,8 +122,60 @@ exports.clean = cleanVendor;
 // Vendor task (clean old files first, then copy new ones)
 exports.vendor = gulp.series(cleanVendor, vendor);
 
-// CSS minification task
-exports.css = minifyCSS;
+// Design tokens task
+exports.tokens = buildTokens;
+
+// CSS minification task (variables.css is generated first)
+exports.css = gulp.series(buildTokens, minifyCSS);
+
+// Publication list task
+exports.publications = buildPublications;
+
+// News lists task
+exports.news = buildNews;
+
+// Shared partials task
+exports.partials = buildPartials;
+
+// News feeds task
+exports.feeds = buildFeeds;
+
+// Grants section task
+exports.grants = buildGrants;
+
+// Homepage profile links task
+exports.profile = buildProfile;
+
+// Structured data task
+exports['structured-data'] = buildStructuredData;
+
+// Site search index task
+exports['search-index'] = buildSearchIndex;
+
+// Translated pages task
+exports.translations = buildTranslations;
+
+// All generated page content
+exports.html = gulp.series(
+  buildPublications,
+  buildNews,
+  buildFeeds,
+  buildGrants,
+  buildProfile,
+  buildStructuredData,
+  buildSearchIndex,
+  buildPartials,
+  buildTranslations
+);
+
+// Link integrity check
+exports['check-links'] = checkLinksTask;
+
+// News date check
+exports['check-news-dates'] = checkNewsDatesTask;
+
+// External link audit
+exports['check-external'] = checkExternalLinksTask;
 
 // Dev task
 exports.dev = gulp.series(browserSyncServe, watchFiles);
@@ -0,0 +1,145 @@
+/**
+ * Citation export formats
+ * Turns CSL-JSON items (embedded in publications.html by the build) into
+ * BibTeX, RIS and CSL-JSON text. Has no DOM access, so the same file runs in
+ * the browser (as window.CitationFormats) and under Node for the tests.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CitationFormats = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const FORMATS = {
+        bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex' },
+        ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems' },
+        csl: { label: 'CSL-JSON', extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json' }
+    };
+
+    // BibTeX entry type and venue field for each CSL item type
+    const BIBTEX_TYPES = {
+        'article-journal': { type: 'article', venue: 'journal' },
+        'paper-conference': { type: 'inproceedings', venue: 'booktitle' },
+        'report': { type: 'techreport', venue: 'institution' }
+    };
+
+    // RIS reference type for each CSL item type
+    const RIS_TYPES = {
+        'article-journal': 'JOUR',
+        'paper-conference': 'CONF',
+        'report': 'RPRT'
+    };
+
+    function year(item) {
+        const parts = item.issued && item.issued['date-parts'];
+        return parts && parts[0] && parts[0][0] ? String(parts[0][0]) : '';
+    }
+
+    // Reports keep their institution in `publisher`, everything else in `container-title`
+    function venue(item) {
+        return item['container-title'] || item.publisher || '';
+    }
+
+    function names(item) {
+        return (item.author || []).map(name => (
+            name.given ? `${name.family}, ${name.given}` : name.family
+        ));
+    }
+
+    function bibtexEscape(value) {
+        return String(value).replace(/([&%$#_{}])/g, '\\$1');
+    }
+
+    /**
+     * Format one CSL item as a BibTeX entry keyed by the item id.
+     * @param {Object} item
+     * @returns {string}
+     */
+    function toBibtex(item) {
+        const mapping = BIBTEX_TYPES[item.type] || { type: 'misc', venue: 'howpublished' };
+        const fields = [
+            ['author', names(item).join(' and ')],
+            ['title', item.title],
+            [mapping.venue, venue(item)],
+            ['year', year(item)],
+            ['volume', item.volume],
+            ['number', item.issue],
+            ['pages', item.page && String(item.page).replace(/\s*-+\s*/, '--')],
+            ['doi', item.DOI],
+            ['url', item.URL]
+        ].filter(([, value]) => value);
+
+        const width = Math.max(...fields.map(([name]) => name.length));
+        const lines = fields.map(([name, value]) => (
+            // URLs and DOIs are copied verbatim; only text fields need escaping
+            `  ${name.padEnd(width)} = {${name === 'url' || name === 'doi' ? value : bibtexEscape(value)}}`
+        ));
+
+        return `@${mapping.type}{${item.id},\n${lines.join(',\n')}\n}\n`;
+    }
+
+    /**
+     * Format one CSL item as an RIS record.
+     * @param {Object} item
+     * @returns {string}
+     */
+    function toRis(item) {
+        const lines = [['TY', RIS_TYPES[item.type] || 'GEN']];
+        const pages = item.page ? String(item.page).split(/\s*-+\s*/) : [];
+
+        names(item).forEach(name => lines.push(['AU', name]));
+        lines.push(['TI', item.title]);
+        if (venue(item)) lines.push([item.type === 'report' ? 'PB' : 'T2', venue(item)]);
+        if (year(item)) lines.push(['PY', year(item)]);
+        if (item.volume) lines.push(['VL', item.volume]);
+        if (item.issue) lines.push(['IS', item.issue]);
+        if (pages[0]) lines.push(['SP', pages[0]]);
+        if (pages[1]) lines.push(['EP', pages[1]]);
+        if (item.DOI) lines.push(['DO', item.DOI]);
+        if (item.URL) lines.push(['UR', item.URL]);
+        lines.push(['ID', item.id]);
+        lines.push(['ER', '']);
+
+        return lines.map(([tag, value]) => `${tag}  - ${value}`).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Format CSL items as a CSL-JSON document.
+     * @param {Object[]} items
+     * @returns {string}
+     */
+    function toCslJson(items) {
+        return `${JSON.stringify(items, null, 2)}\n`;
+    }
+
+    /**
+     * Format a list of CSL items in one of FORMATS.
+     * @param {Object[]} items
+     * @param {string} name - Key of FORMATS
+     * @returns {string}
+     */
+    function format(items, name) {
+        switch (name) {
+            case 'bibtex':
+                return items.map(toBibtex).join('\n');
+            case 'ris':
+                return items.map(toRis).join('\r\n');
+            case 'csl':
+                return toCslJson(items);
+            default:
+                throw new Error(`Unknown citation format "${name}"`);
+        }
+    }
+
+    return {
+        FORMATS,
+        toBibtex,
+        toRis,
+        toCslJson,
+        format
+    };
+});
@@ -0,0 +1,198 @@
+/**
+ * Citation styles
+ * Formats a CSL-JSON item (the metadata embedded in publications.html) as a
+ * plain-text reference in APA (7th ed.), IEEE or Chicago (17th ed.,
+ * bibliography) style. Has no DOM access, so the same file runs in the browser
+ * (as window.CitationStyles) and under Node for the tests.
+ *
+ * Author list rules:
+ * - APA: up to 20 authors are listed; from 21 on, the first 19, an ellipsis
+ *   and the last author
+ * - IEEE: up to 6 authors are listed; from 7 on, the first author and "et al."
+ * - Chicago: up to 10 authors are listed; from 11 on, the first 7 and "et al."
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CitationStyles = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const STYLES = {
+        apa: { label: 'APA' },
+        ieee: { label: 'IEEE' },
+        chicago: { label: 'Chicago' }
+    };
+
+    const APA_MAX_AUTHORS = 20;
+    const IEEE_MAX_AUTHORS = 6;
+    const CHICAGO_MAX_AUTHORS = 10;
+    const CHICAGO_LISTED_AUTHORS = 7;
+
+    function year(item) {
+        const parts = item.issued && item.issued['date-parts'];
+        return parts && parts[0] && parts[0][0] ? String(parts[0][0]) : 'n.d.';
+    }
+
+    function venue(item) {
+        return item['container-title'] || item.publisher || '';
+    }
+
+    function pageRange(item) {
+        return item.page ? String(item.page).replace(/\s*-+\s*/, '–') : '';
+    }
+
+    function link(item) {
+        if (item.DOI) return `https://doi.org/${item.DOI}`;
+        return item.URL || '';
+    }
+
+    // "Thao Minh" -> "T. M.", "Jean-Paul" -> "J.-P."
+    function initials(given) {
+        return given.split(/\s+/).filter(Boolean).map(part => (
+            part.split('-').map(piece => `${piece.charAt(0).toUpperCase()}.`).join('-')
+        )).join(' ');
+    }
+
+    function fullName(name) {
+        return name.given ? `${name.given} ${name.family}` : name.family;
+    }
+
+    // End a piece of text with a mark unless it already ends with punctuation
+    function terminate(text, mark) {
+        return /[.?!]$/.test(text) ? text : `${text}${mark}`;
+    }
+
+    // "A", "A and B", "A, B, and C" (with an optional separator before the last name)
+    function joinNames(names, conjunction, serialComma) {
+        if (names.length <= 1) return names.join('');
+        if (names.length === 2) return `${names[0]} ${conjunction} ${names[1]}`;
+        return `${names.slice(0, -1).join(', ')}${serialComma ? ',' : ''} ${conjunction} ${names[names.length - 1]}`;
+    }
+
+    function apaAuthors(authors) {
+        const names = authors.map(name => (name.given ? `${name.family}, ${initials(name.given)}` : name.family));
+
+        if (names.length > APA_MAX_AUTHORS) {
+            return `${names.slice(0, APA_MAX_AUTHORS - 1).join(', ')}, . . . ${names[names.length - 1]}`;
+        }
+        if (names.length === 2) return `${names[0]}, & ${names[1]}`;
+        return joinNames(names, '&', true);
+    }
+
+    function ieeeAuthors(authors) {
+        const names = authors.map(name => (name.given ? `${initials(name.given)} ${name.family}` : name.family));
+
+        if (names.length > IEEE_MAX_AUTHORS) return `${names[0]} et al.`;
+        return joinNames(names, 'and', true);
+    }
+
+    function chicagoAuthors(authors) {
+        const names = authors.map((name, index) => (
+            index === 0 && name.given ? `${name.family}, ${name.given}` : fullName(name)
+        ));
+
+        if (names.length > CHICAGO_MAX_AUTHORS) {
+            return `${names.slice(0, CHICAGO_LISTED_AUTHORS).join(', ')}, et al.`;
+        }
+        if (names.length === 2) return `${names[0]}, and ${names[1]}`;
+        return joinNames(names, 'and', true);
+    }
+
+    /**
+     * APA 7th edition reference.
+     * @param {Object} item - CSL-JSON item
+     * @returns {string}
+     */
+    function formatApa(item) {
+        const parts = [`${terminate(apaAuthors(item.author || []), '.')} (${year(item)}).`];
+        const source = [venue(item)];
+
+        parts.push(terminate(item.title, '.'));
+        if (item.type === 'article-journal') {
+            if (item.volume) source.push(`${item.volume}${item.issue ? `(${item.issue})` : ''}`);
+            if (pageRange(item)) source.push(pageRange(item));
+        } else if (pageRange(item)) {
+            source[0] = `${source[0]} (pp. ${pageRange(item)})`;
+        }
+        if (source[0]) {
+            parts.push(terminate(`${item.type === 'paper-conference' ? 'In ' : ''}${source.filter(Boolean).join(', ')}`, '.'));
+        }
+        if (link(item)) parts.push(link(item));
+
+        return parts.join(' ');
+    }
+
+    /**
+     * IEEE reference (without the leading [n] label).
+     * @param {Object} item - CSL-JSON item
+     * @returns {string}
+     */
+    function formatIeee(item) {
+        const details = [];
+
+        if (venue(item)) details.push(item.type === 'paper-conference' ? `in ${venue(item)}` : venue(item));
+        if (item.volume) details.push(`vol. ${item.volume}`);
+        if (item.issue) details.push(`no. ${item.issue}`);
+        if (pageRange(item)) details.push(`pp. ${pageRange(item)}`);
+        details.push(year(item));
+        if (item.DOI) details.push(`doi: ${item.DOI}`);
+
+        const reference = `${ieeeAuthors(item.author || [])}, "${item.title}," ${details.join(', ')}.`;
+
+        return !item.DOI && item.URL ? `${reference} [Online]. Available: ${item.URL}` : reference;
+    }
+
+    /**
+     * Chicago 17th edition bibliography entry.
+     * @param {Object} item - CSL-JSON item
+     * @returns {string}
+     */
+    function formatChicago(item) {
+        const parts = [terminate(chicagoAuthors(item.author || []), '.'), `"${terminate(item.title, '.')}"`];
+        const pages = pageRange(item);
+
+        if (item.type === 'article-journal') {
+            const volume = [item.volume, item.issue && `no. ${item.issue}`].filter(Boolean).join(', ');
+            parts.push(`${[venue(item), volume].filter(Boolean).join(' ')} (${year(item)})${pages ? `: ${pages}` : ''}.`);
+        } else if (item.type === 'paper-conference') {
+            parts.push(`In ${venue(item)}${pages ? `, ${pages}` : ''}. ${year(item)}.`);
+        } else {
+            parts.push(`${[venue(item), year(item)].filter(Boolean).join(', ')}${pages ? `, ${pages}` : ''}.`);
+        }
+        if (link(item)) parts.push(`${link(item)}.`);
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Format an item in one of STYLES.
+     * @param {Object} item - CSL-JSON item
+     * @param {string} style - Key of STYLES
+     * @returns {string}
+     */
+    function format(item, style) {
+        switch (style) {
+            case 'apa':
+                return formatApa(item);
+            case 'ieee':
+                return formatIeee(item);
+            case 'chicago':
+                return formatChicago(item);
+            default:
+                throw new Error(`Unknown citation style "${style}"`);
+        }
+    }
+
+    return {
+        STYLES,
+        initials,
+        formatApa,
+        formatIeee,
+        formatChicago,
+        format
+    };
+});
@@ -0,0 +1,58 @@
+/**
+ * "Back to top" button
+ * Appears once the page has scrolled past a set depth, tracked with a
+ * sentinel like the navbar scroll state. Options, as data attributes on
+ * .navbar or passed to initBackToTop():
+ * - data-back-to-top-depth / depth: px scrolled before the button shows (600)
+ * - data-back-to-top-label / label: accessible name ("Back to top")
+ */
+
+import { prefersReducedMotion } from './dom.js';
+
+const BACK_TO_TOP_DEPTH = 600;
+const BACK_TO_TOP_LABEL = 'Back to top';
+
+export function initBackToTop(options = {}) {
+    const navbar = document.querySelector('.navbar');
+    const depthAttribute = parseFloat(navbar && navbar.getAttribute('data-back-to-top-depth'));
+    const depth = options.depth ?? (Number.isFinite(depthAttribute) && depthAttribute >= 0 ? depthAttribute : BACK_TO_TOP_DEPTH);
+    const label = options.label || (navbar && navbar.getAttribute('data-back-to-top-label')) || BACK_TO_TOP_LABEL;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'back-to-top';
+    button.setAttribute('aria-label', label);
+    button.innerHTML = '<i class="fa fa-arrow-up" aria-hidden="true"></i>';
+    document.body.appendChild(button);
+
+    // Hidden buttons are also out of the tab order (visibility: hidden)
+    function setVisible(visible) {
+        button.classList.toggle('is-visible', visible);
+    }
+
+    // Back up, with focus on the navbar brand so Tab continues from the top
+    button.addEventListener('click', function() {
+        window.scrollTo({ top: 0, behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+
+        const top = document.querySelector('.navbar-brand');
+        if (top) top.focus({ preventScroll: true });
+    });
+
+    // Without IntersectionObserver, fall back to checking on scroll
+    if (!('IntersectionObserver' in window)) {
+        const check = () => setVisible(window.scrollY > depth);
+        check();
+        window.addEventListener('scroll', check, { passive: true });
+        return;
+    }
+
+    const sentinel = document.createElement('div');
+    sentinel.className = 'back-to-top-sentinel';
+    sentinel.setAttribute('aria-hidden', 'true');
+    sentinel.style.height = `${Math.max(depth, 1)}px`;
+    document.body.appendChild(sentinel);
+
+    new window.IntersectionObserver(entries => {
+        setVisible(!entries[entries.length - 1].isIntersecting);
+    }).observe(sentinel);
+}
@@ -0,0 +1,111 @@
+/**
+ * Permalinks on section headings, cards and publications
+ * Each gets an id and a "#" link (shown on hover/focus) that copies its
+ * absolute URL. Missing ids are slugs of the element's own title, so they
+ * only change when the title does; ids already in the markup are kept.
+ */
+
+const ANCHOR_TARGETS = 'h2.section-heading, .card-custom, .publication-entry';
+const ANCHOR_SLUG_WORDS = 8;
+
+// How long the copied state stays on a "#" link, in ms
+const ANCHOR_FEEDBACK_DURATION = 2000;
+
+// Link label ({title} is the target's title) and copy announcements; pages
+// set them with data attributes on .navbar so the translated pages get theirs
+const ANCHOR_STRINGS = {
+    label: ['data-anchor-label', 'Copy link to {title}'],
+    copied: ['data-anchor-copied', 'Link copied to the clipboard.'],
+    unavailable: ['data-anchor-unavailable', 'Copying is not available in this browser. The link is in the address bar.']
+};
+
+export function slugify(text) {
+    return text.normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/gi, 'd')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .split('-')
+        .slice(0, ANCHOR_SLUG_WORDS)
+        .join('-');
+}
+
+// Element holding the title: the heading itself, or the card's heading,
+// falling back to its label (e.g. "Ph.D. Students")
+function getAnchorTitle(target) {
+    if (target.matches('h2')) return target;
+    return target.querySelector('h3, .publication-title') || target.querySelector('.text-primary');
+}
+
+function getAnchorStrings() {
+    const navbar = document.querySelector('.navbar');
+    const strings = {};
+
+    Object.keys(ANCHOR_STRINGS).forEach(key => {
+        const [attribute, fallback] = ANCHOR_STRINGS[key];
+        strings[key] = (navbar && navbar.getAttribute(attribute)) || fallback;
+    });
+    return strings;
+}
+
+function copyText(text) {
+    if (!window.navigator.clipboard || !window.navigator.clipboard.writeText) {
+        return Promise.reject(new Error('Clipboard API not available'));
+    }
+    return window.navigator.clipboard.writeText(text);
+}
+
+export function initHeadingAnchors() {
+    const targets = Array.from(document.querySelectorAll(ANCHOR_TARGETS));
+    if (targets.length === 0) return;
+
+    const strings = getAnchorStrings();
+    const usedIds = new Set(Array.from(document.querySelectorAll('[id]'), element => element.id));
+
+    // Screen reader announcements for copy results
+    const status = document.createElement('p');
+    status.className = 'visually-hidden';
+    status.setAttribute('aria-live', 'polite');
+    document.body.appendChild(status);
+
+    targets.forEach(target => {
+        const title = getAnchorTitle(target);
+        const text = (title || target).textContent.replace(/\s+/g, ' ').trim();
+
+        if (!target.id) {
+            const slug = slugify(text) || 'section';
+            let id = slug;
+            for (let n = 2; usedIds.has(id); n++) id = `${slug}-${n}`;
+            target.id = id;
+            usedIds.add(id);
+        }
+
+        const link = document.createElement('a');
+        link.className = 'heading-anchor';
+        link.href = `#${target.id}`;
+        link.setAttribute('aria-label', strings.label.replace('{title}', () => text));
+        (title || target).appendChild(link);
+        target.classList.add('has-anchor');
+    });
+
+    document.addEventListener('click', function(e) {
+        const link = e.target.closest && e.target.closest('.heading-anchor');
+        if (!link) return;
+
+        e.preventDefault();
+        const url = new URL(link.getAttribute('href'), window.location.href).href;
+
+        copyText(url).then(() => {
+            link.classList.add('is-copied');
+            status.textContent = strings.copied;
+            window.setTimeout(() => link.classList.remove('is-copied'), ANCHOR_FEEDBACK_DURATION);
+        }, () => {
+            // Leave the link in the address bar to copy from there
+            if (window.history && window.history.replaceState) {
+                window.history.replaceState(window.history.state, '', link.getAttribute('href'));
+            }
+            status.textContent = strings.unavailable;
+        });
+    });
+}
@@ -0,0 +1,60 @@
+/**
+ * Site navigation
+ * initNavigation() sets up every navigation feature on the current page:
+ * navbar scroll state, reading progress bar, "Back to top" button, table of
+ * contents, permalinks, smooth scrolling for in-page links, the mobile menu
+ * and the theme toggle. The modules can also be imported one by one.
+ */
+
+import { initScrollState } from './scroll-state.js';
+import { initReadingProgress } from './reading-progress.js';
+import { initBackToTop } from './back-to-top.js';
+import { getScrollOffset, scrollToElement, initSmoothScroll } from './smooth-scroll.js';
+import { initMobileMenu } from './mobile-menu.js';
+import { initTableOfContents } from './table-of-contents.js';
+import { initHeadingAnchors } from './heading-anchors.js';
+import { initThemeToggle } from './theme.js';
+
+export { initScrollState, initReadingProgress, initBackToTop, getScrollOffset, scrollToElement, initSmoothScroll, initMobileMenu, initTableOfContents, initHeadingAnchors, initThemeToggle };
+
+// In the order they are set up: the table of contents and permalinks add
+// links the others work with, and permalink clicks copy rather than scroll
+const FEATURES = {
+    scrollState: initScrollState,
+    readingProgress: initReadingProgress,
+    backToTop: initBackToTop,
+    tableOfContents: initTableOfContents,
+    headingAnchors: initHeadingAnchors,
+    smoothScroll: initSmoothScroll,
+    mobileMenu: initMobileMenu,
+    theme: initThemeToggle
+};
+
+// Options: one key per feature, `false` to leave it out or an object of
+// options for it (scrollState and backToTop take some); `exposeGlobal: true` also
+// publishes the scroll helpers as window.SiteNav for plain scripts.
+// Features are set up once the DOM is ready; the scroll helpers are returned.
+//
+// window.SiteNav is deliberately minimal: the plain scripts only need to
+// scroll below the fixed navbar, and to know that navigation.js is there and
+// handles in-page links and deep links itself. Everything else stays behind
+// the module imports. Module scripts run after parsing but before
+// DOMContentLoaded, so plain scripts should look for SiteNav from their
+// DOMContentLoaded handler (or later), never while they load.
+export function initNavigation(options = {}) {
+    const api = { getScrollOffset, scrollToElement };
+    const enabled = Object.keys(FEATURES).filter(name => options[name] !== false);
+
+    if (options.exposeGlobal) window.SiteNav = api;
+
+    function init() {
+        enabled.forEach(name => FEATURES[name](typeof options[name] === 'object' ? options[name] : {}));
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+    return api;
+}
@@ -0,0 +1,127 @@
+/**
+ * Collapsed navbar menu on small screens
+ * Opening it moves focus to the first item and keeps Tab within the menu and
+ * its toggler; Escape, a click outside, the toggler or a nav link close it,
+ * the first two returning focus to the toggler. Bootstrap's Collapse does the
+ * showing and hiding when it is loaded; without it the `show` class is
+ * toggled here so the menu still works.
+ */
+
+import { FOCUSABLE_SELECTOR } from './dom.js';
+
+const NAVBAR_EXPAND_QUERY = '(min-width: 992px)';
+
+function getBootstrapCollapse(element) {
+    const Collapse = window.bootstrap && window.bootstrap.Collapse;
+    return Collapse ? Collapse.getOrCreateInstance(element, { toggle: false }) : null;
+}
+
+export function initMobileMenu() {
+    const toggler = document.querySelector('.navbar-toggler');
+    const menu = toggler && document.getElementById(toggler.getAttribute('aria-controls'));
+
+    if (!menu) return;
+
+    const navbar = toggler.closest('.navbar') || menu.parentElement;
+    let returnFocus = false;
+
+    const isOpen = () => menu.classList.contains('show');
+    const isExpanded = () => Boolean(window.matchMedia && window.matchMedia(NAVBAR_EXPAND_QUERY).matches);
+
+    // The toggler first, then whatever can be focused in the menu
+    function getFocusable() {
+        const items = Array.from(menu.querySelectorAll(FOCUSABLE_SELECTOR)).filter(element => !element.closest('[hidden]'));
+        return [toggler].concat(items);
+    }
+
+    function onShown() {
+        toggler.setAttribute('aria-expanded', 'true');
+        const first = getFocusable()[1];
+        if (first) first.focus();
+    }
+
+    // Focus goes back to the toggler unless the reader moved it elsewhere
+    function onHidden() {
+        const active = document.activeElement;
+        toggler.setAttribute('aria-expanded', 'false');
+        if (returnFocus && (!active || active === document.body || menu.contains(active))) toggler.focus();
+        returnFocus = false;
+    }
+
+    function open() {
+        const collapse = getBootstrapCollapse(menu);
+        if (collapse) {
+            collapse.show();
+        } else {
+            menu.classList.add('show');
+            onShown();
+        }
+    }
+
+    function close(restoreFocus) {
+        if (!isOpen()) return;
+
+        const collapse = getBootstrapCollapse(menu);
+        returnFocus = restoreFocus;
+        if (collapse) {
+            collapse.hide();
+        } else {
+            menu.classList.remove('show');
+            onHidden();
+        }
+    }
+
+    // Bootstrap reports the end of its transitions
+    menu.addEventListener('shown.bs.collapse', onShown);
+    menu.addEventListener('hidden.bs.collapse', onHidden);
+
+    // Bootstrap handles data-bs-toggle itself when it is loaded
+    toggler.addEventListener('click', function(e) {
+        if (getBootstrapCollapse(menu)) return;
+        e.preventDefault();
+        if (isOpen()) {
+            close(false);
+        } else {
+            open();
+        }
+    });
+
+    menu.querySelectorAll('.nav-link').forEach(link => {
+        link.addEventListener('click', function() {
+            if (!isExpanded()) close(false);
+        });
+    });
+
+    document.addEventListener('keydown', function(e) {
+        if (!isOpen() || isExpanded()) return;
+
+        // Escape already handled inside the menu (search suggestions)
+        if (e.key === 'Escape' && !e.defaultPrevented) {
+            close(true);
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = getFocusable();
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (!focusable.includes(active)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && active === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+
+    document.addEventListener('click', function(e) {
+        if (isOpen() && !isExpanded() && !navbar.contains(e.target)) close(true);
+    });
+
+    toggler.setAttribute('aria-expanded', String(isOpen()));
+}
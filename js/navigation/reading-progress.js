@@ -0,0 +1,43 @@
+/**
+ * Reading progress bar
+ * A thin bar under the fixed navbar fills up as the page is scrolled. It is
+ * decorative (aria-hidden) and left out on pages too short to scroll.
+ */
+
+export function initReadingProgress() {
+    const navbar = document.querySelector('.navbar');
+
+    if (!navbar) return;
+
+    const bar = document.createElement('div');
+    const nextFrame = window.requestAnimationFrame ? window.requestAnimationFrame.bind(window) : callback => window.setTimeout(callback, 16);
+    let pending = false;
+
+    bar.className = 'reading-progress';
+    bar.setAttribute('aria-hidden', 'true');
+    navbar.appendChild(bar);
+
+    function update() {
+        pending = false;
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+
+        bar.hidden = scrollable <= 0;
+        if (bar.hidden) return;
+
+        const progress = Math.min(Math.max(window.scrollY / scrollable, 0), 1);
+        bar.style.transform = `scaleX(${progress})`;
+    }
+
+    // At most one update per frame
+    function schedule() {
+        if (pending) return;
+        pending = true;
+        nextFrame(update);
+    }
+
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    // Images and fonts change the page height
+    window.addEventListener('load', schedule);
+}
@@ -0,0 +1,106 @@
+/**
+ * Navbar scroll state
+ * An invisible sentinel covers the top of the page; once it has scrolled out
+ * of view the navbar gets `navbar-scrolled`, so nothing runs on ordinary
+ * scroll events. Options, as data attributes on .navbar or passed to
+ * initScrollState():
+ * - data-scroll-threshold / threshold: px scrolled before `navbar-scrolled` (50)
+ * - data-hide-on-scroll / hideOnScroll: hide the navbar while scrolling down
+ *   and bring it back on the way up, once past the threshold; off with
+ *   reduced motion
+ * - data-hide-tolerance / hideTolerance: px scrolled in one direction before
+ *   the navbar hides or comes back (8)
+ */
+
+const NAVBAR_SCROLL_THRESHOLD = 50;
+const NAVBAR_HIDE_TOLERANCE = 8;
+
+function readPixels(element, name, fallback) {
+    const value = parseFloat(element.getAttribute(name));
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Options passed in win over the data attributes on .navbar
+export function initScrollState(options = {}) {
+    const navbar = document.querySelector('.navbar');
+
+    if (!navbar) return;
+
+    const threshold = options.threshold ?? readPixels(navbar, 'data-scroll-threshold', NAVBAR_SCROLL_THRESHOLD);
+    const tolerance = options.hideTolerance ?? readPixels(navbar, 'data-hide-tolerance', NAVBAR_HIDE_TOLERANCE);
+    const hideOnScroll = options.hideOnScroll ?? navbar.hasAttribute('data-hide-on-scroll');
+    const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    const nextFrame = window.requestAnimationFrame ? window.requestAnimationFrame.bind(window) : callback => window.setTimeout(callback, 16);
+    let scrolled = false;
+    let listening = false;
+    let pending = false;
+    let lastY = 0;
+
+    function reveal() {
+        navbar.classList.remove('navbar-hidden');
+    }
+
+    // Stays visible while it has focus or the mobile menu is open
+    function updateDirection() {
+        pending = false;
+        const y = window.scrollY;
+        if (Math.abs(y - lastY) < tolerance) return;
+
+        const inUse = navbar.contains(document.activeElement) || navbar.querySelector('.navbar-collapse.show');
+        navbar.classList.toggle('navbar-hidden', y > lastY && !inUse);
+        lastY = y;
+    }
+
+    function onScroll() {
+        if (pending) return;
+        pending = true;
+        nextFrame(updateDirection);
+    }
+
+    // Scroll direction only matters past the threshold, in hide mode
+    function updateHideListener() {
+        const listen = scrolled && hideOnScroll && !(reducedMotion && reducedMotion.matches);
+        if (listen === listening) return;
+
+        listening = listen;
+        lastY = window.scrollY;
+        if (listen) {
+            window.addEventListener('scroll', onScroll, { passive: true });
+        } else {
+            window.removeEventListener('scroll', onScroll);
+            reveal();
+        }
+    }
+
+    function setScrolled(value) {
+        scrolled = value;
+        navbar.classList.toggle('navbar-scrolled', value);
+        updateHideListener();
+    }
+
+    if (hideOnScroll) {
+        navbar.addEventListener('focusin', reveal);
+        if (reducedMotion && reducedMotion.addEventListener) reducedMotion.addEventListener('change', updateHideListener);
+    }
+
+    // Without IntersectionObserver, fall back to checking on scroll
+    if (!('IntersectionObserver' in window)) {
+        const check = () => {
+            if ((window.scrollY > threshold) !== scrolled) setScrolled(!scrolled);
+        };
+        check();
+        window.addEventListener('scroll', check, { passive: true });
+        return;
+    }
+
+    const sentinel = document.createElement('div');
+    sentinel.className = 'navbar-sentinel';
+    sentinel.setAttribute('aria-hidden', 'true');
+    sentinel.style.height = `${Math.max(threshold, 1)}px`;
+    document.body.appendChild(sentinel);
+
+    new window.IntersectionObserver(entries => {
+        const entry = entries[entries.length - 1];
+        if (!entry.isIntersecting !== scrolled) setScrolled(!entry.isIntersecting);
+    }).observe(sentinel);
+}
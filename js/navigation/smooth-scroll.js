@@ -0,0 +1,96 @@
+/**
+ * Smooth scrolling for in-page links
+ * Scrolls targets clear of the fixed navbar (and sticky elements marked
+ * data-scroll-offset), focuses them and records them in the session history.
+ * getScrollOffset() and scrollToElement() are also used by page scripts
+ * through window.SiteNav.
+ */
+
+import { FOCUSABLE_SELECTOR, prefersReducedMotion } from './dom.js';
+
+// Space taken at the top of the viewport by the fixed navbar and any
+// sticky element marked with data-scroll-offset (e.g. the news year index)
+export function getScrollOffset() {
+    const navbarHeight = document.querySelector('.navbar')?.offsetHeight || 0;
+    const sticky = Array.from(document.querySelectorAll('[data-scroll-offset]'))
+        .reduce((total, element) => total + element.offsetHeight, 0);
+
+    return navbarHeight + sticky;
+}
+
+// Scroll so that an element starts just below the fixed navbar; smooth
+// scrolling becomes a jump for readers who prefer reduced motion
+export function scrollToElement(targetElement, behavior = 'smooth') {
+    window.scrollTo({
+        top: targetElement.offsetTop - getScrollOffset(),
+        behavior: behavior === 'smooth' && prefersReducedMotion() ? 'auto' : behavior
+    });
+}
+
+// Element named by a URL fragment ("#grants-heading"), if the page has it
+export function getHashTarget(hash) {
+    if (!hash || hash === '#') return null;
+
+    let id = hash.slice(1);
+    try {
+        id = decodeURIComponent(id);
+    } catch (e) {
+        // Malformed escapes: look the fragment up as written
+    }
+    return document.getElementById(id);
+}
+
+// Move focus to a target so screen readers and the next Tab continue
+// from there; elements that cannot take focus get tabindex="-1"
+export function focusTarget(target) {
+    if (!target.matches(FOCUSABLE_SELECTOR) && !target.hasAttribute('tabindex')) {
+        target.setAttribute('tabindex', '-1');
+    }
+    target.focus({ preventScroll: true });
+}
+
+// In-page links ("#id") scroll below the navbar, focus their target and
+// add a history entry, so the URL can be shared and Back returns to where
+// the reader was. Links whose click was already handled are left alone.
+// Deep links (and hash edits) get the same navbar offset.
+export function initSmoothScroll() {
+    document.addEventListener('click', function(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest && e.target.closest('a[href^="#"]');
+        const hash = link && link.getAttribute('href');
+        const target = getHashTarget(hash);
+
+        if (!target) return;
+
+        e.preventDefault();
+        if (window.location.hash !== hash) {
+            // Remember where Back should return to
+            window.history.replaceState(Object.assign({}, window.history.state, { scrollY: window.scrollY }), '');
+            window.history.pushState(null, '', hash);
+        }
+        scrollToElement(target);
+        focusTarget(target);
+    });
+
+    window.addEventListener('popstate', function(e) {
+        if (e.state && typeof e.state.scrollY === 'number') {
+            window.scrollTo({ top: e.state.scrollY, behavior: 'auto' });
+            return;
+        }
+
+        const target = getHashTarget(window.location.hash);
+        if (target) scrollToElement(target, 'auto');
+    });
+
+    // The browser jumped to the target without the offset; images and
+    // fonts can still move it, so correct the position once loaded
+    const target = getHashTarget(window.location.hash);
+    if (!target) return;
+
+    if (document.readyState === 'complete') {
+        scrollToElement(target, 'auto');
+    } else {
+        window.addEventListener('load', () => scrollToElement(target, 'auto'), { once: true });
+    }
+}
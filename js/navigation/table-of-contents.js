@@ -0,0 +1,127 @@
+/**
+ * Table of contents for long pages that opt in with <main data-toc="label">
+ * One link per top-level section[aria-labelledby], shown as a sticky sidebar
+ * on wide screens and as a dropdown (<details>) below the navbar on small
+ * ones. The section in view is highlighted.
+ */
+
+import { getScrollOffset } from './smooth-scroll.js';
+
+const TOC_SIDEBAR_QUERY = '(min-width: 992px)';
+
+// Labelled sections of the page, not counting nested ones (news years)
+function getTocSections(main) {
+    return Array.from(main.querySelectorAll('section[aria-labelledby]')).filter(section => (
+        !section.parentElement.closest('section[aria-labelledby]') &&
+        document.getElementById(section.getAttribute('aria-labelledby'))
+    ));
+}
+
+export function initTableOfContents() {
+    const main = document.querySelector('main[data-toc]');
+    if (!main) return;
+
+    const sections = getTocSections(main);
+    if (sections.length < 2) return;
+
+    const nav = document.createElement('nav');
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    const current = document.createElement('span');
+    const list = document.createElement('ol');
+    const label = main.getAttribute('data-toc') || 'On this page';
+    const links = new Map();
+
+    nav.className = 'page-toc';
+    nav.setAttribute('aria-label', label);
+    details.className = 'page-toc-details';
+    summary.className = 'page-toc-summary';
+    summary.textContent = label;
+    current.className = 'page-toc-current';
+    summary.appendChild(current);
+    list.className = 'page-toc-list list-unstyled';
+
+    sections.forEach(section => {
+        const heading = document.getElementById(section.getAttribute('aria-labelledby'));
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+
+        link.className = 'page-toc-link';
+        link.href = `#${heading.id}`;
+        link.textContent = heading.textContent.replace(/\s+/g, ' ').trim();
+        item.appendChild(link);
+        list.appendChild(item);
+        links.set(section, link);
+    });
+
+    details.appendChild(summary);
+    details.appendChild(list);
+    nav.appendChild(details);
+    main.insertBefore(nav, main.firstChild);
+    main.classList.add('has-toc');
+
+    const sidebar = window.matchMedia ? window.matchMedia(TOC_SIDEBAR_QUERY) : null;
+    const isSidebar = () => !sidebar || sidebar.matches;
+
+    function setActive(section) {
+        links.forEach((link, linkSection) => {
+            if (linkSection === section) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+        current.textContent = section ? links.get(section).textContent : '';
+    }
+
+    // The dropdown counts towards the scroll offset while it is sticky
+    // below the navbar; the sidebar sits beside the content instead
+    function updateLayout() {
+        details.open = isSidebar();
+        if (isSidebar()) {
+            nav.removeAttribute('data-scroll-offset');
+        } else {
+            nav.setAttribute('data-scroll-offset', '');
+        }
+    }
+
+    // The sidebar stays open; only the dropdown toggles
+    summary.addEventListener('click', function(e) {
+        if (isSidebar()) e.preventDefault();
+    });
+
+    // Close the dropdown before the smooth scroll measures the offset
+    list.addEventListener('click', function(e) {
+        if (e.target.closest('a') && !isSidebar()) details.open = false;
+    });
+
+    updateLayout();
+    if (sidebar && sidebar.addEventListener) sidebar.addEventListener('change', updateLayout);
+
+    if (!('IntersectionObserver' in window)) return;
+
+    // A section is current while it crosses the band from just below the
+    // fixed navbar to 40% down the viewport; the topmost such section wins
+    const visible = new Set();
+    let observer = null;
+
+    function observe() {
+        if (observer) observer.disconnect();
+        visible.clear();
+        observer = new window.IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    visible.add(entry.target);
+                } else {
+                    visible.delete(entry.target);
+                }
+            });
+            const topmost = sections.find(section => visible.has(section));
+            if (topmost) setActive(topmost);
+        }, { rootMargin: `-${Math.round(getScrollOffset())}px 0px -60% 0px` });
+        sections.forEach(section => observer.observe(section));
+    }
+
+    observe();
+    if (sidebar && sidebar.addEventListener) sidebar.addEventListener('change', observe);
+}
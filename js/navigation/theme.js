@@ -0,0 +1,56 @@
+/**
+ * Light/dark theme
+ * The theme picked with the navbar toggle is kept across visits; without one
+ * the system preference applies (see the dark palette in css/variables.css).
+ * The stored choice is applied by an inline script in partials/head.html,
+ * before the stylesheets load.
+ */
+
+const THEME_STORAGE_KEY = 'theme';
+
+function storeTheme(theme) {
+    try {
+        window.localStorage.setItem(THEME_STORAGE_KEY, theme);
+    } catch (e) {
+        // The choice then only lasts for this page
+    }
+}
+
+function getSystemTheme() {
+    return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+function getCurrentTheme() {
+    return document.documentElement.getAttribute('data-theme') || getSystemTheme();
+}
+
+function applyTheme(theme) {
+    document.documentElement.setAttribute('data-theme', theme);
+}
+
+// Theme toggle button in the navbar (hidden until this script runs)
+export function initThemeToggle() {
+    const toggle = document.querySelector('.theme-toggle');
+
+    if (!toggle) return;
+
+    function updateToggle() {
+        toggle.setAttribute('aria-pressed', String(getCurrentTheme() === 'dark'));
+    }
+
+    toggle.addEventListener('click', function() {
+        const theme = getCurrentTheme() === 'dark' ? 'light' : 'dark';
+        applyTheme(theme);
+        storeTheme(theme);
+        updateToggle();
+    });
+
+    // Follow system changes until the reader makes a choice
+    if (window.matchMedia) {
+        const query = window.matchMedia('(prefers-color-scheme: dark)');
+        if (query.addEventListener) query.addEventListener('change', updateToggle);
+    }
+
+    toggle.hidden = false;
+    updateToggle();
+}
@@ -0,0 +1,95 @@
+/**
+ * Collapsible years for the news archive (news.html)
+ * The build groups the archive into one section per year (id "y2021") with a
+ * year index above them. This script turns each year heading into a toggle,
+ * collapses every year except the newest, and opens the year named in the
+ * URL hash (news.html#y2021); navigation.js scrolls it clear of the fixed
+ * navbar. Without JavaScript every year is shown.
+ */
+
+(function() {
+    'use strict';
+
+    // Section for a "#y2021" hash, if the page has that year
+    function sectionForHash(hash) {
+        if (!/^#y\d{4}$/.test(hash || '')) return null;
+        const section = document.getElementById(hash.slice(1));
+        return section && section.classList.contains('news-year') ? section : null;
+    }
+
+    function setExpanded(section, expanded) {
+        const toggle = section.querySelector('.news-year-toggle');
+        const list = section.querySelector('.news-list');
+
+        toggle.setAttribute('aria-expanded', String(expanded));
+        list.hidden = !expanded;
+        section.classList.toggle('is-collapsed', !expanded);
+    }
+
+    // navigation.js scrolls to in-page targets below the navbar; without it
+    // the year is brought into view here
+    function scrollIntoViewWithoutNavigation(section) {
+        if (!window.SiteNav) section.scrollIntoView();
+    }
+
+    // Wrap the heading's contents in a disclosure button
+    function addToggle(section) {
+        const heading = section.querySelector('.news-year-heading');
+        const list = section.querySelector('.news-list');
+        const toggle = document.createElement('button');
+
+        toggle.type = 'button';
+        toggle.className = 'news-year-toggle';
+        toggle.setAttribute('aria-controls', list.id);
+        while (heading.firstChild) {
+            toggle.appendChild(heading.firstChild);
+        }
+        heading.appendChild(toggle);
+
+        toggle.addEventListener('click', () => {
+            setExpanded(section, toggle.getAttribute('aria-expanded') !== 'true');
+        });
+    }
+
+    function initNewsArchive() {
+        const sections = Array.from(document.querySelectorAll('.news-year'));
+        if (!sections.length) return;
+
+        const linked = sectionForHash(window.location.hash);
+
+        sections.forEach((section, index) => {
+            addToggle(section);
+            setExpanded(section, index === 0 || section === linked);
+        });
+
+        // Year index links open their year; navigation.js does the scrolling
+        // and records the year in the URL
+        document.querySelectorAll('.news-year-index a[href^="#y"]').forEach(link => {
+            link.addEventListener('click', () => {
+                const section = sectionForHash(link.getAttribute('href'));
+                if (section) setExpanded(section, true);
+            });
+        });
+
+        window.addEventListener('hashchange', () => {
+            const section = sectionForHash(window.location.hash);
+            if (!section) return;
+
+            setExpanded(section, true);
+            scrollIntoViewWithoutNavigation(section);
+        });
+
+        // Deep link: collapsing the other years moved the target; navigation.js
+        // scrolls to it once the page has loaded
+        if (linked) {
+            scrollIntoViewWithoutNavigation(linked);
+        }
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initNewsArchive);
+    } else {
+        initNewsArchive();
+    }
+})();
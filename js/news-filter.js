@@ -0,0 +1,158 @@
+/**
+ * Tag filter for the news archive (news.html)
+ * Adds a row of tag buttons above the archive, built from the `data-tags`
+ * the build puts on each news item. Choosing a tag hides the other items and
+ * any year left empty; the tag is kept in the URL hash (news.html#tag=talk)
+ * so a filtered view can be shared. Without JavaScript every item is shown.
+ */
+
+(function() {
+    'use strict';
+
+    const HASH_PREFIX = '#tag=';
+
+    // Filter text ({shown}, {total} and {tag} are filled in); news.html sets it
+    // with data attributes on <main> so the translated page gets its own
+    const STRINGS = {
+        label: ['data-news-filter-label', 'Filter news by tag'],
+        all: ['data-news-filter-all', 'All'],
+        status: ['data-news-filter-status', 'Showing {shown} of {total} news items tagged {tag}.'],
+        statusAll: ['data-news-filter-status-all', 'Showing all {total} news items.']
+    };
+
+    function readStrings(element) {
+        const strings = {};
+
+        Object.keys(STRINGS).forEach(key => {
+            const [attribute, fallback] = STRINGS[key];
+            strings[key] = (element && element.getAttribute(attribute)) || fallback;
+        });
+        return strings;
+    }
+
+    // Put values into a string's {placeholders}
+    function fill(text, values) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    }
+
+    function itemTags(item) {
+        return (item.getAttribute('data-tags') || '').split(',').filter(Boolean);
+    }
+
+    function tagFromHash(hash, known) {
+        if (!hash || !hash.startsWith(HASH_PREFIX)) return '';
+        let tag;
+        try {
+            tag = decodeURIComponent(hash.slice(HASH_PREFIX.length));
+        } catch (e) {
+            // Malformed escapes (#tag=%E0): treat as an unknown tag
+            return '';
+        }
+        return known.has(tag) ? tag : '';
+    }
+
+    // Tags used on the page with their badge label and item count, most used first
+    function collectTags(items) {
+        const tags = new Map();
+
+        items.forEach(item => {
+            itemTags(item).forEach(tag => {
+                const badge = item.querySelector(`.news-tag[data-tag="${tag}"]`);
+                const entry = tags.get(tag) || { tag: tag, label: badge ? badge.textContent.trim() : tag, count: 0 };
+                entry.count += 1;
+                tags.set(tag, entry);
+            });
+        });
+
+        return new Map(Array.from(tags.entries()).sort((a, b) => b[1].count - a[1].count || a[1].label.localeCompare(b[1].label)));
+    }
+
+    function createButton(tag, label, count) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'filter-chip news-filter-chip';
+        button.setAttribute('data-tag', tag);
+        button.setAttribute('aria-pressed', 'false');
+        button.textContent = `${label} (${count})`;
+        return button;
+    }
+
+    function initNewsFilter() {
+        const heading = document.getElementById('past-news-heading');
+        const items = Array.from(document.querySelectorAll('main .news-item'));
+        const tags = collectTags(items);
+
+        if (!heading || !tags.size) return;
+
+        const strings = readStrings(heading.closest('main'));
+        const bar = document.createElement('div');
+        bar.className = 'news-filter';
+        bar.setAttribute('role', 'group');
+        bar.setAttribute('aria-label', strings.label);
+        bar.appendChild(createButton('', strings.all, items.length));
+        tags.forEach(entry => bar.appendChild(createButton(entry.tag, entry.label, entry.count)));
+
+        const status = document.createElement('p');
+        status.className = 'news-filter-status';
+        status.setAttribute('aria-live', 'polite');
+
+        heading.insertAdjacentElement('afterend', bar);
+        bar.insertAdjacentElement('afterend', status);
+
+        function apply(tag) {
+            let shown = 0;
+
+            items.forEach(item => {
+                const match = !tag || itemTags(item).includes(tag);
+                item.hidden = !match;
+                if (match) shown += 1;
+            });
+
+            // Hide years (and their index links) with nothing left to show
+            document.querySelectorAll('main .news-year').forEach(section => {
+                const visible = section.querySelector('.news-item:not([hidden])');
+                const indexLink = document.querySelector(`.news-year-index a[href="#${section.id}"]`);
+                const toggle = section.querySelector('.news-year-toggle');
+
+                section.hidden = !visible;
+                if (indexLink) indexLink.parentElement.hidden = !visible;
+                if (tag && visible && toggle && toggle.getAttribute('aria-expanded') === 'false') {
+                    toggle.click();
+                }
+            });
+
+            bar.querySelectorAll('button').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.getAttribute('data-tag') === tag));
+            });
+
+            status.textContent = tag
+                ? fill(strings.status, { shown, total: items.length, tag: tags.get(tag).label })
+                : fill(strings.statusAll, { total: items.length });
+        }
+
+        bar.addEventListener('click', e => {
+            const button = e.target.closest('button[data-tag]');
+            if (!button) return;
+
+            const tag = button.getAttribute('data-tag');
+            const url = tag ? `${HASH_PREFIX}${encodeURIComponent(tag)}` : window.location.pathname + window.location.search;
+            history.replaceState(null, '', url);
+            apply(tag);
+        });
+
+        window.addEventListener('hashchange', () => {
+            if (window.location.hash.startsWith(HASH_PREFIX)) {
+                apply(tagFromHash(window.location.hash, tags));
+            }
+        });
+
+        apply(tagFromHash(window.location.hash, tags));
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initNewsFilter);
+    } else {
+        initNewsFilter();
+    }
+})();
@@ -0,0 +1,269 @@
+/**
+ * Publication export menus for publications.html
+ * Adds a "Cite" panel (formatted APA, IEEE or Chicago reference) and an
+ * "Export" menu (download or copy as BibTeX, RIS or CSL-JSON) to every
+ * publication entry, and a "Download all" bar to every section.
+ * Citation data comes from the CSL-JSON block the build embeds in the page
+ * (#publication-metadata); formatting is done by js/citation-styles.js and
+ * js/citation-formats.js.
+ */
+
+(function() {
+    'use strict';
+
+    // How long a "Copied" confirmation stays on the button, in ms
+    const COPY_FEEDBACK_DURATION = 2000;
+
+    // Menu text ({format}, {section}, {style} and {item} are filled in);
+    // publications.html sets it with data attributes on <main> so the
+    // translated page gets its own
+    const STRINGS = {
+        export: ['data-export-menu', 'Export'],
+        download: ['data-export-download', 'Download'],
+        downloadFormat: ['data-export-download-format', 'Download {format}'],
+        copy: ['data-export-copy', 'Copy'],
+        copyFormat: ['data-export-copy-format', 'Copy {format}'],
+        downloadAll: ['data-export-all', 'Download all:'],
+        downloadAllSection: ['data-export-all-section', 'Download all {section}'],
+        downloadAllFormat: ['data-export-all-format', 'Download all {section} as {format}'],
+        copied: ['data-export-copied', 'Copied'],
+        copiedStatus: ['data-export-copied-status', '{item} copied to the clipboard.'],
+        unavailable: ['data-export-unavailable', 'Copying is not available in this browser. Use Download to get the {format} file.'],
+        cite: ['data-cite-menu', 'Cite'],
+        citeStyle: ['data-cite-style-label', 'Style'],
+        citeCopy: ['data-cite-copy-label', 'Copy citation'],
+        citation: ['data-cite-citation', '{style} citation'],
+        citeUnavailable: ['data-cite-unavailable', 'Copying is not available in this browser. Select the citation text to copy it.']
+    };
+
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function readStrings(element) {
+        const strings = {};
+
+        Object.keys(STRINGS).forEach(key => {
+            const [attribute, fallback] = STRINGS[key];
+            strings[key] = (element && element.getAttribute(attribute)) || fallback;
+        });
+        return strings;
+    }
+
+    // Put values into a string's {placeholders}
+    function fill(text, values) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    }
+
+    function readMetadata() {
+        const block = document.getElementById('publication-metadata');
+        if (!block) return new Map();
+
+        try {
+            return new Map(JSON.parse(block.textContent).map(item => [item.id, item]));
+        } catch (error) {
+            return new Map();
+        }
+    }
+
+    function download(filename, text, mimeType) {
+        const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function copy(text) {
+        if (!navigator.clipboard || !navigator.clipboard.writeText) {
+            return Promise.reject(new Error('Clipboard API not available'));
+        }
+        return navigator.clipboard.writeText(text);
+    }
+
+    function renderExportMenu(formats, strings) {
+        return `
+            <summary>${escapeHtml(strings.export)}</summary>
+            <div class="publication-export-menu">
+                ${Object.keys(formats).map(name => `
+                    <div class="export-format">
+                        <span class="export-format-label">${formats[name].label}</span>
+                        <button type="button" class="export-action" data-export-action="download" data-export-format="${name}" aria-label="${escapeHtml(fill(strings.downloadFormat, { format: formats[name].label }))}">${escapeHtml(strings.download)}</button>
+                        <button type="button" class="export-action" data-export-action="copy" data-export-format="${name}" aria-label="${escapeHtml(fill(strings.copyFormat, { format: formats[name].label }))}" data-copy-label="${escapeHtml(strings.copy)}">${escapeHtml(strings.copy)}</button>
+                    </div>`).join('')}
+            </div>`;
+    }
+
+    function renderCitePanel(key, styles, strings) {
+        const selectId = `cite-style-${key}`;
+
+        return `
+            <summary>${escapeHtml(strings.cite)}</summary>
+            <div class="publication-cite-panel">
+                <label for="${selectId}">${escapeHtml(strings.citeStyle)}</label>
+                <select id="${selectId}" class="form-select form-select-sm" data-cite-style>
+                    ${Object.keys(styles).map(name => `<option value="${name}">${styles[name].label}</option>`).join('')}
+                </select>
+                <p class="citation-text" data-cite-output></p>
+                <button type="button" class="export-action" data-cite-copy data-copy-label="${escapeHtml(strings.citeCopy)}">${escapeHtml(strings.citeCopy)}</button>
+            </div>`;
+    }
+
+    function renderDownloadAll(sectionLabel, formats, strings) {
+        return `
+            <span class="download-all-label">${escapeHtml(strings.downloadAll)}</span>
+            ${Object.keys(formats).map(name => (
+                `<button type="button" class="export-action" data-export-action="download" data-export-format="${name}" aria-label="${escapeHtml(fill(strings.downloadAllFormat, { section: sectionLabel, format: formats[name].label }))}">${formats[name].label}</button>`
+            )).join('')}`;
+    }
+
+    function initPublicationExport() {
+        const CitationFormats = window.CitationFormats;
+        const CitationStyles = window.CitationStyles;
+        const metadata = readMetadata();
+        const main = document.querySelector('main');
+
+        if (!CitationFormats || !main || metadata.size === 0) return;
+
+        const { FORMATS } = CitationFormats;
+        const strings = readStrings(main);
+
+        // The last style picked is used for every Cite panel opened afterwards
+        let citeStyle = 'apa';
+
+        // Screen reader announcements for copy results
+        const status = document.createElement('p');
+        status.className = 'visually-hidden';
+        status.setAttribute('aria-live', 'polite');
+        main.appendChild(status);
+
+        document.querySelectorAll('.publication-entry[data-pub-key]').forEach(entry => {
+            const key = entry.getAttribute('data-pub-key');
+            if (!metadata.has(key)) return;
+
+            if (CitationStyles) {
+                const cite = document.createElement('details');
+                cite.className = 'publication-cite';
+                cite.setAttribute('data-cite-key', key);
+                cite.innerHTML = renderCitePanel(key, CitationStyles.STYLES, strings);
+                entry.appendChild(cite);
+            }
+
+            const menu = document.createElement('details');
+            menu.className = 'publication-export';
+            menu.setAttribute('data-export-keys', key);
+            menu.setAttribute('data-export-filename', key);
+            menu.innerHTML = renderExportMenu(FORMATS, strings);
+            entry.appendChild(menu);
+        });
+
+        document.querySelectorAll('.publication-section').forEach(section => {
+            const entries = Array.from(section.querySelectorAll('.publication-entry[data-pub-key]'))
+                .filter(entry => metadata.has(entry.getAttribute('data-pub-key')));
+            const heading = section.querySelector('.section-heading');
+
+            if (entries.length === 0 || !heading) return;
+
+            const bar = document.createElement('div');
+            bar.className = 'publication-download-all';
+            bar.setAttribute('role', 'group');
+            bar.setAttribute('aria-label', fill(strings.downloadAllSection, { section: heading.textContent.trim() }));
+            bar.setAttribute('data-export-keys', entries.map(entry => entry.getAttribute('data-pub-key')).join(' '));
+            bar.setAttribute('data-export-filename', `publications-${entries[0].getAttribute('data-pub-type')}`);
+            bar.innerHTML = renderDownloadAll(heading.textContent.trim(), FORMATS, strings);
+            heading.insertAdjacentElement('afterend', bar);
+        });
+
+        function showCitation(panel) {
+            const item = metadata.get(panel.getAttribute('data-cite-key'));
+            panel.querySelector('[data-cite-style]').value = citeStyle;
+            panel.querySelector('[data-cite-output]').textContent = CitationStyles.format(item, citeStyle);
+        }
+
+        // Only one menu open at a time; Cite panels show the current style when opened
+        main.addEventListener('toggle', function(e) {
+            const menu = e.target;
+            if (!menu.matches || !menu.matches('.publication-export, .publication-cite') || !menu.open) return;
+
+            main.querySelectorAll('.publication-export[open], .publication-cite[open]').forEach(other => {
+                if (other !== menu) other.open = false;
+            });
+            if (menu.matches('.publication-cite')) showCitation(menu);
+        }, true);
+
+        main.addEventListener('change', function(e) {
+            if (!e.target.matches('[data-cite-style]')) return;
+            citeStyle = e.target.value;
+            showCitation(e.target.closest('.publication-cite'));
+        });
+
+        main.addEventListener('keydown', function(e) {
+            const menu = e.target.closest && e.target.closest('.publication-export[open], .publication-cite[open]');
+            if (e.key === 'Escape' && menu) {
+                menu.open = false;
+                menu.querySelector('summary').focus();
+            }
+        });
+
+        // Pending label resets, by button, so a second copy restarts the wait
+        const copyTimers = new WeakMap();
+
+        // Feedback on the button and for screen readers after a copy attempt;
+        // the button goes back to its data-copy-label afterwards
+        function reportCopy(promise, button, label, unavailable) {
+            promise.then(() => {
+                clearTimeout(copyTimers.get(button));
+                button.textContent = strings.copied;
+                status.textContent = fill(strings.copiedStatus, { item: label });
+                copyTimers.set(button, setTimeout(() => {
+                    button.textContent = button.getAttribute('data-copy-label');
+                    copyTimers.delete(button);
+                }, COPY_FEEDBACK_DURATION));
+            }, () => {
+                status.textContent = unavailable;
+            });
+        }
+
+        main.addEventListener('click', function(e) {
+            const citeButton = e.target.closest('[data-cite-copy]');
+            if (citeButton) {
+                const panel = citeButton.closest('.publication-cite');
+                reportCopy(copy(panel.querySelector('[data-cite-output]').textContent), citeButton,
+                    fill(strings.citation, { style: CitationStyles.STYLES[citeStyle].label }), strings.citeUnavailable);
+                return;
+            }
+
+            const button = e.target.closest('[data-export-action]');
+            if (!button) return;
+
+            const owner = button.closest('[data-export-keys]');
+            const items = owner.getAttribute('data-export-keys').split(' ').map(key => metadata.get(key));
+            const name = button.getAttribute('data-export-format');
+            const format = FORMATS[name];
+            const text = CitationFormats.format(items, name);
+
+            if (button.getAttribute('data-export-action') === 'download') {
+                download(`${owner.getAttribute('data-export-filename')}.${format.extension}`, text, format.mimeType);
+                return;
+            }
+
+            reportCopy(copy(text), button, format.label, fill(strings.unavailable, { format: format.label }));
+        });
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initPublicationExport);
+    } else {
+        initPublicationExport();
+    }
+})();
@@ -0,0 +1,295 @@
+/**
+ * Publication filters for publications.html
+ * Adds a filter bar (type chips, year range, co-author, title search) above
+ * the publication list. The filter state lives in the URL query string so a
+ * filtered view can be shared. Without JavaScript the full list is shown.
+ */
+
+(function() {
+    'use strict';
+
+    // Query string keys for each part of the filter state
+    const PARAMS = {
+        types: 'type',
+        from: 'from',
+        to: 'to',
+        author: 'author',
+        query: 'q'
+    };
+
+    // Filter bar text ({shown} and {total} are counts); publications.html sets
+    // it with data attributes on <main> so the translated page gets its own
+    const STRINGS = {
+        label: ['data-filter-label', 'Filter publications'],
+        types: ['data-filter-types', 'Publication type'],
+        from: ['data-filter-from', 'From'],
+        to: ['data-filter-to', 'To'],
+        author: ['data-filter-author', 'Co-author'],
+        allAuthors: ['data-filter-all-authors', 'All co-authors'],
+        query: ['data-filter-query', 'Search titles'],
+        clear: ['data-filter-clear', 'Clear filters'],
+        none: ['data-filter-none', 'No publications match these filters.'],
+        status: ['data-filter-status', 'Showing {shown} of {total} publications.']
+    };
+
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function readStrings(element) {
+        const strings = {};
+
+        Object.keys(STRINGS).forEach(key => {
+            const [attribute, fallback] = STRINGS[key];
+            strings[key] = (element && element.getAttribute(attribute)) || fallback;
+        });
+        return strings;
+    }
+
+    // Lower-case and strip accents so "nguyen" also finds "Nguyễn"
+    function normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    // Read the filterable fields of every publication entry
+    function readEntries() {
+        return Array.from(document.querySelectorAll('.publication-entry[data-pub-type]')).map(element => {
+            const authorsElement = element.querySelector('.publication-authors');
+            const currentAuthors = Array.from(element.querySelectorAll('.publication-authors .current-author'))
+                .map(span => span.textContent.trim());
+            const authors = authorsElement
+                ? authorsElement.textContent.trim().replace(/\.$/, '').split(/\s*,\s*(?:and\s+)?|\s+and\s+/).filter(Boolean)
+                : [];
+            const title = element.querySelector('.publication-title');
+
+            return {
+                element,
+                section: element.closest('.publication-section'),
+                type: element.getAttribute('data-pub-type'),
+                year: Number(element.getAttribute('data-pub-year')) || null,
+                coAuthors: authors.filter(name => !currentAuthors.includes(name)),
+                title: normalize(title ? title.textContent : '')
+            };
+        });
+    }
+
+    // Filter options available on the page
+    function collectOptions(entries) {
+        const types = [];
+        const years = new Set();
+        const authorCounts = new Map();
+
+        entries.forEach(entry => {
+            if (!types.some(type => type.value === entry.type)) {
+                const heading = entry.section && entry.section.querySelector('.section-heading');
+                types.push({
+                    value: entry.type,
+                    label: heading ? heading.textContent.trim() : entry.type
+                });
+            }
+            if (entry.year) years.add(entry.year);
+            entry.coAuthors.forEach(name => {
+                authorCounts.set(name, (authorCounts.get(name) || 0) + 1);
+            });
+        });
+
+        return {
+            types,
+            years: Array.from(years).sort((a, b) => a - b),
+            authors: Array.from(authorCounts.entries())
+                .sort((a, b) => a[0].localeCompare(b[0]))
+                .map(([name, count]) => ({ name, count }))
+        };
+    }
+
+    // Parse the filter state from a query string, ignoring unknown values
+    function readState(search, options) {
+        const params = new URLSearchParams(search);
+        const typeValues = options.types.map(type => type.value);
+        const minYear = options.years[0];
+        const maxYear = options.years[options.years.length - 1];
+        const year = (value, fallback) => {
+            const number = Number(value);
+            return value && Number.isInteger(number)
+                ? Math.min(Math.max(number, minYear), maxYear)
+                : fallback;
+        };
+        const author = params.get(PARAMS.author) || '';
+
+        const state = {
+            types: (params.get(PARAMS.types) || '').split(',').filter(type => typeValues.includes(type)),
+            from: year(params.get(PARAMS.from), minYear),
+            to: year(params.get(PARAMS.to), maxYear),
+            author: options.authors.some(option => option.name === author) ? author : '',
+            query: params.get(PARAMS.query) || ''
+        };
+
+        if (state.from > state.to) {
+            [state.from, state.to] = [state.to, state.from];
+        }
+        return state;
+    }
+
+    // Serialize the filter state, leaving defaults out of the URL
+    function writeState(state, options) {
+        const params = new URLSearchParams();
+
+        if (state.types.length) params.set(PARAMS.types, state.types.join(','));
+        if (state.from !== options.years[0]) params.set(PARAMS.from, state.from);
+        if (state.to !== options.years[options.years.length - 1]) params.set(PARAMS.to, state.to);
+        if (state.author) params.set(PARAMS.author, state.author);
+        if (state.query.trim()) params.set(PARAMS.query, state.query.trim());
+
+        return params.toString();
+    }
+
+    function matches(entry, state) {
+        const terms = normalize(state.query).split(/\s+/).filter(Boolean);
+
+        return (state.types.length === 0 || state.types.includes(entry.type)) &&
+            (entry.year === null || (entry.year >= state.from && entry.year <= state.to)) &&
+            (!state.author || entry.coAuthors.includes(state.author)) &&
+            terms.every(term => entry.title.includes(term));
+    }
+
+    function renderFilterBar(options, strings) {
+        const yearOptions = options.years
+            .map(year => `<option value="${year}">${year}</option>`)
+            .join('');
+
+        return `
+            <div class="filter-chips" role="group" aria-label="${escapeHtml(strings.types)}">
+                ${options.types.map(type => (
+                    `<button type="button" class="filter-chip" data-type="${escapeHtml(type.value)}" aria-pressed="false">${escapeHtml(type.label)}</button>`
+                )).join('')}
+            </div>
+            <div class="filter-fields">
+                <div class="filter-field">
+                    <label for="filter-year-from">${escapeHtml(strings.from)}</label>
+                    <select id="filter-year-from" class="form-select form-select-sm">${yearOptions}</select>
+                </div>
+                <div class="filter-field">
+                    <label for="filter-year-to">${escapeHtml(strings.to)}</label>
+                    <select id="filter-year-to" class="form-select form-select-sm">${yearOptions}</select>
+                </div>
+                <div class="filter-field">
+                    <label for="filter-author">${escapeHtml(strings.author)}</label>
+                    <select id="filter-author" class="form-select form-select-sm">
+                        <option value="">${escapeHtml(strings.allAuthors)}</option>
+                        ${options.authors.map(author => (
+                            `<option value="${escapeHtml(author.name)}">${escapeHtml(author.name)} (${author.count})</option>`
+                        )).join('')}
+                    </select>
+                </div>
+                <div class="filter-field filter-search">
+                    <label for="filter-query">${escapeHtml(strings.query)}</label>
+                    <input type="search" id="filter-query" class="form-control form-control-sm" autocomplete="off">
+                </div>
+                <button type="button" class="btn btn-outline-secondary btn-sm filter-clear">${escapeHtml(strings.clear)}</button>
+            </div>
+            <p class="filter-status" aria-live="polite"></p>`;
+    }
+
+    function initPublicationFilters() {
+        const title = document.querySelector('main .page-title');
+        const entries = readEntries();
+
+        if (!title || entries.length === 0) return;
+
+        const options = collectOptions(entries);
+        const strings = readStrings(title.closest('main'));
+        const form = document.createElement('form');
+        form.className = 'publication-filters';
+        form.setAttribute('role', 'search');
+        form.setAttribute('aria-label', strings.label);
+        form.innerHTML = renderFilterBar(options, strings);
+        title.insertAdjacentElement('afterend', form);
+
+        const chips = Array.from(form.querySelectorAll('.filter-chip'));
+        const fromSelect = form.querySelector('#filter-year-from');
+        const toSelect = form.querySelector('#filter-year-to');
+        const authorSelect = form.querySelector('#filter-author');
+        const queryInput = form.querySelector('#filter-query');
+        const status = form.querySelector('.filter-status');
+        const sections = Array.from(new Set(entries.map(entry => entry.section).filter(Boolean)));
+
+        let state = readState(window.location.search, options);
+
+        // Show the state in the controls
+        function syncControls() {
+            chips.forEach(chip => {
+                chip.setAttribute('aria-pressed', String(state.types.includes(chip.getAttribute('data-type'))));
+            });
+            fromSelect.value = String(state.from);
+            toSelect.value = String(state.to);
+            authorSelect.value = state.author;
+            queryInput.value = state.query;
+        }
+
+        function apply() {
+            let visible = 0;
+
+            entries.forEach(entry => {
+                const shown = matches(entry, state);
+                entry.element.hidden = !shown;
+                if (shown) visible++;
+            });
+            sections.forEach(section => {
+                section.hidden = !section.querySelector('.publication-entry:not([hidden])');
+            });
+
+            status.textContent = visible === 0
+                ? strings.none
+                : strings.status.replace('{shown}', () => visible).replace('{total}', () => entries.length);
+
+            const query = writeState(state, options);
+            const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+            window.history.replaceState(window.history.state, '', url);
+        }
+
+        function update(changes) {
+            state = Object.assign({}, state, changes);
+            if (state.from > state.to) {
+                // Keep the range valid by moving the bound that was not just edited
+                if ('from' in changes) state.to = state.from;
+                else state.from = state.to;
+            }
+            syncControls();
+            apply();
+        }
+
+        chips.forEach(chip => {
+            chip.addEventListener('click', function() {
+                const type = this.getAttribute('data-type');
+                update({
+                    types: state.types.includes(type)
+                        ? state.types.filter(value => value !== type)
+                        : state.types.concat(type)
+                });
+            });
+        });
+        fromSelect.addEventListener('change', () => update({ from: Number(fromSelect.value) }));
+        toSelect.addEventListener('change', () => update({ to: Number(toSelect.value) }));
+        authorSelect.addEventListener('change', () => update({ author: authorSelect.value }));
+        queryInput.addEventListener('input', () => update({ query: queryInput.value }));
+        form.querySelector('.filter-clear').addEventListener('click', () => {
+            update(readState('', options));
+            queryInput.focus();
+        });
+        form.addEventListener('submit', e => e.preventDefault());
+
+        syncControls();
+        apply();
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initPublicationFilters);
+    } else {
+        initPublicationFilters();
+    }
+})();
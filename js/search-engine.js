@@ -0,0 +1,199 @@
+/**
+ * Search engine for the site search
+ * Ranks the documents of search-index.json (built by tasks/search-index.js)
+ * against a query. Has no DOM access, so the same file runs in the browser
+ * (as window.SearchEngine) and under Node for the tests.
+ *
+ * Matching rules:
+ * - Text is compared without case or accents ("Lê" matches "le")
+ * - Every query word has to match the title or the text of a document
+ * - A word matches a document word exactly, as its prefix, inside it (three
+ *   letters or more) or with a typo: one edit for words of 4-7 letters, two
+ *   from 8 letters on
+ * - Title matches count three times as much as text matches, and a title
+ *   containing the whole query gets a bonus
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SearchEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const MATCH_SCORES = { exact: 1, prefix: 0.8, substring: 0.5, fuzzy: 0.4 };
+    const TITLE_WEIGHT = 3;
+    const TEXT_WEIGHT = 1;
+    const PHRASE_BONUS = 2;
+    const SNIPPET_LENGTH = 160;
+
+    // Lower case without accents, one output character per input character
+    // (UTF-16 unit) so positions in the result map back to the original text
+    function foldChar(char) {
+        const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        if (char === 'đ' || char === 'Đ') return 'd';
+        return folded.length === 1 ? folded : char.toLowerCase();
+    }
+
+    function normalize(text) {
+        return String(text || '').split('').map(foldChar).join('');
+    }
+
+    function tokenize(text) {
+        return normalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    // Levenshtein distance, giving up (returning max + 1) once it exceeds max
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return Math.min(previous[b.length], max + 1);
+    }
+
+    function allowedTypos(term) {
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+
+    // How well one query word matches a list of document words (0 = not at all)
+    function termScore(term, tokens) {
+        const typos = allowedTypos(term);
+        let best = 0;
+
+        for (const token of tokens) {
+            if (token === term) return MATCH_SCORES.exact;
+            if (token.startsWith(term)) {
+                best = Math.max(best, MATCH_SCORES.prefix);
+            } else if (term.length >= 3 && token.includes(term)) {
+                best = Math.max(best, MATCH_SCORES.substring);
+            } else if (typos && best < MATCH_SCORES.fuzzy && editDistance(term, token, typos) <= typos) {
+                best = MATCH_SCORES.fuzzy;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Tokenize documents once so repeated searches stay cheap.
+     *
+     * @param {Object[]} documents - `{ url, title, section, text }` entries
+     * @returns {Object[]} Index entries
+     */
+    function createIndex(documents) {
+        return documents.map(doc => ({
+            doc: doc,
+            title: normalize(doc.title),
+            titleTokens: tokenize(doc.title),
+            textTokens: tokenize(`${doc.section} ${doc.text}`)
+        }));
+    }
+
+    /**
+     * Documents matching every word of the query, best first.
+     *
+     * @param {Object[]} index - Result of createIndex
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum number of results
+     * @returns {{doc: Object, score: number}[]}
+     */
+    function search(index, query, options = {}) {
+        const terms = Array.from(new Set(tokenize(query)));
+        const phrase = normalize(query).replace(/\s+/g, ' ').trim();
+        if (!terms.length) return [];
+
+        const results = [];
+        index.forEach((entry, position) => {
+            let score = 0;
+            for (const term of terms) {
+                const termBest = Math.max(
+                    TITLE_WEIGHT * termScore(term, entry.titleTokens),
+                    TEXT_WEIGHT * termScore(term, entry.textTokens)
+                );
+                if (!termBest) return;
+                score += termBest;
+            }
+            if (terms.length > 1 && entry.title.includes(phrase)) score += PHRASE_BONUS;
+            results.push({ doc: entry.doc, score: score, position: position });
+        });
+
+        results.sort((a, b) => b.score - a.score || a.position - b.position);
+        return results.slice(0, options.limit || results.length).map(({ doc, score }) => ({ doc, score }));
+    }
+
+    /**
+     * Split text into plain and highlighted parts for the query words that
+     * match as a prefix or inside a word.
+     *
+     * @param {string} text
+     * @param {string} query
+     * @returns {{text: string, match: boolean}[]}
+     */
+    function highlight(text, query) {
+        const terms = Array.from(new Set(tokenize(query))).sort((a, b) => b.length - a.length);
+        const folded = normalize(text);
+        const marked = new Array(text.length).fill(false);
+
+        terms.forEach(term => {
+            for (let at = folded.indexOf(term); at !== -1; at = folded.indexOf(term, at + term.length)) {
+                marked.fill(true, at, at + term.length);
+            }
+        });
+
+        const parts = [];
+        text.split('').forEach((char, i) => {
+            const last = parts[parts.length - 1];
+            if (last && last.match === marked[i]) {
+                last.text += char;
+            } else {
+                parts.push({ text: char, match: marked[i] });
+            }
+        });
+        return parts;
+    }
+
+    /**
+     * A window of the text around the first query word it contains.
+     *
+     * @param {string} text
+     * @param {string} query
+     * @param {number} [length]
+     * @returns {string}
+     */
+    function snippet(text, query, length = SNIPPET_LENGTH) {
+        if (text.length <= length) return text;
+
+        const folded = normalize(text);
+        const hits = tokenize(query).map(term => folded.indexOf(term)).filter(at => at !== -1);
+        const first = hits.length ? Math.min(...hits) : 0;
+        const start = Math.max(0, Math.min(first - Math.floor(length / 4), text.length - length));
+        const end = start + length;
+
+        return `${start ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    }
+
+    return {
+        normalize,
+        tokenize,
+        editDistance,
+        createIndex,
+        search,
+        highlight,
+        snippet
+    };
+});
@@ -0,0 +1,297 @@
+/**
+ * Site search
+ * Turns the navbar search box into a combobox that suggests matching
+ * publications, news items and activities as you type, and fills in the
+ * results on search.html (search.html?q=...). Documents come from
+ * search-index.json, fetched the first time the box is used; ranking is done
+ * by js/search-engine.js. Without JavaScript the navbar form still submits to
+ * search.html, which lists every entry.
+ */
+
+(function() {
+    'use strict';
+
+    // Suggestions shown under the navbar box
+    const SUGGESTION_LIMIT = 6;
+
+    // Suggestion and result text ({count} and {query} are filled in, and keys
+    // ending in "One" are used for a count of 1). The navbar form and the
+    // search.html status line set it with data attributes so the translated
+    // pages get their own
+    const NAVBAR_STRINGS = {
+        suggestions: ['data-search-suggestions', 'Search suggestions'],
+        seeAll: ['data-search-see-all', 'See all {count} results'],
+        seeAllOne: ['data-search-see-all-one', 'See all 1 result'],
+        noResults: ['data-search-no-results', 'No results for “{query}”'],
+        available: ['data-search-available', '{count} results available.'],
+        availableOne: ['data-search-available-one', '1 result available.'],
+        none: ['data-search-none', 'No results.'],
+        unavailable: ['data-search-unavailable', 'Search suggestions are unavailable; press Enter to search.']
+    };
+    const PAGE_STRINGS = {
+        searching: ['data-search-searching', 'Searching…'],
+        results: ['data-search-results', '{count} results for “{query}”.'],
+        resultsOne: ['data-search-results-one', '1 result for “{query}”.'],
+        noResults: ['data-search-no-results', 'No results for “{query}”. Try fewer or shorter words.'],
+        unavailable: ['data-search-unavailable', 'Search is unavailable right now; the full list of entries is below.']
+    };
+
+    let indexPromise = null;
+
+    // Fetch and index the documents once; URLs in the index are relative to it
+    function loadIndex(indexUrl) {
+        if (!indexPromise) {
+            indexPromise = fetch(indexUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`${indexUrl}: HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => window.SearchEngine.createIndex(data.documents.map(doc => (
+                    Object.assign({}, doc, { url: new URL(doc.url, indexUrl).href })
+                ))));
+            indexPromise.catch(() => {
+                indexPromise = null;
+            });
+        }
+        return indexPromise;
+    }
+
+    function readStrings(element, defaults) {
+        const strings = {};
+
+        Object.keys(defaults).forEach(key => {
+            const [attribute, fallback] = defaults[key];
+            strings[key] = (element && element.getAttribute(attribute)) || fallback;
+        });
+        return strings;
+    }
+
+    // The string for a count, with {count} and {query} filled in
+    function countText(strings, key, count, query) {
+        const text = count === 1 && strings[`${key}One`] ? strings[`${key}One`] : strings[key];
+        return text.replace(/\{(count|query)\}/g, (match, name) => (name === 'count' ? count : query));
+    }
+
+    function searchPageUrl(form, query) {
+        const url = new URL(form.getAttribute('action'), document.baseURI);
+        url.searchParams.set('q', query);
+        return url.href;
+    }
+
+    // Text with the query words wrapped in <mark>
+    function appendHighlighted(parent, text, query) {
+        window.SearchEngine.highlight(text, query).forEach(part => {
+            if (part.match) {
+                const mark = document.createElement('mark');
+                mark.textContent = part.text;
+                parent.appendChild(mark);
+            } else {
+                parent.appendChild(document.createTextNode(part.text));
+            }
+        });
+    }
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text) element.textContent = text;
+        return element;
+    }
+
+    function initNavbarSearch(form) {
+        const input = form.querySelector('input[type="search"]');
+        if (!input || !window.SearchEngine) return;
+
+        const indexUrl = new URL(form.getAttribute('data-search-index'), document.baseURI).href;
+        const strings = readStrings(form, NAVBAR_STRINGS);
+        const listbox = createElement('ul', 'site-search-results list-unstyled');
+        const status = createElement('p', 'site-search-status visually-hidden');
+        let options = [];
+        let active = -1;
+        let lastQuery = '';
+
+        listbox.id = `${input.id}-results`;
+        listbox.setAttribute('role', 'listbox');
+        listbox.setAttribute('aria-label', strings.suggestions);
+        listbox.hidden = true;
+        status.setAttribute('aria-live', 'polite');
+        form.appendChild(listbox);
+        form.appendChild(status);
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', listbox.id);
+        input.setAttribute('aria-expanded', 'false');
+
+        function setActive(position) {
+            options.forEach((option, i) => option.setAttribute('aria-selected', String(i === position)));
+            active = position;
+            if (position === -1) {
+                input.removeAttribute('aria-activedescendant');
+            } else {
+                input.setAttribute('aria-activedescendant', options[position].id);
+                if (options[position].scrollIntoView) options[position].scrollIntoView({ block: 'nearest' });
+            }
+        }
+
+        function close() {
+            listbox.hidden = true;
+            input.setAttribute('aria-expanded', 'false');
+            setActive(-1);
+        }
+
+        function addOption(href, build) {
+            const option = createElement('li', 'site-search-option');
+            const link = createElement('a', 'site-search-link');
+
+            option.id = `${listbox.id}-${options.length}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            link.href = href;
+            link.tabIndex = -1;
+            build(link);
+            option.appendChild(link);
+            listbox.appendChild(option);
+            options.push(option);
+        }
+
+        function render(results, total, query) {
+            listbox.innerHTML = '';
+            options = [];
+
+            results.forEach(({ doc }) => addOption(doc.url, link => {
+                appendHighlighted(link.appendChild(createElement('span', 'site-search-title')), doc.title, query);
+                link.appendChild(createElement('span', 'site-search-section', doc.section));
+            }));
+            if (total) {
+                addOption(searchPageUrl(form, query), link => {
+                    link.classList.add('site-search-all');
+                    link.textContent = countText(strings, 'seeAll', total, query);
+                });
+            } else {
+                listbox.appendChild(createElement('li', 'site-search-empty', countText(strings, 'noResults', 0, query)));
+            }
+
+            listbox.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+            setActive(-1);
+            status.textContent = total ? countText(strings, 'available', total, query) : strings.none;
+        }
+
+        function update() {
+            const query = input.value.trim();
+            lastQuery = query;
+
+            if (!query) {
+                close();
+                status.textContent = '';
+                return;
+            }
+
+            loadIndex(indexUrl).then(index => {
+                if (query !== lastQuery) return;
+                const results = window.SearchEngine.search(index, query);
+                render(results.slice(0, SUGGESTION_LIMIT), results.length, query);
+            }).catch(() => {
+                close();
+                status.textContent = strings.unavailable;
+            });
+        }
+
+        input.addEventListener('input', update);
+        input.addEventListener('focus', () => loadIndex(indexUrl).catch(() => {}), { once: true });
+
+        input.addEventListener('keydown', e => {
+            const open = !listbox.hidden && options.length > 0;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                if (!open) {
+                    if (input.value.trim()) update();
+                    return;
+                }
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                // Cycle through the options and back to the input (-1)
+                const positions = options.length + 1;
+                setActive((active + 1 + step + positions) % positions - 1);
+            } else if (e.key === 'Enter' && open && active !== -1) {
+                e.preventDefault();
+                options[active].querySelector('a').click();
+            } else if (e.key === 'Escape') {
+                if (!listbox.hidden) {
+                    e.preventDefault();
+                    close();
+                } else if (input.value) {
+                    e.preventDefault();
+                    input.value = '';
+                    status.textContent = '';
+                }
+            }
+        });
+
+        // Keep focus in the box when an option is pressed, then follow its link
+        listbox.addEventListener('mousedown', e => e.preventDefault());
+
+        document.addEventListener('click', e => {
+            if (!form.contains(e.target)) close();
+        });
+        form.addEventListener('focusout', e => {
+            if (!form.contains(e.relatedTarget)) close();
+        });
+    }
+
+    // Results on search.html for the ?q= query
+    function initSearchPage() {
+        const results = document.getElementById('search-page-results');
+        const status = document.getElementById('search-page-status');
+        const form = document.querySelector('form.site-search');
+        const query = (new URLSearchParams(window.location.search).get('q') || '').trim();
+
+        if (!results || !status || !query || !window.SearchEngine) return;
+
+        document.querySelectorAll('input[name="q"]').forEach(input => {
+            input.value = query;
+        });
+
+        const indexUrl = new URL(form ? form.getAttribute('data-search-index') : 'search-index.json', document.baseURI).href;
+        const strings = readStrings(status, PAGE_STRINGS);
+        status.textContent = strings.searching;
+
+        loadIndex(indexUrl).then(index => {
+            const matches = window.SearchEngine.search(index, query);
+
+            results.innerHTML = '';
+            matches.forEach(({ doc }) => {
+                const item = createElement('li', 'search-result');
+                const heading = createElement('h2', 'search-result-title');
+                const link = createElement('a');
+                const excerpt = createElement('p', 'search-result-snippet');
+
+                link.href = doc.url;
+                appendHighlighted(link, doc.title, query);
+                heading.appendChild(link);
+                appendHighlighted(excerpt, window.SearchEngine.snippet(doc.text, query), query);
+                item.appendChild(heading);
+                item.appendChild(createElement('p', 'search-result-section', doc.section));
+                item.appendChild(excerpt);
+                results.appendChild(item);
+            });
+
+            status.textContent = countText(strings, matches.length ? 'results' : 'noResults', matches.length, query);
+        }).catch(() => {
+            status.textContent = strings.unavailable;
+        });
+    }
+
+    function initSiteSearch() {
+        document.querySelectorAll('form.site-search[data-search-index]').forEach(initNavbarSearch);
+        initSearchPage();
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initSiteSearch);
+    } else {
+        initSiteSearch();
+    }
+})();
@@ -0,0 +1,124 @@
+/**
+ * Design tokens
+ * The values behind css/variables.css, for scripts (window.SiteTokens) and
+ * the tests (require('../js/tokens')).
+ * Generated from data/tokens.json by `gulp tokens`; edit the tokens, not this file.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SiteTokens = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    return {
+        "color": {
+            "primary": "#1e3a8a",
+            "secondary": "#6b7280",
+            "accent": "#0d9488",
+            "background": "#fafafa",
+            "text": "#1f2937",
+            "text-light": "#6b7280",
+            "border": "#e5e7eb",
+            "white": "#ffffff",
+            "surface": "#ffffff",
+            "on-accent": "#ffffff",
+            "link": "#1e3a8a",
+            "link-hover": "#0d9488"
+        },
+        "color-dark": {
+            "primary": "#93c5fd",
+            "secondary": "#a3acb9",
+            "accent": "#2dd4bf",
+            "background": "#0f172a",
+            "text": "#e5e7eb",
+            "text-light": "#a3acb9",
+            "border": "#334155",
+            "surface": "#1e293b",
+            "on-accent": "#0f172a",
+            "link": "#93c5fd",
+            "link-hover": "#5eead4"
+        },
+        "font": {
+            "body": "'Inter', system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+            "heading": "'Crimson Pro', Georgia, 'Times New Roman', serif"
+        },
+        "font-size": {
+            "base": "1rem",
+            "sm": "0.875rem",
+            "lg": "1.125rem",
+            "xl": "1.25rem",
+            "h1": "2.5rem",
+            "h2": "2rem",
+            "h3": "1.75rem",
+            "h4": "1.5rem",
+            "h5": "1.25rem",
+            "h6": "1rem"
+        },
+        "line-height": {
+            "base": "1.6",
+            "heading": "1.2",
+            "tight": "1.4"
+        },
+        "font-weight": {
+            "normal": "400",
+            "medium": "500",
+            "semibold": "600",
+            "bold": "700"
+        },
+        "spacing": {
+            "1": "0.25rem",
+            "2": "0.5rem",
+            "3": "0.75rem",
+            "4": "1rem",
+            "5": "1.25rem",
+            "6": "1.5rem",
+            "8": "2rem",
+            "10": "2.5rem",
+            "12": "3rem",
+            "16": "4rem",
+            "20": "5rem",
+            "24": "6rem"
+        },
+        "radius": {
+            "sm": "0.25rem",
+            "md": "0.5rem",
+            "lg": "0.75rem",
+            "xl": "1rem",
+            "full": "9999px"
+        },
+        "shadow": {
+            "sm": "0 1px 2px 0 rgba(0, 0, 0, 0.05)",
+            "md": "0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)",
+            "lg": "0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)",
+            "xl": "0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)"
+        },
+        "transition": {
+            "fast": "150ms ease-in-out",
+            "base": "250ms ease-in-out",
+            "slow": "350ms ease-in-out"
+        },
+        "z": {
+            "dropdown": "1000",
+            "sticky": "1020",
+            "fixed": "1030",
+            "modal-backdrop": "1040",
+            "modal": "1050",
+            "popover": "1060",
+            "tooltip": "1070"
+        },
+        "container": {
+            "max-width": "1140px"
+        },
+        "breakpoint": {
+            "sm": "576px",
+            "md": "768px",
+            "lg": "992px",
+            "xl": "1200px",
+            "xxl": "1400px"
+        }
+    };
+});
@@ -0,0 +1,166 @@
+/**
+ * Minimal BibTeX parser for the site build
+ *
+ * Understands the subset of BibTeX used in data/*.bib: `@type{key, ...}`
+ * entries whose field values are braced, quoted or bare (numbers and month
+ * macros). `%` line comments and `@comment`/`@preamble` blocks are skipped.
+ */
+
+const MONTHS = {
+  jan: '1', feb: '2', mar: '3', apr: '4', may: '5', jun: '6',
+  jul: '7', aug: '8', sep: '9', oct: '10', nov: '11', dec: '12'
+};
+
+// Read a balanced {...} or "..." value starting at `start`
+function readDelimited(source, start) {
+  const open = source[start];
+  const close = open === '{' ? '}' : '"';
+  let depth = 0;
+
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      i++;
+      continue;
+    }
+    if (open === '{') {
+      if (ch === '{') depth++;
+      if (ch === '}') depth--;
+      if (depth === 0) return { value: source.slice(start + 1, i), end: i + 1 };
+    } else if (i > start) {
+      if (ch === '{') depth++;
+      if (ch === '}') depth--;
+      if (ch === close && depth === 0) return { value: source.slice(start + 1, i), end: i + 1 };
+    }
+  }
+
+  throw new Error(`Unterminated value starting at offset ${start}`);
+}
+
+// Turn a raw field value into plain text
+function cleanValue(raw) {
+  return raw
+    .replace(/\\([&%$#_{}])|[{}]/g, (match, escaped) => escaped || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Skip whitespace and % comments
+function skipBlank(source, i) {
+  while (i < source.length) {
+    if (/\s/.test(source[i])) {
+      i++;
+    } else if (source[i] === '%') {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+/**
+ * Parse BibTeX source into entries.
+ *
+ * @param {string} source - BibTeX text
+ * @returns {Array<{type: string, key: string, fields: Object<string, string>}>}
+ *   Entries in file order. Entry types and field names are lower-cased.
+ */
+function parseBibtex(source) {
+  const entries = [];
+  let i = 0;
+
+  while (i < source.length) {
+    i = skipBlank(source, i);
+    if (i >= source.length) break;
+
+    if (source[i] !== '@') {
+      // Stray text between entries is ignored, as BibTeX does
+      i++;
+      continue;
+    }
+
+    const typeMatch = /^@\s*([a-zA-Z]+)\s*([{(])/.exec(source.slice(i));
+    if (!typeMatch) {
+      throw new Error(`Malformed entry at offset ${i}`);
+    }
+
+    const type = typeMatch[1].toLowerCase();
+    const bodyStart = i + typeMatch[0].length - 1;
+
+    if (type === 'comment' || type === 'preamble' || type === 'string') {
+      i = readDelimited(source, bodyStart).end;
+      continue;
+    }
+
+    i = bodyStart + 1;
+    const keyEnd = source.indexOf(',', i);
+    if (keyEnd === -1) {
+      throw new Error(`Entry at offset ${bodyStart} has no citation key`);
+    }
+    const key = source.slice(i, keyEnd).trim();
+    i = keyEnd + 1;
+
+    const fields = {};
+    for (;;) {
+      i = skipBlank(source, i);
+      if (source[i] === '}' || source[i] === ')') {
+        i++;
+        break;
+      }
+
+      const nameMatch = /^([a-zA-Z][\w-]*)\s*=\s*/.exec(source.slice(i));
+      if (!nameMatch) {
+        throw new Error(`Malformed field in entry "${key}" at offset ${i}`);
+      }
+      const name = nameMatch[1].toLowerCase();
+      i += nameMatch[0].length;
+
+      let value;
+      if (source[i] === '{' || source[i] === '"') {
+        const read = readDelimited(source, i);
+        value = cleanValue(read.value);
+        i = read.end;
+      } else {
+        const bare = /^[\w.-]+/.exec(source.slice(i));
+        if (!bare) {
+          throw new Error(`Missing value for "${name}" in entry "${key}"`);
+        }
+        value = MONTHS[bare[0].toLowerCase()] || bare[0];
+        i += bare[0].length;
+      }
+      fields[name] = value;
+
+      i = skipBlank(source, i);
+      if (source[i] === ',') i++;
+    }
+
+    entries.push({ type, key, fields });
+  }
+
+  return entries;
+}
+
+/**
+ * Split a BibTeX author field into display names.
+ * "Last, First" names are turned around to "First Last".
+ *
+ * @param {string} field - Value of an `author` field
+ * @returns {string[]}
+ */
+function splitAuthors(field) {
+  if (!field) return [];
+
+  return field
+    .split(/\s+and\s+/)
+    .map(name => {
+      const parts = name.split(',').map(part => part.trim());
+      return parts.length === 2 ? `${parts[1]} ${parts[0]}` : name.trim();
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  parseBibtex,
+  splitAuthors
+};
@@ -0,0 +1,80 @@
+/**
+ * Citation metadata for publications.html
+ *
+ * Converts publication metadata into CSL-JSON items and embeds them in the
+ * page (region `publications:metadata`). The export menus in
+ * js/publication-export.js build BibTeX, RIS and CSL-JSON downloads from
+ * these items, so every format comes from the same source as the entry.
+ */
+
+// CSL item type for each BibTeX entry type
+const CSL_TYPES = {
+  article: 'article-journal',
+  inproceedings: 'paper-conference',
+  conference: 'paper-conference',
+  techreport: 'report'
+};
+
+/**
+ * Split a display name into CSL name parts.
+ * Names are written given names first ("Thao Minh Le"), so the last word is
+ * the family name.
+ *
+ * @param {string} name
+ * @returns {{family: string, given?: string}}
+ */
+function cslName(name) {
+  const words = name.trim().split(/\s+/);
+  const family = words.pop();
+
+  return words.length ? { family, given: words.join(' ') } : { family };
+}
+
+/**
+ * CSL-JSON item for a publication. The item id is the BibTeX key.
+ *
+ * @param {Object} pub - Publication metadata from toPublication()
+ * @returns {Object}
+ */
+function toCslItem(pub) {
+  const type = CSL_TYPES[pub.entryType] || 'document';
+  const item = {
+    id: pub.key,
+    type,
+    title: pub.title,
+    author: pub.authors.map(cslName),
+    issued: { 'date-parts': [[pub.year]] }
+  };
+
+  if (pub.venue) {
+    item[type === 'report' ? 'publisher' : 'container-title'] = pub.venue;
+  }
+  if (pub.volume) item.volume = pub.volume;
+  if (pub.number) item.issue = pub.number;
+  if (pub.pages) item.page = pub.pages;
+  if (pub.doi) item.DOI = pub.doi;
+  if (pub.url) item.URL = pub.url;
+
+  return item;
+}
+
+/**
+ * Embed CSL-JSON items as a JSON data block, one item per line.
+ * `<` is escaped so no value can close the script early.
+ *
+ * @param {Object[]} publications - In page order
+ * @returns {string}
+ */
+function renderCitationMetadata(publications) {
+  const items = publications
+    .map(pub => `  ${JSON.stringify(toCslItem(pub)).replace(/</g, '\\u003c')}`)
+    .join(',\n');
+
+  return `<script type="application/json" id="publication-metadata">\n[\n${items}\n]\n</script>`;
+}
+
+module.exports = {
+  cslName,
+  toCslItem,
+  renderCitationMetadata
+};
@@ -0,0 +1,274 @@
+/**
+ * External link audit
+ *
+ * Collects every `target="_blank"` link across the site's pages and flags
+ * empty, malformed and duplicate hrefs. Optionally requests each distinct URL
+ * through an HTTP client and reports those that fail or answer with an error
+ * status. The client is a plain function, so tests (or a proxy) can swap it.
+ *
+ * `gulp check-external` runs the audit; set `CHECK_STATUS=1` to also request
+ * every URL, and `EXTERNAL_LINKS_REPORT=<file>` to write the JSON report.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { ROOT } = require('./pages');
+const { loadSite } = require('./site');
+const { listPages, resolveLocal } = require('./link-check');
+
+const STATUS_TIMEOUT = 10000;
+const STATUS_CONCURRENCY = 4;
+const MAX_REDIRECTS = 5;
+
+// Problem kinds that fail the audit; the rest are reported as warnings
+const ERROR_KINDS = ['empty', 'malformed', 'status'];
+
+/**
+ * Every `target="_blank"` link on the given pages.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.root] - Site root directory
+ * @param {string[]} [options.pages] - Pages to scan (default: every HTML page)
+ * @returns {{page: string, line: number, url: string, text: string}[]}
+ */
+function collectExternalLinks(options = {}) {
+  const root = options.root || ROOT;
+  const pages = options.pages || listPages(root);
+
+  return pages.flatMap(page => {
+    const dom = new JSDOM(fs.readFileSync(path.join(root, page), 'utf-8'), { includeNodeLocations: true });
+
+    return Array.from(dom.window.document.querySelectorAll('a[target="_blank"]')).map(element => {
+      const location = dom.nodeLocation(element);
+      return {
+        page,
+        line: location ? location.startLine : null,
+        url: element.getAttribute('href') || '',
+        text: element.textContent.replace(/\s+/g, ' ').trim()
+      };
+    });
+  });
+}
+
+// Absolute http(s) URL, or null if the href cannot be one
+function parseExternal(url) {
+  try {
+    const parsed = new URL(url);
+    return /^https?:$/.test(parsed.protocol) && parsed.hostname ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Flag empty, malformed and duplicate hrefs. Links that resolve inside the
+ * site (relative paths, the site's own base URL) are left to check-links.
+ *
+ * @param {Object[]} links - From collectExternalLinks()
+ * @param {string} [baseUrl] - Site base URL
+ * @returns {{external: Object[], problems: Object[]}} The external links and the problems found
+ */
+function auditLinks(links, baseUrl) {
+  const external = [];
+  const problems = [];
+  const seen = new Map();
+
+  links.forEach(link => {
+    const problem = (kind, reason) => problems.push({ kind, page: link.page, line: link.line, url: link.url, reason });
+
+    if (!link.url.trim()) {
+      problem('empty', `empty href on "${link.text}"`);
+      return;
+    }
+    if (link.url.trim() !== link.url) {
+      problem('malformed', 'href has leading or trailing whitespace');
+      return;
+    }
+    if (resolveLocal(link.url, link.page, baseUrl)) return;
+    if (!parseExternal(link.url)) {
+      problem('malformed', 'not an absolute http(s) URL');
+      return;
+    }
+
+    // The same URL twice on one page is usually a copy-paste slip
+    const key = `${link.page} ${link.url}`;
+    if (seen.has(key)) {
+      problem('duplicate', `also linked on line ${seen.get(key).line}`);
+    } else {
+      seen.set(key, link);
+    }
+    external.push(link);
+  });
+
+  return { external, problems };
+}
+
+/**
+ * Default HTTP client: a HEAD request (GET when HEAD is refused), following
+ * redirects.
+ *
+ * @param {string} url - Absolute http(s) URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds before the request is abandoned
+ * @returns {Promise<{status: number, url: string}>} Final status and URL
+ */
+function httpClient(url, options = {}) {
+  const timeout = options.timeout || STATUS_TIMEOUT;
+
+  function request(target, method, redirects) {
+    return new Promise((resolve, reject) => {
+      const transport = target.startsWith('https:') ? https : http;
+      const req = transport.request(target, { method, timeout, headers: { 'User-Agent': 'link-audit' } }, res => {
+        res.resume();
+        const { statusCode: status, headers } = res;
+
+        if (status >= 300 && status < 400 && headers.location) {
+          if (redirects >= MAX_REDIRECTS) {
+            reject(new Error(`more than ${MAX_REDIRECTS} redirects`));
+            return;
+          }
+          resolve(request(new URL(headers.location, target).href, method, redirects + 1));
+        } else if (method === 'HEAD' && (status === 405 || status === 501)) {
+          resolve(request(target, 'GET', redirects));
+        } else {
+          resolve({ status, url: target });
+        }
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`timed out after ${timeout} ms`)));
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  return request(url, 'HEAD', 0);
+}
+
+/**
+ * Request each distinct URL once.
+ *
+ * @param {string[]} urls - Absolute URLs
+ * @param {Object} [options]
+ * @param {Function} [options.client] - `(url, {timeout}) => Promise<{status}>`
+ * @param {number} [options.timeout] - Per-request timeout in milliseconds
+ * @param {number} [options.concurrency] - Requests in flight at once
+ * @returns {Promise<Object[]>} `{url, status, ok, error?}` per URL, in input order
+ */
+async function checkStatus(urls, options = {}) {
+  const client = options.client || httpClient;
+  const timeout = options.timeout || STATUS_TIMEOUT;
+  const unique = [...new Set(urls)];
+  const results = new Array(unique.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < unique.length) {
+      const index = next++;
+      const url = unique[index];
+      try {
+        const { status } = await client(url, { timeout });
+        results[index] = { url, status, ok: status < 400 };
+      } catch (error) {
+        results[index] = { url, status: null, ok: false, error: error.message };
+      }
+    }
+  }
+
+  const workers = Math.min(options.concurrency || STATUS_CONCURRENCY, unique.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Run the audit.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.root] - Site root directory
+ * @param {string[]} [options.pages] - Pages to scan
+ * @param {string} [options.baseUrl] - Site base URL (default: from data/site.json)
+ * @param {boolean} [options.status] - Also request every URL
+ * @param {Function} [options.client] - HTTP client for the status check
+ * @param {number} [options.timeout] - Per-request timeout in milliseconds
+ * @param {number} [options.concurrency] - Requests in flight at once
+ * @returns {Promise<Object>} JSON-serialisable report
+ */
+async function auditExternalLinks(options = {}) {
+  const baseUrl = options.baseUrl === undefined ? loadSite().baseUrl : options.baseUrl;
+  const links = collectExternalLinks(options);
+  const { external, problems } = auditLinks(links, baseUrl);
+  const report = {
+    pages: [...new Set(links.map(link => link.page))].length,
+    links: links.length,
+    urls: new Set(external.map(link => link.url)).size,
+    statusChecked: Boolean(options.status),
+    problems
+  };
+
+  if (options.status) {
+    const statuses = await checkStatus(external.map(link => link.url), options);
+    const failed = new Map(statuses.filter(result => !result.ok).map(result => [result.url, result]));
+
+    external.filter(link => failed.has(link.url)).forEach(link => {
+      const result = failed.get(link.url);
+      problems.push({
+        kind: 'status',
+        page: link.page,
+        line: link.line,
+        url: link.url,
+        status: result.status,
+        reason: result.error || `HTTP ${result.status}`
+      });
+    });
+  }
+
+  problems.sort((a, b) => a.page.localeCompare(b.page) || (a.line || 0) - (b.line || 0));
+  report.errors = problems.filter(problem => ERROR_KINDS.includes(problem.kind)).length;
+  report.warnings = problems.length - report.errors;
+  return report;
+}
+
+/**
+ * Human-readable report, grouped by page.
+ *
+ * @param {Object} report - From auditExternalLinks()
+ * @returns {string}
+ */
+function formatExternalReport(report) {
+  const pages = new Map();
+
+  report.problems.forEach(problem => {
+    if (!pages.has(problem.page)) pages.set(problem.page, []);
+    pages.get(problem.page).push(`  line ${problem.line}: [${problem.kind}] ${problem.url ? `${problem.url} - ` : ''}${problem.reason}`);
+  });
+
+  const summary = `${report.links} external links (${report.urls} distinct URLs) on ${report.pages} pages: ` +
+    `${report.errors} error(s), ${report.warnings} warning(s)${report.statusChecked ? '' : ', status not checked'}`;
+
+  return [...Array.from(pages, ([page, lines]) => [page, ...lines].join('\n')), summary].join('\n\n');
+}
+
+// Gulp task: audit external links; fails on empty, malformed or unreachable URLs
+async function checkExternalLinksTask() {
+  const report = await auditExternalLinks({ status: process.env.CHECK_STATUS === '1' });
+
+  console.log(formatExternalReport(report));
+  if (process.env.EXTERNAL_LINKS_REPORT) {
+    fs.writeFileSync(process.env.EXTERNAL_LINKS_REPORT, `${JSON.stringify(report, null, 2)}\n`);
+  }
+  if (report.errors) {
+    throw new Error(`${report.errors} external link problem(s)`);
+  }
+}
+
+module.exports = {
+  collectExternalLinks,
+  auditLinks,
+  httpClient,
+  checkStatus,
+  auditExternalLinks,
+  formatExternalReport,
+  checkExternalLinksTask
+};
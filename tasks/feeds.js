@@ -0,0 +1,210 @@
+/**
+ * News feeds
+ *
+ * Builds feed.xml (Atom 1.0) and rss.xml (RSS 2.0) from the news items in
+ * data/news.json. Links inside the news content are made absolute against
+ * the site base URL so they work in feed readers.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { sitePath } = require('./pages');
+const { loadSite, absoluteUrl } = require('./site');
+const { loadNews, splitNews, homepageWindow } = require('./news');
+
+const ATOM_FILE = 'feed.xml';
+const RSS_FILE = 'rss.xml';
+
+// Longest entry title, in characters, before it is cut at a word boundary
+const TITLE_LENGTH = 100;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Rewrite relative href/src attributes to absolute URLs.
+ * Empty attributes are left alone rather than pointed at the homepage.
+ *
+ * @param {string} html
+ * @param {Object} site - Settings from loadSite()
+ * @returns {string}
+ */
+function absolutizeLinks(html, site) {
+  return html.replace(/\b(href|src)="([^"]+)"/g, (match, attr, target) => (
+    `${attr}="${absoluteUrl(site, target)}"`
+  ));
+}
+
+/**
+ * Plain-text title for a news item, taken from its content.
+ *
+ * @param {string} html - News content
+ * @returns {string}
+ */
+function newsTitle(html) {
+  const text = html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (text.length <= TITLE_LENGTH) return text;
+
+  const cut = text.slice(0, TITLE_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(' ')).replace(/[\s,;:.]+$/, '')}…`;
+}
+
+// Month-only dates stand for the first of the month
+function isoDay(date) {
+  return date.length === 7 ? `${date}-01` : date;
+}
+
+// Short hash of an entry title, for ids that do not depend on list order
+function titleHash(title) {
+  return crypto.createHash('sha1').update(title).digest('hex').slice(0, 10);
+}
+
+/**
+ * Turn news items into feed entries with stable ids and absolute links.
+ * Ids are tag URIs built from the item date and a hash of its title, so they
+ * survive the item moving to the archive and other news being added on the
+ * same day. Items with the same date and title are numbered in list order.
+ *
+ * @param {Object[]} items - News items, newest first
+ * @param {Object} site - Settings from loadSite()
+ * @param {number|Object} [homepage] - Homepage window (default: from site settings)
+ * @returns {Object[]}
+ */
+function toFeedEntries(items, site, homepage = homepageWindow(site)) {
+  const host = new URL(site.baseUrl).hostname;
+  const { latest } = splitNews(items, homepage);
+  const seen = {};
+
+  return items.map(item => {
+    const day = isoDay(item.date);
+    const title = newsTitle(item.content);
+    const id = `tag:${host},${day}:news-${titleHash(title)}`;
+    seen[id] = (seen[id] || 0) + 1;
+
+    return {
+      id: seen[id] > 1 ? `${id}-${seen[id]}` : id,
+      title,
+      link: absoluteUrl(site, latest.includes(item) ? '' : 'news.html'),
+      updated: `${day}T00:00:00Z`,
+      content: absolutizeLinks(item.content, site)
+    };
+  });
+}
+
+/**
+ * Render an Atom 1.0 feed.
+ *
+ * @param {Object[]} entries - From toFeedEntries()
+ * @param {Object} site - Settings from loadSite()
+ * @returns {string}
+ */
+function renderAtom(entries, site) {
+  const updated = entries.length ? entries[0].updated : new Date(0).toISOString();
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(site.language)}">`,
+    `  <title>${escapeXml(site.title)} - News</title>`,
+    `  <subtitle>${escapeXml(site.description)}</subtitle>`,
+    `  <id>${escapeXml(absoluteUrl(site))}</id>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(absoluteUrl(site, 'news.html'))}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(absoluteUrl(site, ATOM_FILE))}"/>`,
+    `  <updated>${updated}</updated>`,
+    '  <author>',
+    `    <name>${escapeXml(site.author.name)}</name>`,
+    `    <email>${escapeXml(site.author.email)}</email>`,
+    '  </author>',
+    ...entries.map(entry => [
+      '  <entry>',
+      `    <id>${escapeXml(entry.id)}</id>`,
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>`,
+      `    <updated>${entry.updated}</updated>`,
+      `    <content type="html">${escapeXml(entry.content)}</content>`,
+      '  </entry>'
+    ].join('\n')),
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render an RSS 2.0 feed.
+ *
+ * @param {Object[]} entries - From toFeedEntries()
+ * @param {Object} site - Settings from loadSite()
+ * @returns {string}
+ */
+function renderRss(entries, site) {
+  const rfc822 = (timestamp) => new Date(timestamp).toUTCString();
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(site.title)} - News</title>`,
+    `    <link>${escapeXml(absoluteUrl(site, 'news.html'))}</link>`,
+    `    <description>${escapeXml(site.description)}</description>`,
+    `    <language>${escapeXml(site.language)}</language>`,
+    `    <atom:link href="${escapeXml(absoluteUrl(site, RSS_FILE))}" rel="self" type="application/rss+xml"/>`,
+    ...(entries.length ? [`    <lastBuildDate>${rfc822(entries[0].updated)}</lastBuildDate>`] : []),
+    ...entries.map(entry => [
+      '    <item>',
+      `      <title>${escapeXml(entry.title)}</title>`,
+      `      <link>${escapeXml(entry.link)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+      `      <pubDate>${rfc822(entry.updated)}</pubDate>`,
+      `      <description>${escapeXml(entry.content)}</description>`,
+      '    </item>'
+    ].join('\n')),
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+// Gulp task: write feed.xml and rss.xml from the news data
+function buildFeeds(cb) {
+  const site = loadSite();
+  const entries = toFeedEntries(loadNews(), site);
+
+  [
+    [ATOM_FILE, renderAtom(entries, site)],
+    [RSS_FILE, renderRss(entries, site)]
+  ].forEach(([name, xml]) => {
+    const file = sitePath(name);
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+
+    if (xml !== current) {
+      fs.writeFileSync(file, xml);
+      console.log(`Wrote ${name}`);
+    }
+  });
+  cb();
+}
+
+module.exports = {
+  ATOM_FILE,
+  RSS_FILE,
+  absolutizeLinks,
+  newsTitle,
+  toFeedEntries,
+  renderAtom,
+  renderRss,
+  buildFeeds
+};
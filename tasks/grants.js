@@ -0,0 +1,118 @@
+/**
+ * Grants build step
+ *
+ * Renders the Grants cards on awards.html (region `grants`) from
+ * data/grants.json. Each grant is
+ * `{ period, title, investigators, program?, funder: { name, url }, term, role }`
+ * with `period` written as "YYYY" or "YYYY-YYYY".
+ */
+
+const fs = require('fs');
+const { sitePath } = require('./pages');
+const { replaceRegion, escapeHtml } = require('./html-regions');
+const { CURRENT_AUTHOR_NAMES } = require('./publications');
+
+const GRANTS_FILE = sitePath('data/grants.json');
+const PAGE_FILE = sitePath('awards.html');
+
+/**
+ * Read grants from disk, in page order.
+ *
+ * @param {string} [file] - Path to the grants JSON file
+ * @returns {Object[]}
+ */
+function loadGrants(file = GRANTS_FILE) {
+  const grants = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  grants.forEach(grant => {
+    if (!/^\d{4}(-\d{4})?$/.test(grant.period || '')) {
+      throw new Error(`Grant "${grant.title}" has invalid period "${grant.period}"`);
+    }
+    if (!grant.title || !grant.funder || !grant.funder.name) {
+      throw new Error('Every grant needs a title and a funder name');
+    }
+  });
+
+  return grants;
+}
+
+/**
+ * Start and end year of a grant period.
+ *
+ * @param {string} period - "YYYY" or "YYYY-YYYY"
+ * @returns {{start: string, end: string}}
+ */
+function grantYears(period) {
+  const [start, end] = period.split('-');
+  return { start, end: end || start };
+}
+
+function renderFunder(funder) {
+  const name = escapeHtml(funder.name);
+
+  return funder.url
+    ? `<a href="${escapeHtml(funder.url)}" target="_blank" rel="noopener noreferrer">${name}</a>`
+    : name;
+}
+
+/**
+ * Render one grant as a `card-custom` article.
+ *
+ * @param {Object} grant
+ * @returns {string}
+ */
+function renderGrantCard(grant) {
+  const investigators = grant.investigators
+    .map(name => (CURRENT_AUTHOR_NAMES.includes(name) ? `<strong>${escapeHtml(name)}</strong>` : escapeHtml(name)))
+    .join(', ');
+  const awarded = grant.program
+    ? `${escapeHtml(grant.program)}, awarded by`
+    : 'Awarded by';
+
+  return [
+    '<article class="card-custom">',
+    '    <div class="d-flex gap-4 flex-column flex-md-row">',
+    `        <div class="text-primary font-semibold" style="min-width: 120px;">${escapeHtml(grant.period)}</div>`,
+    '        <div class="flex-grow-1">',
+    `            <h3 class="text-lg font-semibold mb-3">${escapeHtml(grant.title)}</h3>`,
+    '            <p class="mb-2">',
+    `                <em>${investigators}. ${awarded} ${renderFunder(grant.funder)} ${escapeHtml(grant.term)}</em>`,
+    '            </p>',
+    `            <p class="mb-0"><strong>Role:</strong> ${escapeHtml(grant.role)}</p>`,
+    '        </div>',
+    '    </div>',
+    '</article>'
+  ].join('\n');
+}
+
+/**
+ * Render the grant cards into awards.html markup.
+ *
+ * @param {string} html
+ * @param {Object[]} grants
+ * @returns {string}
+ */
+function renderGrantsPage(html, grants) {
+  return replaceRegion(html, 'grants', grants.map(renderGrantCard).join('\n\n'));
+}
+
+// Gulp task: regenerate the Grants section of awards.html
+function buildGrants(cb) {
+  const html = fs.readFileSync(PAGE_FILE, 'utf-8');
+  const updated = renderGrantsPage(html, loadGrants());
+
+  if (updated !== html) {
+    fs.writeFileSync(PAGE_FILE, updated);
+    console.log('Updated awards.html from data/grants.json');
+  }
+  cb();
+}
+
+module.exports = {
+  GRANTS_FILE,
+  loadGrants,
+  grantYears,
+  renderGrantCard,
+  renderGrantsPage,
+  buildGrants
+};
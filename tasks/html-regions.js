@@ -0,0 +1,78 @@
+/**
+ * Generated regions in the site's HTML pages
+ *
+ * Build tasks write their output between a pair of marker comments so the
+ * committed pages stay the deployable site (GitHub Pages serves them as-is):
+ *
+ *     <!-- build:publications:journal -->
+ *     ...generated markup...
+ *     <!-- /build:publications:journal -->
+ *
+ * Everything outside the markers is left untouched.
+ */
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function regionPattern(name) {
+  const id = escapeRegExp(name);
+  return new RegExp(`([ \\t]*)<!-- build:${id} -->[\\s\\S]*?<!-- /build:${id} -->`);
+}
+
+/**
+ * Check whether a page contains a generated region.
+ *
+ * @param {string} html - Page markup
+ * @param {string} name - Region name
+ * @returns {boolean}
+ */
+function hasRegion(html, name) {
+  return regionPattern(name).test(html);
+}
+
+/**
+ * Replace the contents of a generated region.
+ * Each line of `content` is indented to match the opening marker.
+ *
+ * @param {string} html - Page markup
+ * @param {string} name - Region name
+ * @param {string} content - New region contents (unindented)
+ * @returns {string} Updated markup
+ */
+function replaceRegion(html, name, content) {
+  const pattern = regionPattern(name);
+
+  if (!pattern.test(html)) {
+    throw new Error(`Missing <!-- build:${name} --> region`);
+  }
+
+  return html.replace(pattern, (match, indent) => {
+    const body = content
+      .split('\n')
+      .map(line => (line.trim() ? indent + line : ''))
+      .join('\n');
+
+    return `${indent}<!-- build:${name} -->\n${body}\n${indent}<!-- /build:${name} -->`;
+  });
+}
+
+/**
+ * Escape text for use in HTML content and attribute values.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  hasRegion,
+  replaceRegion,
+  escapeHtml
+};
@@ -0,0 +1,185 @@
+/**
+ * Site languages and translation files
+ *
+ * English pages are the source; each data/i18n/<code>.json adds a language
+ * whose pages are built under <code>/ (vi/index.html, ...). A translation file
+ * holds the language's display `name`, its Intl `locale` and `strings` keyed
+ * by section, e.g. `strings.index.bio`, which pages reference as
+ * `data-i18n="index.bio"`. Names, paper titles and venues are never marked, so
+ * they stay as written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sitePath } = require('./pages');
+const { escapeHtml } = require('./html-regions');
+const { absoluteUrl } = require('./site');
+const { parseDatetime } = require('./news-dates');
+
+const I18N_DIR = sitePath('data/i18n');
+
+/**
+ * Read and check one translation file.
+ *
+ * @param {string} code - Language code, the file name without extension
+ * @param {string} [dir] - Directory holding the translation files
+ * @returns {{code: string, name: string, locale: string, strings: Object}}
+ */
+function loadTranslation(code, dir = I18N_DIR) {
+  const file = path.join(dir, `${code}.json`);
+  const translation = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  if (!/^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(code)) {
+    throw new Error(`${file}: "${code}" is not a language code`);
+  }
+  ['name', 'locale'].forEach(field => {
+    if (typeof translation[field] !== 'string' || !translation[field].trim()) {
+      throw new Error(`${file}: "${field}" is required`);
+    }
+  });
+  if (!translation.strings || typeof translation.strings !== 'object') {
+    throw new Error(`${file}: "strings" must be an object of sections`);
+  }
+  Object.entries(translation.strings).forEach(([section, entries]) => {
+    Object.entries(entries || {}).forEach(([key, value]) => {
+      if (typeof value !== 'string') throw new Error(`${file}: ${section}.${key} must be a string`);
+    });
+  });
+
+  return { code, name: translation.name, locale: translation.locale, strings: translation.strings };
+}
+
+/**
+ * Every site language, the default (English source) one first.
+ *
+ * @param {Object} site - Settings from loadSite()
+ * @param {string} [dir] - Directory holding the translation files
+ * @returns {Object[]} Languages as returned by loadTranslation()
+ */
+function loadLanguages(site, dir = I18N_DIR) {
+  const translations = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()
+      .map(name => loadTranslation(path.basename(name, '.json'), dir))
+    : [];
+
+  translations.forEach(translation => {
+    if (translation.code === site.language) {
+      throw new Error(`data/i18n/${translation.code}.json translates into the source language`);
+    }
+  });
+
+  return [
+    { code: site.language, name: site.languageName || site.language, locale: site.language, strings: {} },
+    ...translations
+  ];
+}
+
+/**
+ * Look up a `section.key` string.
+ *
+ * @param {Object} strings - A translation's strings
+ * @param {string} key
+ * @returns {string|undefined}
+ */
+function translate(strings, key) {
+  const [section, name] = key.split('.');
+  const entries = strings[section];
+  return entries && name && Object.prototype.hasOwnProperty.call(entries, name) ? entries[name] : undefined;
+}
+
+/**
+ * Site-relative path of a page in a language: "news.html", "vi/news.html".
+ *
+ * @param {string} page - File name of the source page
+ * @param {string} code - Language code
+ * @param {Object} site - Settings from loadSite()
+ * @returns {string}
+ */
+function localizedPath(page, code, site) {
+  return code === site.language ? page : `${code}/${page}`;
+}
+
+/**
+ * Public URL of a page in a language; index pages are addressed by their
+ * directory.
+ *
+ * @param {string} page
+ * @param {string} code
+ * @param {Object} site
+ * @returns {string}
+ */
+function localizedUrl(page, code, site) {
+  return absoluteUrl(site, localizedPath(page, code, site).replace(/(^|\/)index\.html$/, '$1'));
+}
+
+/**
+ * `<link rel="alternate" hreflang>` for every language of a page, the
+ * current one included.
+ *
+ * @param {string} page
+ * @param {Object} site
+ * @param {Object[]} languages - From loadLanguages()
+ * @returns {string}
+ */
+function renderAlternateLinks(page, site, languages) {
+  return languages
+    .map(language => `<link rel="alternate" hreflang="${language.code}" href="${escapeHtml(localizedUrl(page, language.code, site))}">`)
+    .join('\n');
+}
+
+/**
+ * Navbar items linking to the same page in every other language.
+ *
+ * @param {string} page
+ * @param {string} current - Language code of the page being built
+ * @param {Object} site
+ * @param {Object[]} languages
+ * @returns {string}
+ */
+function renderLanguageLinks(page, current, site, languages) {
+  const from = path.posix.dirname(localizedPath(page, current, site));
+
+  return languages.filter(language => language.code !== current).map(language => {
+    const href = path.posix.relative(from, localizedPath(page, language.code, site));
+    return [
+      '<li class="nav-item language-switcher">',
+      `    <a class="nav-link" href="${escapeHtml(href)}" hreflang="${language.code}" lang="${language.code}">${escapeHtml(language.name)}</a>`,
+      '</li>'
+    ].join('\n');
+  }).join('\n');
+}
+
+/**
+ * Format a `<time datetime>` value for a locale: a day, a month, or a range
+ * of days ("2024-10-05/2024-10-13").
+ *
+ * @param {string} datetime
+ * @param {string} locale - BCP 47 locale, e.g. "vi-VN"
+ * @returns {string|null} Null if the value is not an ISO date or interval
+ */
+function formatDatetime(datetime, locale) {
+  const range = parseDatetime(datetime);
+  if (!range) return null;
+
+  const monthOnly = range.start.length === 7;
+  const format = new Intl.DateTimeFormat(locale, monthOnly
+    ? { month: 'long', year: 'numeric', timeZone: 'UTC' }
+    : { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+  const date = value => new Date(`${monthOnly ? `${value}-01` : value}T00:00:00Z`);
+
+  return range.end
+    ? format.formatRange(date(range.start), date(range.end))
+    : format.format(date(range.start));
+}
+
+module.exports = {
+  I18N_DIR,
+  loadTranslation,
+  loadLanguages,
+  translate,
+  localizedPath,
+  localizedUrl,
+  renderAlternateLinks,
+  renderLanguageLinks,
+  formatDatetime
+};
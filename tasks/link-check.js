@@ -0,0 +1,250 @@
+/**
+ * Link and asset integrity check
+ *
+ * Parses every HTML page of the site and verifies that local references
+ * resolve: href/src/srcset targets must exist on disk and `#fragment` targets
+ * must match an element id (or `<a name>`) in the target page. Links to the
+ * site's own base URL are treated as local. External URLs and empty hrefs are
+ * left to the external link audit.
+ *
+ * Files listed in data/link-check.json as known to be missing are still
+ * reported, but as warnings that do not fail the check, until the file is
+ * added or its links are removed. Each entry gives a `reason` and an `expires`
+ * date (`YYYY-MM-DD`); after that day its links fail the check again, so the
+ * list has to be reviewed rather than left to grow.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { ROOT } = require('./pages');
+const { loadSite } = require('./site');
+
+// Directories that hold no site pages
+const SKIP_DIRS = ['node_modules', 'vendor', 'partials', 'resources', 'tests', 'coverage', 'css', 'js', 'img', 'data', 'tasks'];
+
+// Elements and attributes that reference other files
+const REFERENCES = [
+  ['a[href]', 'href'],
+  ['area[href]', 'href'],
+  ['link[href]', 'href'],
+  ['script[src]', 'src'],
+  ['img[src]', 'src'],
+  ['iframe[src]', 'src'],
+  ['source[src]', 'src'],
+  ['video[src]', 'src'],
+  ['audio[src]', 'src'],
+  ['video[poster]', 'poster'],
+  ['img[srcset]', 'srcset'],
+  ['source[srcset]', 'srcset']
+];
+
+// Stand-in origin for resolving relative URLs
+const LOCAL_ORIGIN = 'http://site.invalid';
+
+// Known missing files, relative to the site root
+const KNOWN_MISSING_FILE = 'data/link-check.json';
+
+/**
+ * HTML pages under the site root, as root-relative paths.
+ *
+ * @param {string} [root] - Site root directory
+ * @returns {string[]}
+ */
+function listPages(root = ROOT) {
+  const pages = [];
+
+  (function walk(dir) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const relative = path.relative(root, path.join(dir, entry.name));
+
+      if (entry.isDirectory()) {
+        // Dot and underscore directories are not published by GitHub Pages (Jekyll)
+        if (!/^[._]/.test(entry.name) && !SKIP_DIRS.includes(relative)) walk(path.join(dir, entry.name));
+      } else if (entry.name.endsWith('.html')) {
+        pages.push(relative.split(path.sep).join('/'));
+      }
+    });
+  })(root);
+
+  return pages.sort();
+}
+
+// URLs listed in a srcset attribute
+function srcsetUrls(value) {
+  return value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean);
+}
+
+/**
+ * Resolve a reference from a page to a local file path and fragment.
+ *
+ * @param {string} url - Attribute value
+ * @param {string} page - Root-relative path of the referring page
+ * @param {string} [baseUrl] - Site base URL; URLs under it count as local
+ * @returns {{file: string, fragment: string}|null} Null for external or empty references
+ */
+function resolveLocal(url, page, baseUrl) {
+  let target = url.trim();
+
+  if (!target) return null;
+  if (baseUrl && (target === baseUrl || target.startsWith(`${baseUrl}/`))) {
+    target = target.slice(baseUrl.length) || '/';
+  }
+  // Other schemes (http:, mailto:, data:, ...) and protocol-relative URLs are external
+  if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('//')) return null;
+
+  const resolved = new URL(target, `${LOCAL_ORIGIN}/${page}`);
+  let file;
+  try {
+    file = decodeURIComponent(resolved.pathname).replace(/^\/+/, '');
+  } catch (error) {
+    file = resolved.pathname.replace(/^\/+/, '');
+  }
+  if (file === '' || file.endsWith('/')) file += 'index.html';
+
+  return { file, fragment: resolved.hash ? decodeURIComponent(resolved.hash.slice(1)) : '' };
+}
+
+const EXPIRES_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Files known to be missing, from data/link-check.json under a site root.
+ *
+ * @param {string} [root] - Site root directory
+ * @returns {Map<string, {reason: string, expires: string}>} Entries by
+ *   root-relative file path
+ */
+function loadKnownMissing(root = ROOT) {
+  const file = path.join(root, KNOWN_MISSING_FILE);
+
+  if (!fs.existsSync(file)) return new Map();
+  return new Map(JSON.parse(fs.readFileSync(file, 'utf-8')).knownMissing.map(entry => {
+    if (!entry.reason || !EXPIRES_PATTERN.test(entry.expires || '')) {
+      throw new Error(`${KNOWN_MISSING_FILE}: "${entry.file}" needs a reason and an expires date (YYYY-MM-DD)`);
+    }
+    return [entry.file, { reason: entry.reason, expires: entry.expires }];
+  }));
+}
+
+/**
+ * Check every page under a site root.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.root] - Site root directory
+ * @param {string[]} [options.pages] - Pages to check (default: every HTML page)
+ * @param {string} [options.baseUrl] - Site base URL (default: from data/site.json)
+ * @param {string} [options.today] - Date to check expiry against, `YYYY-MM-DD`
+ *   (default: today)
+ * @returns {{page: string, problems: Object[]}[]} One result per page; problems
+ *   with missing files listed in data/link-check.json are marked `known` until
+ *   their entry expires
+ */
+function checkLinks(options = {}) {
+  const root = options.root || ROOT;
+  const pages = options.pages || listPages(root);
+  const baseUrl = options.baseUrl === undefined ? loadSite().baseUrl : options.baseUrl;
+  const today = options.today || new Date().toISOString().slice(0, 10);
+  const knownMissing = loadKnownMissing(root);
+  const documents = new Map();
+
+  // Parsed pages, loaded once whether checked or linked to
+  function load(page) {
+    if (!documents.has(page)) {
+      const dom = new JSDOM(fs.readFileSync(path.join(root, page), 'utf-8'), { includeNodeLocations: true });
+      const anchors = new Set();
+      dom.window.document.querySelectorAll('[id], a[name]').forEach(element => {
+        anchors.add(element.getAttribute('id') || element.getAttribute('name'));
+      });
+      documents.set(page, { dom, anchors });
+    }
+    return documents.get(page);
+  }
+
+  function exists(file) {
+    const full = path.join(root, file);
+    if (!fs.existsSync(full)) return false;
+    return fs.statSync(full).isFile() || fs.existsSync(path.join(full, 'index.html'));
+  }
+
+  return pages.map(page => {
+    const { dom } = load(page);
+    const problems = [];
+
+    REFERENCES.forEach(([selector, attribute]) => {
+      dom.window.document.querySelectorAll(selector).forEach(element => {
+        const value = element.getAttribute(attribute);
+        const urls = attribute === 'srcset' ? srcsetUrls(value) : [value];
+        const location = dom.nodeLocation(element);
+
+        urls.forEach(url => {
+          const target = resolveLocal(url, page, baseUrl);
+          if (!target) return;
+
+          const report = (reason, known = false) => problems.push({ line: location ? location.startLine : null, attribute, url, reason, known });
+
+          if (!exists(target.file)) {
+            const entry = knownMissing.get(target.file);
+
+            if (entry && entry.expires < today) {
+              report(`missing file ${target.file}, listed as known until ${entry.expires}`);
+            } else {
+              report(`missing file ${target.file}`, Boolean(entry));
+            }
+          } else if (target.fragment && target.file.endsWith('.html') && !load(target.file).anchors.has(target.fragment)) {
+            report(`no element with id "${target.fragment}" in ${target.file}`);
+          }
+        });
+      });
+    });
+
+    problems.sort((a, b) => (a.line || 0) - (b.line || 0));
+    return { page, problems };
+  });
+}
+
+/**
+ * Human-readable report of the pages with problems.
+ *
+ * @param {Object[]} results - From checkLinks()
+ * @returns {string}
+ */
+function formatReport(results) {
+  return results
+    .filter(result => result.problems.length)
+    .map(result => [
+      `${result.page} (${result.problems.length})`,
+      ...result.problems.map(problem => `  line ${problem.line}: ${problem.attribute}="${problem.url}" - ${problem.reason}${problem.known ? ` (known, see ${KNOWN_MISSING_FILE})` : ''}`)
+    ].join('\n'))
+    .join('\n\n');
+}
+
+// Gulp task: fail when any local link or asset does not resolve, apart from
+// known missing files, which are only reported
+function checkLinksTask(cb) {
+  const results = checkLinks();
+  const problems = results.flatMap(result => result.problems);
+  const broken = problems.filter(problem => !problem.known).length;
+
+  if (broken) {
+    console.error(formatReport(results));
+    const pages = results.filter(result => result.problems.some(problem => !problem.known)).length;
+    cb(new Error(`${broken} broken local link(s) on ${pages} page(s)`));
+    return;
+  }
+
+  if (problems.length) {
+    console.warn(formatReport(results));
+    console.warn(`${problems.length} link(s) to known missing files (${KNOWN_MISSING_FILE})`);
+  }
+  console.log(`All ${problems.length ? 'other ' : ''}local links resolve on ${results.length} pages`);
+  cb();
+}
+
+module.exports = {
+  listPages,
+  resolveLocal,
+  loadKnownMissing,
+  checkLinks,
+  formatReport,
+  checkLinksTask
+};
@@ -0,0 +1,225 @@
+/**
+ * News date consistency check
+ *
+ * Parses every `time.news-date` on the site's pages and verifies that:
+ * - the `datetime` attribute is a valid ISO date (`YYYY-MM-DD` or `YYYY-MM`)
+ *   or, for ranges, an ISO interval (`2024-10-05/2024-10-13`)
+ * - the visible text ("Oct 14, 2025", "May 2021", "Oct 5-13, 2024",
+ *   "Sep 30 - Oct 2, 2024") names the same date or range
+ * - each news list is in reverse-chronological order
+ *
+ * Translated pages (`<html lang>` other than English) show dates formatted
+ * from `datetime` by the translation build, so only their `datetime` values
+ * and order are checked.
+ *
+ * Problems are reported with the file and line of the offending element.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { ROOT } = require('./pages');
+const { listPages } = require('./link-check');
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const ISO_PATTERN = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/;
+
+// "Oct" / "October" / "Sept." -> 1-12, or 0 if not a month name
+function monthNumber(name) {
+  const key = name.toLowerCase().replace(/\.$/, '');
+  return MONTHS.findIndex(month => key === month || key === month.slice(0, 3) || (key === 'sept' && month === 'september')) + 1;
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// ISO string for a year, month and optional day, or null if not a real date
+function isoDate(year, month, day) {
+  if (!month || month > 12) return null;
+  if (day === undefined) return `${year}-${pad(month)}`;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Parse a `datetime` attribute.
+ *
+ * @param {string} value - ISO date or ISO interval `start/end`
+ * @returns {{start: string, end: string|null}|null} Null if invalid
+ */
+function parseDatetime(value) {
+  const parts = (value || '').split('/');
+  if (parts.length > 2) return null;
+
+  const dates = parts.map(part => {
+    const match = ISO_PATTERN.exec(part);
+    return match && isoDate(Number(match[1]), Number(match[2]), match[3] === undefined ? undefined : Number(match[3]));
+  });
+  if (dates.includes(null)) return null;
+
+  const [start, end = null] = dates;
+  // Intervals are between two days, in order
+  if (end && (start.length !== 10 || end.length !== 10 || end <= start)) return null;
+  return { start, end };
+}
+
+/**
+ * Parse the human-readable date of a news item.
+ *
+ * @param {string} text - e.g. "Oct 14, 2025", "May 2021", "Oct 5-13, 2024"
+ * @returns {{start: string, end: string|null}|null} Null if unrecognised
+ */
+function parseDisplayDate(text) {
+  const value = text.replace(/[–—]/g, '-').replace(/\s+/g, ' ').trim();
+  let match;
+
+  // May 2021
+  if ((match = /^([A-Za-z.]+) (\d{4})$/.exec(value))) {
+    const start = isoDate(Number(match[2]), monthNumber(match[1]));
+    return start && { start, end: null };
+  }
+  // Oct 14, 2025 / Oct 5-13, 2024
+  if ((match = /^([A-Za-z.]+) (\d{1,2})(?: ?- ?(\d{1,2}))?, (\d{4})$/.exec(value))) {
+    const [, month, day, endDay, year] = match;
+    const start = isoDate(Number(year), monthNumber(month), Number(day));
+    const end = endDay ? isoDate(Number(year), monthNumber(month), Number(endDay)) : null;
+    return start && (!endDay || end) ? { start, end } : null;
+  }
+  // Sep 30 - Oct 2, 2024 / Dec 30, 2024 - Jan 2, 2025
+  if ((match = /^([A-Za-z.]+) (\d{1,2})(?:, (\d{4}))? - ([A-Za-z.]+) (\d{1,2}), (\d{4})$/.exec(value))) {
+    const [, month, day, year, endMonth, endDay, endYear] = match;
+    const start = isoDate(Number(year || endYear), monthNumber(month), Number(day));
+    const end = isoDate(Number(endYear), monthNumber(endMonth), Number(endDay));
+    return start && end ? { start, end } : null;
+  }
+  return null;
+}
+
+function rangeText(range) {
+  return range.end ? `${range.start}/${range.end}` : range.start;
+}
+
+// Sortable key; month-only dates sort as the first of the month
+function sortKey(range) {
+  return range.start.length === 7 ? `${range.start}-01` : range.start;
+}
+
+/**
+ * Check the news dates of one page.
+ *
+ * @param {string} html - Page markup
+ * @param {string} file - Name used in the report
+ * @returns {{file: string, line: number, datetime: string, text: string, reason: string}[]}
+ */
+function checkNewsDates(html, file) {
+  const dom = new JSDOM(html, { includeNodeLocations: true });
+  const problems = [];
+  const lists = new Map();
+  const translated = !/^en\b/i.test(dom.window.document.documentElement.lang || 'en');
+
+  dom.window.document.querySelectorAll('time.news-date').forEach(element => {
+    const location = dom.nodeLocation(element);
+    const entry = {
+      file,
+      line: location ? location.startLine : null,
+      datetime: element.getAttribute('datetime') || '',
+      text: element.textContent.replace(/\s+/g, ' ').trim()
+    };
+    const report = reason => problems.push({ ...entry, reason });
+    const machine = parseDatetime(entry.datetime);
+    const human = translated ? null : parseDisplayDate(entry.text);
+
+    if (!machine) {
+      report(`datetime "${entry.datetime}" is not an ISO date or interval`);
+    } else if (translated) {
+      // Nothing to compare: the text was formatted from this datetime
+    } else if (!human) {
+      report(`"${entry.text}" is not a recognised date`);
+    } else if (rangeText(machine) !== rangeText(human)) {
+      report(`datetime "${entry.datetime}" does not match "${entry.text}" (${rangeText(human)})`);
+    }
+
+    // Order is checked within each list, by the date readers see
+    const range = human || machine;
+    const list = element.closest('ul, ol') || dom.window.document.body;
+    if (range) {
+      if (!lists.has(list)) lists.set(list, []);
+      lists.get(list).push({ ...entry, range });
+    }
+  });
+
+  lists.forEach(items => {
+    for (let i = 1; i < items.length; i++) {
+      const previous = items[i - 1];
+      if (sortKey(items[i].range) > sortKey(previous.range)) {
+        problems.push({
+          file,
+          line: items[i].line,
+          datetime: items[i].datetime,
+          text: items[i].text,
+          reason: `"${items[i].text}" is newer than "${previous.text}" above it (line ${previous.line})`
+        });
+      }
+    }
+  });
+
+  return problems.sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+/**
+ * Check every page with news dates.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.root] - Site root directory
+ * @param {string[]} [options.pages] - Pages to check (default: every HTML page)
+ * @returns {Object[]} Problems across all pages, as from checkNewsDates()
+ */
+function validateNewsDates(options = {}) {
+  const root = options.root || ROOT;
+  const pages = options.pages || listPages(root);
+
+  return pages.flatMap(page => {
+    const html = fs.readFileSync(path.join(root, page), 'utf-8');
+    return html.includes('news-date') ? checkNewsDates(html, page) : [];
+  });
+}
+
+/**
+ * One `file:line: reason` line per problem.
+ *
+ * @param {Object[]} problems
+ * @returns {string}
+ */
+function formatProblems(problems) {
+  return problems.map(problem => `${problem.file}:${problem.line}: ${problem.reason}`).join('\n');
+}
+
+// Gulp task: fail when a news date disagrees with itself or is out of order
+function checkNewsDatesTask(cb) {
+  const problems = validateNewsDates();
+
+  if (problems.length) {
+    console.error(formatProblems(problems));
+    cb(new Error(`${problems.length} news date problem(s)`));
+    return;
+  }
+
+  console.log('News dates are consistent and newest first');
+  cb();
+}
+
+module.exports = {
+  parseDatetime,
+  parseDisplayDate,
+  checkNewsDates,
+  validateNewsDates,
+  formatProblems,
+  checkNewsDatesTask
+};
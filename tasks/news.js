@@ -0,0 +1,359 @@
+/**
+ * News build step
+ *
+ * Renders the homepage "Latest News" list (index.html, region `news:latest`)
+ * and the "Past News" archive (news.html, region `news:archive`) from
+ * data/news.json. The homepage "View older news" link (region
+ * `news:archive-link`) is only rendered while the archive has items.
+ *
+ * The archive is grouped by year: a year index (`nav.news-year-index`) links
+ * to one `section.news-year` per year (id `y2021`), each with its own
+ * `ul.news-list` and item count. js/news-archive.js makes the years
+ * collapsible; without it every year is shown.
+ *
+ * How much news stays on the homepage is set by `news.homepage` in
+ * data/site.json: `{ "items": N }` keeps the newest N items, `{ "months": M }`
+ * keeps items from the M months up to the newest item, and both together
+ * apply both limits. The window is measured from the newest item rather than
+ * the build date, so the pages only change when news.json does.
+ *
+ * Each news item is `{ date, endDate?, label?, tags?, content }` where `date`
+ * is an ISO date (`YYYY-MM-DD`, or `YYYY-MM` for month-only items), `endDate`
+ * closes a multi-day range, `label` is the visible date text when it is
+ * written differently from formatNewsDate() (gulp check-news-dates still checks
+ * it against `date`), `tags` are keys of NEWS_TAGS and `content` is trusted
+ * HTML. Tags are rendered as `data-tags="paper,code"` on the `news-item` plus
+ * a badge per tag (translated as `news.tagPaper` and so on); js/news-filter.js
+ * filters news.html by them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sitePath } = require('./pages');
+const { replaceRegion, escapeHtml } = require('./html-regions');
+const { loadSite } = require('./site');
+
+const NEWS_FILE = sitePath('data/news.json');
+const HOME_FILE = sitePath('index.html');
+const ARCHIVE_FILE = sitePath('news.html');
+
+// Homepage window used when data/site.json does not set one
+const HOMEPAGE_NEWS_COUNT = 15;
+
+// Tag keys allowed in data/news.json and their badge labels, in filter order
+const NEWS_TAGS = {
+  paper: 'Paper',
+  code: 'Code',
+  talk: 'Talk',
+  tutorial: 'Tutorial',
+  grant: 'Grant',
+  award: 'Award',
+  visit: 'Visit',
+  career: 'Career'
+};
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/;
+
+function parseDate(value) {
+  const match = DATE_PATTERN.exec(value || '');
+  if (!match) {
+    throw new Error(`Invalid news date "${value}" (expected YYYY-MM-DD or YYYY-MM)`);
+  }
+
+  return {
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: match[3] ? Number(match[3]) : null
+  };
+}
+
+/**
+ * Format a news date the way the pages display it:
+ * "Oct 14, 2025", "May 2021" or "Oct 5-13, 2024" for ranges.
+ *
+ * @param {{date: string, endDate?: string}} item
+ * @returns {string}
+ */
+function formatNewsDate(item) {
+  const start = parseDate(item.date);
+  const month = MONTH_NAMES[start.month - 1];
+
+  if (start.day === null) {
+    return `${month} ${start.year}`;
+  }
+
+  if (!item.endDate) {
+    return `${month} ${start.day}, ${start.year}`;
+  }
+
+  const end = parseDate(item.endDate);
+  const endMonth = MONTH_NAMES[end.month - 1];
+
+  if (start.year !== end.year) {
+    return `${month} ${start.day}, ${start.year} - ${endMonth} ${end.day}, ${end.year}`;
+  }
+  if (start.month !== end.month) {
+    return `${month} ${start.day} - ${endMonth} ${end.day}, ${end.year}`;
+  }
+  return `${month} ${start.day}-${end.day}, ${start.year}`;
+}
+
+/**
+ * Machine-readable form of a news date for `<time datetime>`: the ISO date,
+ * or an ISO interval ("2024-10-05/2024-10-13") for ranges.
+ *
+ * @param {{date: string, endDate?: string}} item
+ * @returns {string}
+ */
+function newsDatetime(item) {
+  return item.endDate ? `${item.date}/${item.endDate}` : item.date;
+}
+
+// Sortable key; month-only dates sort as the first of the month
+function sortKey(item) {
+  return item.date.length === 7 ? `${item.date}-01` : item.date;
+}
+
+/**
+ * Read news items from disk, newest first.
+ *
+ * @param {string} [file] - Path to the news JSON file
+ * @returns {Object[]}
+ */
+function loadNews(file = NEWS_FILE) {
+  return sortNews(JSON.parse(fs.readFileSync(file, 'utf-8')));
+}
+
+/**
+ * Sort news items newest first. Items on the same day keep their order.
+ *
+ * @param {Object[]} items
+ * @returns {Object[]} A new, sorted array
+ */
+function sortNews(items) {
+  items.forEach(item => {
+    parseDate(item.date);
+    if (item.endDate) parseDate(item.endDate);
+    if (!item.content) {
+      throw new Error(`News item dated ${item.date} has no content`);
+    }
+    (item.tags || []).forEach(tag => {
+      if (!Object.prototype.hasOwnProperty.call(NEWS_TAGS, tag)) {
+        throw new Error(`News item dated ${item.date} has unknown tag "${tag}" (expected one of ${Object.keys(NEWS_TAGS).join(', ')})`);
+      }
+    });
+  });
+
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => sortKey(b.item).localeCompare(sortKey(a.item)) || a.index - b.index)
+    .map(entry => entry.item);
+}
+
+/**
+ * The homepage news window from site settings.
+ *
+ * @param {Object} [site] - Settings from loadSite()
+ * @returns {{items?: number, months?: number}}
+ */
+function homepageWindow(site = loadSite()) {
+  const window = (site.news && site.news.homepage) || { items: HOMEPAGE_NEWS_COUNT };
+
+  ['items', 'months'].forEach(key => {
+    if (key in window && !(Number.isInteger(window[key]) && window[key] > 0)) {
+      throw new Error(`news.homepage.${key} must be a positive integer, got ${JSON.stringify(window[key])}`);
+    }
+  });
+  if (!('items' in window) && !('months' in window)) {
+    throw new Error('news.homepage needs "items", "months" or both');
+  }
+
+  return window;
+}
+
+// First day still inside a window of `months` months ending at `date`
+function windowStart(date, months) {
+  const { year, month, day } = parseDate(date);
+  const total = year * 12 + (month - 1) - months;
+  const startYear = Math.floor(total / 12);
+  const startMonth = total % 12 + 1;
+  // Clamp to the end of shorter months (Mar 31 - 1 month -> Feb 28/29)
+  const lastDay = new Date(Date.UTC(startYear, startMonth, 0)).getUTCDate();
+
+  return `${startYear}-${String(startMonth).padStart(2, '0')}-${String(Math.min(day || 1, lastDay)).padStart(2, '0')}`;
+}
+
+/**
+ * Split sorted news into the homepage list and the archive.
+ *
+ * @param {Object[]} items - News items, newest first
+ * @param {number|{items?: number, months?: number}} [window] - Item count or window
+ * @returns {{latest: Object[], archive: Object[]}}
+ */
+function splitNews(items, window = { items: HOMEPAGE_NEWS_COUNT }) {
+  const { items: count, months } = typeof window === 'number' ? { items: window } : window;
+  let cut = count === undefined ? items.length : Math.min(count, items.length);
+
+  if (months !== undefined && items.length) {
+    const start = windowStart(items[0].date, months);
+    const older = items.findIndex(item => sortKey(item) < start);
+    if (older !== -1) cut = Math.min(cut, older);
+  }
+
+  return {
+    latest: items.slice(0, cut),
+    archive: items.slice(cut)
+  };
+}
+
+// Translation key of a tag's badge label: "talk" -> "tagTalk"
+function tagKey(tag) {
+  return `tag${tag.charAt(0).toUpperCase()}${tag.slice(1)}`;
+}
+
+/**
+ * Render one `news-item` list element.
+ *
+ * @param {Object} item
+ * @returns {string}
+ */
+function renderNewsItem(item) {
+  const tags = item.tags || [];
+  const badges = tags.length ? [
+    `        <ul class="news-tags list-unstyled" aria-label="Tags" data-i18n-aria-label="news.tags">`,
+    ...tags.map(tag => `            <li class="news-tag" data-tag="${tag}" data-i18n="news.${tagKey(tag)}">${escapeHtml(NEWS_TAGS[tag])}</li>`),
+    '        </ul>'
+  ] : [];
+
+  return [
+    `<li class="news-item"${tags.length ? ` data-tags="${tags.join(',')}"` : ''}>`,
+    `    <time class="news-date" datetime="${newsDatetime(item)}">${item.label || formatNewsDate(item)}</time>`,
+    '    <div class="news-content">',
+    `        ${item.content}`,
+    ...badges,
+    '    </div>',
+    '</li>'
+  ].join('\n');
+}
+
+function renderNewsList(items) {
+  return items.map(renderNewsItem).join('\n\n');
+}
+
+/**
+ * Group sorted news by the year of their date, newest year first.
+ *
+ * @param {Object[]} items - News items, newest first
+ * @returns {{year: number, items: Object[]}[]}
+ */
+function groupNewsByYear(items) {
+  const groups = [];
+
+  items.forEach(item => {
+    const year = parseDate(item.date).year;
+    const last = groups[groups.length - 1];
+
+    if (last && last.year === year) {
+      last.items.push(item);
+    } else {
+      groups.push({ year, items: [item] });
+    }
+  });
+  return groups;
+}
+
+// "item" or "items", marked for the translated pages
+function itemWord(count) {
+  return count === 1 ? '<span data-i18n="news.item">item</span>' : '<span data-i18n="news.items">items</span>';
+}
+
+/**
+ * Render the year-grouped archive: the year index and one section per year.
+ *
+ * @param {Object[]} items - Archived news items, newest first
+ * @returns {string}
+ */
+function renderNewsArchive(items) {
+  const groups = groupNewsByYear(items);
+  if (!groups.length) return '<p class="news-empty" data-i18n="news.empty">No older news yet.</p>';
+
+  const indent = text => text.split('\n').map(line => (line ? `        ${line}` : line)).join('\n');
+
+  return [
+    '<nav class="news-year-index" aria-label="News by year" data-i18n-aria-label="news.byYear" data-scroll-offset>',
+    '    <ul>',
+    ...groups.map(({ year, items: yearItems }) => (
+      `        <li><a href="#y${year}">${year} <span class="news-year-count">(${yearItems.length}<span class="visually-hidden"> ${itemWord(yearItems.length)}</span>)</span></a></li>`
+    )),
+    '    </ul>',
+    '</nav>',
+    ...groups.map(({ year, items: yearItems }) => [
+      '',
+      `<section id="y${year}" class="news-year" aria-labelledby="y${year}-heading">`,
+      `    <h3 id="y${year}-heading" class="news-year-heading">${year} <span class="news-year-count">${yearItems.length} ${itemWord(yearItems.length)}</span></h3>`,
+      `    <ul id="y${year}-list" class="news-list">`,
+      indent(renderNewsList(yearItems)),
+      '    </ul>',
+      '</section>'
+    ].join('\n'))
+  ].join('\n');
+}
+
+/**
+ * The homepage link to news.html, or nothing while the archive is empty.
+ *
+ * @param {Object[]} archive - Archived news items
+ * @returns {string}
+ */
+function renderArchiveLink(archive) {
+  if (!archive.length) return '';
+
+  return [
+    '<p class="news-archive-link" data-i18n="index.olderNews">',
+    '    <a href="news.html" class="btn-link">View older news</a>',
+    '</p>'
+  ].join('\n');
+}
+
+// Gulp task: regenerate the news lists on index.html and news.html
+function buildNews(cb) {
+  const { latest, archive } = splitNews(loadNews(), homepageWindow());
+
+  [
+    [HOME_FILE, {
+      'news:latest': renderNewsList(latest),
+      'news:archive-link': renderArchiveLink(archive)
+    }],
+    [ARCHIVE_FILE, { 'news:archive': renderNewsArchive(archive) }]
+  ].forEach(([file, regions]) => {
+    const html = fs.readFileSync(file, 'utf-8');
+    const updated = Object.entries(regions)
+      .reduce((page, [region, content]) => replaceRegion(page, region, content), html);
+
+    if (updated !== html) {
+      fs.writeFileSync(file, updated);
+      console.log(`Updated ${path.basename(file)} from data/news.json`);
+    }
+  });
+  cb();
+}
+
+module.exports = {
+  NEWS_FILE,
+  NEWS_TAGS,
+  HOMEPAGE_NEWS_COUNT,
+  formatNewsDate,
+  newsDatetime,
+  loadNews,
+  sortNews,
+  homepageWindow,
+  splitNews,
+  renderNewsItem,
+  renderNewsList,
+  groupNewsByYear,
+  renderNewsArchive,
+  renderArchiveLink,
+  buildNews
+};
@@ -0,0 +1,36 @@
+/**
+ * Site pages processed by the build
+ */
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// Top-level pages, in navigation order (search.html is reached from the
+// navbar search box rather than a nav item)
+const PAGES = [
+  'index.html',
+  'publications.html',
+  'awards.html',
+  'teaching.html',
+  'outreach.html',
+  'news.html',
+  'resume.html',
+  'search.html'
+];
+
+/**
+ * Absolute path of a site file.
+ *
+ * @param {string} name - Path relative to the site root
+ * @returns {string}
+ */
+function sitePath(name) {
+  return path.join(ROOT, name);
+}
+
+module.exports = {
+  ROOT,
+  PAGES,
+  sitePath
+};
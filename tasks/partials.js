@@ -0,0 +1,169 @@
+/**
+ * Shared head and navbar partials
+ *
+ * Every page pulls its common <head> links from partials/head.html (region
+ * `head`, including the news feed discovery links) and its navigation bar
+ * from partials/navbar.html (region `navbar`).
+ * Navigation items come from data/navigation.json; the item whose `page`
+ * matches the page being built is marked as the current one. The head lists
+ * the page's `hreflang` alternates and the navbar links to the same page in
+ * the other site languages (see tasks/i18n.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PAGES, sitePath } = require('./pages');
+const { replaceRegion, escapeHtml } = require('./html-regions');
+const { loadSite, absoluteUrl } = require('./site');
+const { ATOM_FILE, RSS_FILE } = require('./feeds');
+const { loadLanguages, renderAlternateLinks, renderLanguageLinks } = require('./i18n');
+
+const PARTIALS_DIR = sitePath('partials');
+const NAVIGATION_FILE = sitePath('data/navigation.json');
+
+/**
+ * Fill `{{ name }}` placeholders in a template.
+ * A placeholder on a line of its own takes that line's indentation for every
+ * line of a multi-line value.
+ *
+ * @param {string} template
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+function renderTemplate(template, values) {
+  const lookup = (name) => {
+    if (!(name in values)) {
+      throw new Error(`No value for template placeholder "${name}"`);
+    }
+    return String(values[name]);
+  };
+
+  return template
+    .replace(/^([ \t]*)\{\{\s*(\w+)\s*\}\}[ \t]*$/gm, (match, indent, name) => (
+      lookup(name)
+        .split('\n')
+        .map(line => (line.trim() ? indent + line : ''))
+        .join('\n')
+    ))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => lookup(name));
+}
+
+/**
+ * Read a partial template from partials/.
+ *
+ * @param {string} name - Partial name without extension
+ * @returns {string}
+ */
+function readPartial(name) {
+  return fs.readFileSync(path.join(PARTIALS_DIR, `${name}.html`), 'utf-8').replace(/\n+$/, '');
+}
+
+function loadNavigation(file = NAVIGATION_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Render the navbar list items for a page.
+ *
+ * @param {Object[]} items - Entries from data/navigation.json
+ * @param {string} page - File name of the page being built
+ * @param {Object} [strings] - Translated strings; labels come from `nav.<key>`
+ * @returns {string}
+ */
+function renderNavItems(items, page, strings = {}) {
+  const nav = strings.nav || {};
+  const current = escapeHtml((strings.common || {}).current || '(current)');
+
+  return items.map(item => {
+    const href = escapeHtml(item.href);
+    const label = escapeHtml(nav[item.key] || item.label);
+
+    if (item.external) {
+      return [
+        '<li class="nav-item">',
+        `    <a class="nav-link" href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`,
+        '</li>'
+      ].join('\n');
+    }
+
+    if (item.page === page) {
+      return [
+        '<li class="nav-item active">',
+        `    <a class="nav-link" href="${href}">${label}`,
+        `        <span class="visually-hidden">${current}</span>`,
+        '    </a>',
+        '</li>'
+      ].join('\n');
+    }
+
+    return [
+      '<li class="nav-item">',
+      `    <a class="nav-link" href="${href}">${label}</a>`,
+      '</li>'
+    ].join('\n');
+  }).join('\n');
+}
+
+/**
+ * Assemble the shared partials into a page.
+ *
+ * @param {string} html - Page markup
+ * @param {string} page - File name of the page
+ * @param {Object} [context]
+ * @param {Object[]} [context.navigation] - Navigation items
+ * @param {Object} [context.site] - Site settings
+ * @param {Object[]} [context.languages] - Site languages from loadLanguages()
+ * @param {string} [context.language] - Language of the page (default: the site's)
+ * @returns {string} Updated markup
+ */
+function assemblePage(html, page, context = {}) {
+  const navigation = context.navigation || loadNavigation();
+  const site = context.site || loadSite();
+  const languages = context.languages || loadLanguages(site);
+  const language = languages.find(entry => entry.code === (context.language || site.language));
+
+  if (!language) {
+    throw new Error(`Unknown language "${context.language}"`);
+  }
+
+  let result = replaceRegion(html, 'head', renderTemplate(readPartial('head'), {
+    siteTitle: escapeHtml(site.title),
+    atomUrl: escapeHtml(absoluteUrl(site, ATOM_FILE)),
+    rssUrl: escapeHtml(absoluteUrl(site, RSS_FILE)),
+    alternateLinks: renderAlternateLinks(page, site, languages)
+  }));
+  result = replaceRegion(result, 'navbar', renderTemplate(readPartial('navbar'), {
+    navItems: renderNavItems(navigation, page, language.strings),
+    languageLinks: renderLanguageLinks(page, language.code, site, languages)
+  }));
+
+  return result;
+}
+
+// Gulp task: inject the head and navbar partials into every page
+function buildPartials(cb) {
+  const navigation = loadNavigation();
+  const site = loadSite();
+  const languages = loadLanguages(site);
+
+  PAGES.forEach(page => {
+    const file = sitePath(page);
+    const html = fs.readFileSync(file, 'utf-8');
+    const updated = assemblePage(html, page, { navigation, site, languages });
+
+    if (updated !== html) {
+      fs.writeFileSync(file, updated);
+      console.log(`Assembled partials into ${page}`);
+    }
+  });
+  cb();
+}
+
+module.exports = {
+  renderTemplate,
+  readPartial,
+  loadNavigation,
+  renderNavItems,
+  assemblePage,
+  buildPartials
+};
@@ -0,0 +1,48 @@
+/**
+ * Homepage profile links
+ *
+ * Renders the social and academic profile links under the homepage photo
+ * (index.html, region `social-links`) from `author.profiles` in
+ * data/site.json. The same list feeds the Person `sameAs` structured data.
+ */
+
+const fs = require('fs');
+const { sitePath } = require('./pages');
+const { replaceRegion, escapeHtml } = require('./html-regions');
+const { loadSite } = require('./site');
+
+const PAGE_FILE = sitePath('index.html');
+
+/**
+ * Render the `social-links-list` items.
+ *
+ * @param {Object[]} profiles - `{ label, url, icon }` entries
+ * @returns {string}
+ */
+function renderSocialLinks(profiles) {
+  return profiles.map(profile => [
+    '<li>',
+    `    <a href="${escapeHtml(profile.url)}" target="_blank" rel="noopener noreferrer" class="social-link">`,
+    `        <i class="${escapeHtml(profile.icon)}" aria-hidden="true"></i>`,
+    `        <span>${escapeHtml(profile.label)}</span>`,
+    '    </a>',
+    '</li>'
+  ].join('\n')).join('\n');
+}
+
+// Gulp task: regenerate the homepage profile links
+function buildProfile(cb) {
+  const html = fs.readFileSync(PAGE_FILE, 'utf-8');
+  const updated = replaceRegion(html, 'social-links', renderSocialLinks(loadSite().author.profiles));
+
+  if (updated !== html) {
+    fs.writeFileSync(PAGE_FILE, updated);
+    console.log('Updated index.html profile links from data/site.json');
+  }
+  cb();
+}
+
+module.exports = {
+  renderSocialLinks,
+  buildProfile
+};
@@ -0,0 +1,221 @@
+/**
+ * Publications build step
+ *
+ * Renders the publication sections of publications.html from
+ * data/publications.bib. Each section lives in a generated region named
+ * `publications:<type>`; the CSL-JSON metadata behind the export menus lives
+ * in `publications:metadata`.
+ */
+
+const fs = require('fs');
+const { sitePath } = require('./pages');
+const { parseBibtex, splitAuthors } = require('./bibtex');
+const { replaceRegion, escapeHtml } = require('./html-regions');
+const { renderCitationMetadata } = require('./citations');
+
+const BIB_FILE = sitePath('data/publications.bib');
+const PAGE_FILE = sitePath('publications.html');
+
+// Spellings of the site owner's name that get the current-author highlight
+const CURRENT_AUTHOR_NAMES = ['Thao Minh Le', 'Thao Le Minh', 'Minh Thao Le'];
+
+// Page sections, in page order
+const PUBLICATION_TYPES = ['journal', 'conference', 'workshop', 'tutorial'];
+
+// Default section for each BibTeX entry type
+const ENTRY_TYPES = {
+  article: 'journal',
+  inproceedings: 'conference',
+  conference: 'conference',
+  techreport: 'workshop'
+};
+
+const EXTERNAL_LINK = 'target="_blank" rel="noopener noreferrer"';
+
+/**
+ * Normalise a parsed BibTeX entry into publication metadata.
+ *
+ * @param {{type: string, key: string, fields: Object}} entry
+ * @returns {Object} Publication metadata used by every renderer
+ */
+function toPublication(entry) {
+  const { fields } = entry;
+  const type = fields.pubtype || ENTRY_TYPES[entry.type];
+
+  if (!PUBLICATION_TYPES.includes(type)) {
+    throw new Error(`Publication "${entry.key}" has unknown type "${type || entry.type}"`);
+  }
+  if (!fields.title || !fields.author || !fields.year) {
+    throw new Error(`Publication "${entry.key}" needs author, title and year`);
+  }
+
+  return {
+    key: entry.key,
+    entryType: entry.type,
+    type,
+    authors: splitAuthors(fields.author),
+    title: fields.title,
+    venue: fields.journal || fields.booktitle || fields.institution || fields.publisher || '',
+    year: Number(fields.year),
+    volume: fields.volume || null,
+    number: fields.number || null,
+    pages: fields.pages || null,
+    doi: fields.doi || null,
+    url: fields.url || null,
+    code: fields.code || null,
+    dataset: fields.dataset || null,
+    website: fields.website || null,
+    websiteLabel: fields.websitelabel || 'Website',
+    highlight: fields.highlight || null,
+    authorJoin: fields.authorjoin || null
+  };
+}
+
+/**
+ * Read and normalise publications from a BibTeX file.
+ *
+ * @param {string} [file] - Path to the .bib file
+ * @returns {Object[]} Publications in file order
+ */
+function loadPublications(file = BIB_FILE) {
+  return parseBibtex(fs.readFileSync(file, 'utf-8')).map(toPublication);
+}
+
+/**
+ * Group publications by page section, newest first.
+ * Entries from the same year keep their relative order.
+ *
+ * @param {Object[]} publications
+ * @returns {Object<string, Object[]>}
+ */
+function groupPublications(publications) {
+  const groups = {};
+
+  PUBLICATION_TYPES.forEach(type => {
+    groups[type] = publications
+      .filter(pub => pub.type === type)
+      .map((pub, index) => ({ pub, index }))
+      .sort((a, b) => b.pub.year - a.pub.year || a.index - b.index)
+      .map(item => item.pub);
+  });
+
+  return groups;
+}
+
+// "A, B, C." or, with an author join such as "and", "A, B and C."
+function renderAuthors(authors, join) {
+  const names = authors.map(name => (
+    CURRENT_AUTHOR_NAMES.includes(name)
+      ? `<span class="current-author">${escapeHtml(name)}</span>`
+      : escapeHtml(name)
+  ));
+
+  if (!join || names.length < 2) return `${names.join(', ')}.`;
+
+  const last = names.pop();
+  return `${names.join(', ')}${join.startsWith(',') ? '' : ' '}${escapeHtml(join)} ${last}.`;
+}
+
+function renderVenue(pub) {
+  const parts = [pub.venue];
+
+  if (pub.volume) parts.push(`vol. ${pub.volume}`);
+  if (pub.number) parts.push(`no. ${pub.number}`);
+  if (pub.pages) parts.push(`pp. ${pub.pages}`);
+  parts.push(pub.year);
+
+  return escapeHtml(parts.filter(Boolean).join(', '));
+}
+
+function renderLinks(pub) {
+  const links = [];
+
+  if (pub.code) {
+    links.push(`<a href="${escapeHtml(pub.code)}" ${EXTERNAL_LINK}><i class="fa-brands fa-github" aria-hidden="true"></i> Code</a>`);
+  }
+  if (pub.dataset) {
+    links.push(`<a href="${escapeHtml(pub.dataset)}" ${EXTERNAL_LINK}><i class="fa-brands fa-github" aria-hidden="true"></i> Dataset</a>`);
+  }
+  if (pub.website) {
+    links.push(`<a href="${escapeHtml(pub.website)}" ${EXTERNAL_LINK}><i class="fa-solid fa-link" aria-hidden="true"></i> ${escapeHtml(pub.websiteLabel)}</a>`);
+  }
+  if (pub.highlight) {
+    links.push(`<span class="publication-special">${escapeHtml(pub.highlight)}</span>`);
+  }
+
+  if (links.length === 0) return [];
+  if (links.length === 1) return [`<p class="publication-links">${links[0]}</p>`];
+
+  return [
+    '<p class="publication-links">',
+    ...links.map(link => `    ${link}`),
+    '</p>'
+  ];
+}
+
+/**
+ * Render one publication as a `publication-entry` article.
+ *
+ * @param {Object} pub - Publication metadata
+ * @returns {string}
+ */
+function renderPublicationEntry(pub) {
+  const title = pub.url
+    ? `<a href="${escapeHtml(pub.url)}" ${EXTERNAL_LINK}>${escapeHtml(pub.title)}</a>`
+    : escapeHtml(pub.title);
+
+  const body = [
+    `<p class="publication-authors">${renderAuthors(pub.authors, pub.authorJoin)}</p>`,
+    `<h3 class="publication-title">${title}</h3>`,
+    `<p class="publication-venue">${renderVenue(pub)}</p>`,
+    ...renderLinks(pub)
+  ];
+
+  return [
+    `<article id="${escapeHtml(pub.key)}" class="publication-entry" data-pub-type="${pub.type}" data-pub-year="${pub.year}" data-pub-key="${escapeHtml(pub.key)}">`,
+    ...body.map(line => `    ${line}`),
+    '</article>'
+  ].join('\n');
+}
+
+/**
+ * Render every publication section into the page markup.
+ *
+ * @param {string} html - Current publications.html markup
+ * @param {Object[]} publications
+ * @returns {string} Updated markup
+ */
+function renderPublicationsPage(html, publications) {
+  const groups = groupPublications(publications);
+  const sections = PUBLICATION_TYPES.reduce((page, type) => (
+    replaceRegion(page, `publications:${type}`, groups[type].map(renderPublicationEntry).join('\n\n'))
+  ), html);
+
+  return replaceRegion(sections, 'publications:metadata', renderCitationMetadata(
+    PUBLICATION_TYPES.flatMap(type => groups[type])
+  ));
+}
+
+// Gulp task: regenerate publications.html from the bibliography
+function buildPublications(cb) {
+  const html = fs.readFileSync(PAGE_FILE, 'utf-8');
+  const updated = renderPublicationsPage(html, loadPublications());
+
+  if (updated !== html) {
+    fs.writeFileSync(PAGE_FILE, updated);
+    console.log('Updated publications.html from data/publications.bib');
+  }
+  cb();
+}
+
+module.exports = {
+  BIB_FILE,
+  CURRENT_AUTHOR_NAMES,
+  PUBLICATION_TYPES,
+  toPublication,
+  loadPublications,
+  groupPublications,
+  renderPublicationEntry,
+  renderPublicationsPage,
+  buildPublications
+};
@@ -0,0 +1,207 @@
+/**
+ * Site search index
+ *
+ * Extracts the searchable pieces of every page (publication entries, news
+ * items and `card-custom` articles) into search-index.json, which
+ * js/site-search.js loads to answer queries in the browser. The same entries
+ * are listed on search.html (region `search:all`) so the page is still useful
+ * without JavaScript.
+ *
+ * Each document is `{ url, title, section, text }`. `url` points at the
+ * element's own id when it has one, otherwise at the nearest enclosing anchor
+ * (a news year, or the heading above the element).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { PAGES, sitePath } = require('./pages');
+const { replaceRegion, escapeHtml } = require('./html-regions');
+
+const INDEX_FILE = 'search-index.json';
+const SEARCH_PAGE = 'search.html';
+
+// Longest `text` kept per document; enough for matching and a snippet
+const TEXT_LENGTH = 400;
+
+// What gets indexed, and how to find each document's title. Cards without
+// a heading (the supervision lists) are named after their label and the
+// heading above them, e.g. "Current Students: Ph.D. Students".
+const DOCUMENT_TYPES = [
+  { selector: '.publication-entry', title: '.publication-title' },
+  { selector: '.news-item', title: null },
+  { selector: 'article.card-custom', title: 'h3', label: '.text-primary' }
+];
+
+function clean(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function truncate(text, length) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length);
+  return `${cut.slice(0, cut.lastIndexOf(' '))}…`;
+}
+
+// Heading of the nearest `section[aria-labelledby]` around an element
+function sectionHeading(element) {
+  const section = element.closest('section[aria-labelledby]');
+  return section ? element.ownerDocument.getElementById(section.getAttribute('aria-labelledby')) : null;
+}
+
+// "Past News › 2021": the headings of every labelled section around an element
+function sectionLabel(element) {
+  const labels = [];
+
+  for (let section = element.closest('section[aria-labelledby]'); section; section = section.parentElement.closest('section[aria-labelledby]')) {
+    const heading = element.ownerDocument.getElementById(section.getAttribute('aria-labelledby'));
+    if (heading) {
+      const copy = heading.cloneNode(true);
+      copy.querySelectorAll('.news-year-count').forEach(node => node.remove());
+      labels.unshift(clean(copy.textContent));
+    }
+  }
+  return labels.join(' › ');
+}
+
+// Closest heading with an id before an element, looking through the
+// preceding siblings of the element and its ancestors (up to <main>)
+function precedingHeading(element) {
+  const main = element.closest('main');
+
+  for (let node = element; node && node !== main; node = node.parentElement) {
+    for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.matches('h2[id], h3[id]')) return sibling;
+    }
+  }
+  return sectionHeading(element);
+}
+
+// Nearest id to link to: the element's own, the enclosing section's (a news
+// year), or the heading above it
+function anchorFor(element) {
+  if (element.id) return element.id;
+
+  const section = element.parentElement.closest('main section[id]');
+  if (section) return section.id;
+
+  const heading = precedingHeading(element);
+  return heading ? heading.id : '';
+}
+
+function titleFor(element, { title, label }, text) {
+  const titleElement = title ? element.querySelector(title) : null;
+  if (titleElement) return clean(titleElement.textContent);
+
+  const labelElement = label ? element.querySelector(label) : null;
+  if (labelElement) {
+    const heading = precedingHeading(element);
+    return heading ? `${clean(heading.textContent)}: ${clean(labelElement.textContent)}` : clean(labelElement.textContent);
+  }
+
+  const date = element.querySelector('.news-date');
+  return date ? `${clean(date.textContent)}: ${truncate(text, 80)}` : '';
+}
+
+// Text of an element without the parts that only make sense as controls
+function textOf(element, skip) {
+  const copy = element.cloneNode(true);
+  copy.querySelectorAll(['.news-tags', 'script', ...skip].join(', ')).forEach(node => node.remove());
+  return clean(copy.textContent);
+}
+
+/**
+ * Search documents on one page.
+ *
+ * @param {string} html - Page markup
+ * @param {string} page - Page file name, used in document URLs
+ * @returns {{url: string, title: string, section: string, text: string}[]}
+ */
+function extractDocuments(html, page) {
+  const { document } = new JSDOM(html).window;
+  const pageTitle = clean((document.querySelector('h1') || document.querySelector('title') || {}).textContent);
+
+  return DOCUMENT_TYPES.flatMap(type => (
+    Array.from(document.querySelectorAll(`main ${type.selector}`)).map(element => {
+      const anchor = anchorFor(element);
+      const text = textOf(element, [type.title || '.news-date', type.label].filter(Boolean));
+
+      return {
+        url: anchor ? `${page}#${anchor}` : page,
+        title: titleFor(element, type, text),
+        section: sectionLabel(element) || pageTitle,
+        text: truncate(text, TEXT_LENGTH)
+      };
+    })
+  )).filter(doc => doc.title);
+}
+
+/**
+ * Documents from every page, in page order.
+ *
+ * @param {string[]} [pages] - Page file names
+ * @returns {Object[]}
+ */
+function buildDocuments(pages = PAGES) {
+  return pages.flatMap(page => extractDocuments(fs.readFileSync(sitePath(page), 'utf-8'), page));
+}
+
+/**
+ * Serialise documents as compact JSON, one document per line.
+ *
+ * @param {Object[]} documents
+ * @returns {string}
+ */
+function renderSearchIndex(documents) {
+  return `{"documents":[\n${documents.map(doc => JSON.stringify(doc)).join(',\n')}\n]}\n`;
+}
+
+/**
+ * The no-JS listing on search.html: every document, grouped by section.
+ *
+ * @param {Object[]} documents
+ * @returns {string}
+ */
+function renderSearchList(documents) {
+  const sections = new Map();
+
+  documents.forEach(doc => {
+    if (!sections.has(doc.section)) sections.set(doc.section, []);
+    sections.get(doc.section).push(doc);
+  });
+
+  return Array.from(sections, ([section, docs]) => [
+    `<h3 class="search-all-heading">${escapeHtml(section)}</h3>`,
+    '<ul class="search-all-list list-unstyled">',
+    ...docs.map(doc => `    <li><a href="${escapeHtml(doc.url)}">${escapeHtml(doc.title)}</a></li>`),
+    '</ul>'
+  ].join('\n')).join('\n\n');
+}
+
+// Gulp task: write search-index.json and the search.html listing
+function buildSearchIndex(cb) {
+  const documents = buildDocuments();
+  const outputs = [
+    [INDEX_FILE, renderSearchIndex(documents)],
+    [SEARCH_PAGE, replaceRegion(fs.readFileSync(sitePath(SEARCH_PAGE), 'utf-8'), 'search:all', renderSearchList(documents))]
+  ];
+
+  outputs.forEach(([name, content]) => {
+    const file = sitePath(name);
+    if (!fs.existsSync(file) || fs.readFileSync(file, 'utf-8') !== content) {
+      fs.writeFileSync(file, content);
+      console.log(`Updated ${path.basename(file)} (${documents.length} search documents)`);
+    }
+  });
+  cb();
+}
+
+module.exports = {
+  INDEX_FILE,
+  SEARCH_PAGE,
+  extractDocuments,
+  buildDocuments,
+  renderSearchIndex,
+  renderSearchList,
+  buildSearchIndex
+};
@@ -0,0 +1,45 @@
+/**
+ * Site-wide settings from data/site.json
+ *
+ * The `SITE_URL` environment variable overrides `baseUrl`, e.g. to build
+ * feeds for a preview deployment.
+ */
+
+const fs = require('fs');
+const { sitePath } = require('./pages');
+
+const SITE_FILE = sitePath('data/site.json');
+
+/**
+ * Load site settings.
+ *
+ * @param {string} [file] - Path to the settings file
+ * @returns {Object} Settings with `baseUrl` normalised (no trailing slash)
+ */
+function loadSite(file = SITE_FILE) {
+  const site = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const baseUrl = process.env.SITE_URL || site.baseUrl;
+
+  if (!/^https?:\/\/[^/]+/.test(baseUrl || '')) {
+    throw new Error(`Site baseUrl must be an absolute http(s) URL, got "${baseUrl}"`);
+  }
+
+  return { ...site, baseUrl: baseUrl.replace(/\/+$/, '') };
+}
+
+/**
+ * Resolve a site-relative path against the base URL.
+ *
+ * @param {Object} site - Settings from loadSite()
+ * @param {string} [target] - Relative path or URL
+ * @returns {string} Absolute URL
+ */
+function absoluteUrl(site, target = '') {
+  return new URL(target, `${site.baseUrl}/`).href;
+}
+
+module.exports = {
+  SITE_FILE,
+  loadSite,
+  absoluteUrl
+};
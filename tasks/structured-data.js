@@ -0,0 +1,178 @@
+/**
+ * Structured data
+ *
+ * Emits schema.org JSON-LD into the `jsonld` region of the pages that carry
+ * it, built from the same data the visible markup comes from:
+ * - index.html: the site owner as a Person (data/site.json)
+ * - publications.html: one ScholarlyArticle per entry (data/publications.bib)
+ * - awards.html: one MonetaryGrant per grant card (data/grants.json)
+ */
+
+const fs = require('fs');
+const { sitePath } = require('./pages');
+const { replaceRegion } = require('./html-regions');
+const { loadSite, absoluteUrl } = require('./site');
+const { loadPublications, groupPublications, PUBLICATION_TYPES, CURRENT_AUTHOR_NAMES } = require('./publications');
+const { loadGrants } = require('./grants');
+
+const CONTEXT = 'https://schema.org';
+
+// Stable identifier of the site owner, shared by every page
+function personId(site) {
+  return `${absoluteUrl(site)}#person`;
+}
+
+/**
+ * Person node for the site owner.
+ * Only absolute http(s) profiles go into `sameAs`; local files such as the CV
+ * are not identities.
+ *
+ * @param {Object} site - Settings from loadSite()
+ * @returns {Object}
+ */
+function personJsonLd(site) {
+  const { author } = site;
+  const affiliation = author.affiliation;
+
+  return {
+    '@context': CONTEXT,
+    '@type': 'Person',
+    '@id': personId(site),
+    name: author.name,
+    honorificPrefix: author.honorificPrefix,
+    jobTitle: author.jobTitle,
+    email: `mailto:${author.email}`,
+    image: absoluteUrl(site, author.image),
+    url: absoluteUrl(site),
+    affiliation: {
+      '@type': 'CollegeOrUniversity',
+      name: affiliation.name,
+      parentOrganization: {
+        '@type': 'CollegeOrUniversity',
+        name: affiliation.parentOrganization
+      }
+    },
+    sameAs: author.profiles
+      .map(profile => profile.url)
+      .filter(url => /^https?:\/\//.test(url))
+  };
+}
+
+/**
+ * ScholarlyArticle node for a publication.
+ *
+ * @param {Object} pub - Publication metadata from toPublication()
+ * @param {Object} site - Settings from loadSite()
+ * @returns {Object}
+ */
+function scholarlyArticleJsonLd(pub, site) {
+  const article = {
+    '@type': 'ScholarlyArticle',
+    name: pub.title,
+    headline: pub.title,
+    author: pub.authors.map(name => (
+      CURRENT_AUTHOR_NAMES.includes(name)
+        ? { '@type': 'Person', '@id': personId(site), name }
+        : { '@type': 'Person', name }
+    )),
+    datePublished: String(pub.year),
+    url: pub.url || absoluteUrl(site, 'publications.html')
+  };
+
+  if (pub.venue) {
+    article.isPartOf = {
+      '@type': pub.type === 'journal' ? 'Periodical' : 'CreativeWork',
+      name: pub.venue
+    };
+  }
+  if (pub.pages) article.pagination = pub.pages;
+  if (pub.doi) article.sameAs = `https://doi.org/${pub.doi}`;
+
+  return article;
+}
+
+/**
+ * MonetaryGrant node for a grant.
+ *
+ * @param {Object} grant - Entry from data/grants.json
+ * @returns {Object}
+ */
+function grantJsonLd(grant) {
+  const funder = { '@type': 'Organization', name: grant.funder.name };
+  if (grant.funder.url) funder.url = grant.funder.url;
+
+  const node = {
+    '@type': 'MonetaryGrant',
+    name: grant.title,
+    funder
+  };
+  if (grant.program) node.description = grant.program;
+
+  return node;
+}
+
+function graph(nodes) {
+  return { '@context': CONTEXT, '@graph': nodes };
+}
+
+/**
+ * Wrap a JSON-LD document in a script element.
+ * `<` is escaped so no value can close the script early.
+ *
+ * @param {Object} data
+ * @returns {string}
+ */
+function renderJsonLd(data) {
+  const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+
+  return `<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+/**
+ * JSON-LD document for each page that carries one.
+ *
+ * @param {Object} [context]
+ * @param {Object} [context.site] - Site settings
+ * @param {Object[]} [context.publications] - Publications
+ * @param {Object[]} [context.grants] - Grants
+ * @returns {Object<string, Object>} Keyed by page file name
+ */
+function structuredData(context = {}) {
+  const site = context.site || loadSite();
+  const publications = context.publications || loadPublications();
+  const grants = context.grants || loadGrants();
+  const groups = groupPublications(publications);
+
+  return {
+    'index.html': personJsonLd(site),
+    // Same order as the entries on the page
+    'publications.html': graph(
+      PUBLICATION_TYPES.flatMap(type => groups[type]).map(pub => scholarlyArticleJsonLd(pub, site))
+    ),
+    'awards.html': graph(grants.map(grantJsonLd))
+  };
+}
+
+// Gulp task: write the JSON-LD blocks into their pages
+function buildStructuredData(cb) {
+  Object.entries(structuredData()).forEach(([page, data]) => {
+    const file = sitePath(page);
+    const html = fs.readFileSync(file, 'utf-8');
+    const updated = replaceRegion(html, 'jsonld', renderJsonLd(data));
+
+    if (updated !== html) {
+      fs.writeFileSync(file, updated);
+      console.log(`Updated structured data in ${page}`);
+    }
+  });
+  cb();
+}
+
+module.exports = {
+  personJsonLd,
+  scholarlyArticleJsonLd,
+  grantJsonLd,
+  renderJsonLd,
+  structuredData,
+  buildStructuredData
+};
@@ -0,0 +1,271 @@
+/**
+ * Design tokens build step
+ *
+ * Generates css/variables.css and js/tokens.js from data/tokens.json, so the
+ * stylesheets, scripts and tests share one set of values. Each top-level group
+ * of the JSON becomes custom properties named `--<group>-<name>`; a token is
+ * either a plain value or `{ value, comment }`. `color-dark` holds the dark
+ * palette, overriding `--color-*`, and `breakpoint` also produces
+ * `@custom-media` queries.
+ */
+
+const fs = require('fs');
+const { sitePath } = require('./pages');
+
+const TOKENS_FILE = sitePath('data/tokens.json');
+const CSS_FILE = 'css/variables.css';
+const MODULE_FILE = 'js/tokens.js';
+
+// Groups in output order, with the comment heading each one in :root
+const GROUPS = [
+  ['color', 'Color Palette'],
+  ['font', 'Typography'],
+  ['font-size', 'Font Sizes'],
+  ['line-height', 'Line Heights'],
+  ['font-weight', 'Font Weights'],
+  ['spacing', 'Spacing Scale (based on 4px unit)'],
+  ['radius', 'Border Radius'],
+  ['shadow', 'Shadows'],
+  ['transition', 'Transitions'],
+  ['z', 'Z-index Scale'],
+  ['container', 'Container Max Width'],
+  ['breakpoint', 'Breakpoints (for media queries; see also @custom-media above)']
+];
+
+const DARK_GROUP = 'color-dark';
+
+// Bootstrap's own variables that form controls and dropdowns read, mapped to
+// the dark palette token that replaces them
+const BOOTSTRAP_DARK = {
+  'bs-body-bg': 'background',
+  'bs-body-color': 'text',
+  'bs-border-color': 'border',
+  'bs-secondary-color': 'text-light'
+};
+
+const GENERATED_NOTE = 'Generated from data/tokens.json by `gulp tokens`; edit the tokens, not this file.';
+
+function tokenValue(token) {
+  return token && typeof token === 'object' ? token.value : token;
+}
+
+/**
+ * Read and check the token file.
+ *
+ * @param {string} [file] - Path to the tokens JSON file
+ * @returns {Object} Token groups
+ */
+function loadTokens(file = TOKENS_FILE) {
+  return validateTokens(JSON.parse(fs.readFileSync(file, 'utf-8')));
+}
+
+/**
+ * Throw on unknown groups, empty values and dark colours without a light one.
+ *
+ * @param {Object} tokens
+ * @returns {Object} The same tokens
+ */
+function validateTokens(tokens) {
+  const known = new Set([...GROUPS.map(([group]) => group), DARK_GROUP]);
+
+  Object.keys(tokens).forEach(group => {
+    if (!known.has(group)) throw new Error(`Unknown token group "${group}"`);
+
+    Object.entries(tokens[group]).forEach(([name, token]) => {
+      const value = tokenValue(token);
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`Token ${group}.${name} needs a string value`);
+      }
+    });
+  });
+
+  Object.keys(tokens[DARK_GROUP] || {}).forEach(name => {
+    if (!tokens.color || !(name in tokens.color)) {
+      throw new Error(`Dark colour "${name}" has no light counterpart in "color"`);
+    }
+  });
+  Object.values(BOOTSTRAP_DARK).forEach(name => {
+    if (tokens[DARK_GROUP] && !(name in tokens[DARK_GROUP])) {
+      throw new Error(`Dark palette needs "${name}" for Bootstrap components`);
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Token values without comments, in the shape of the JSON file.
+ *
+ * @param {Object} tokens
+ * @returns {Object}
+ */
+function tokenValues(tokens) {
+  return Object.fromEntries(Object.entries(tokens).map(([group, entries]) => [
+    group,
+    Object.fromEntries(Object.entries(entries).map(([name, token]) => [name, tokenValue(token)]))
+  ]));
+}
+
+/**
+ * `@custom-media` queries for each breakpoint: `--breakpoint-md-up` from
+ * 768px and `--breakpoint-md-down` below it.
+ *
+ * @param {Object} tokens
+ * @returns {Object<string, string>} Query name to media query
+ */
+function customMedia(tokens) {
+  const queries = {};
+
+  Object.entries(tokens.breakpoint || {}).forEach(([name, token]) => {
+    const value = tokenValue(token);
+    const match = /^(\d+(?:\.\d+)?)px$/.exec(value);
+    if (!match) throw new Error(`Breakpoint ${name} must be in px, got "${value}"`);
+
+    queries[`--breakpoint-${name}-up`] = `(min-width: ${value})`;
+    queries[`--breakpoint-${name}-down`] = `(max-width: ${(Number(match[1]) - 0.02).toFixed(2)}px)`;
+  });
+
+  return queries;
+}
+
+function declaration(group, name, token, indent) {
+  const value = tokenValue(token);
+  let comment = token && typeof token === 'object' ? token.comment : '';
+
+  // Spell out rem spacing in px, as the scale is designed on a 4px unit
+  if (!comment && group === 'spacing' && /^[\d.]+rem$/.test(value)) {
+    comment = `${parseFloat(value) * 16}px`;
+  }
+  return `${indent}--${group}-${name}: ${value};${comment ? `  /* ${comment} */` : ''}`;
+}
+
+function darkDeclarations(tokens, indent) {
+  const dark = tokens[DARK_GROUP];
+
+  return [
+    ...Object.entries(dark).map(([name, token]) => declaration('color', name, token, indent)),
+    '',
+    `${indent}/* Bootstrap components (form controls, dropdowns) follow the same palette */`,
+    ...Object.entries(BOOTSTRAP_DARK).map(([name, token]) => `${indent}--${name}: ${tokenValue(dark[token])};`),
+    '',
+    `${indent}color-scheme: dark;`
+  ];
+}
+
+/**
+ * css/variables.css for a token set.
+ *
+ * @param {Object} tokens
+ * @returns {string}
+ */
+function renderVariablesCss(tokens) {
+  const lines = [
+    '/**',
+    ' * CSS Custom Properties - Design System Variables',
+    ' * Academic Website Modernization',
+    ' *',
+    ` * ${GENERATED_NOTE}`,
+    ' */',
+    ''
+  ];
+
+  const media = customMedia(tokens);
+  if (Object.keys(media).length) {
+    lines.push(
+      '/* Breakpoint queries, for use as @media (--breakpoint-md-up) once a build step or browser supports them */',
+      ...Object.entries(media).map(([name, query]) => `@custom-media ${name} ${query};`),
+      ''
+    );
+  }
+
+  lines.push(':root {');
+  GROUPS.filter(([group]) => tokens[group]).forEach(([group, label], index) => {
+    if (index) lines.push('');
+    lines.push(`  /* ${label} */`);
+    Object.entries(tokens[group]).forEach(([name, token]) => lines.push(declaration(group, name, token, '  ')));
+  });
+  lines.push('', '  color-scheme: light;', '}');
+
+  if (tokens[DARK_GROUP]) {
+    lines.push(
+      '',
+      '/**',
+      ' * Dark palette',
+      ' * Used when the reader\'s system prefers a dark scheme, unless they picked the',
+      ' * light theme with the navbar toggle (data-theme="light" on <html>), and',
+      ' * whenever they picked the dark theme.',
+      ' */',
+      '@media (prefers-color-scheme: dark) {',
+      '  :root:not([data-theme="light"]) {',
+      ...darkDeclarations(tokens, '    ').map(line => line.trimEnd()),
+      '  }',
+      '}',
+      '',
+      ':root[data-theme="dark"] {',
+      ...darkDeclarations(tokens, '  '),
+      '}'
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * js/tokens.js: the token values as a browser global (window.SiteTokens) and
+ * a CommonJS module.
+ *
+ * @param {Object} tokens
+ * @returns {string}
+ */
+function renderTokensModule(tokens) {
+  const values = JSON.stringify(tokenValues(tokens), null, 4).replace(/\n/g, '\n    ');
+
+  return `/**
+ * Design tokens
+ * The values behind css/variables.css, for scripts (window.SiteTokens) and
+ * the tests (require('../js/tokens')).
+ * ${GENERATED_NOTE}
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SiteTokens = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    return ${values};
+});
+`;
+}
+
+// Gulp task: write css/variables.css and js/tokens.js from data/tokens.json
+function buildTokens(cb) {
+  const tokens = loadTokens();
+
+  [
+    [CSS_FILE, renderVariablesCss(tokens)],
+    [MODULE_FILE, renderTokensModule(tokens)]
+  ].forEach(([name, content]) => {
+    const file = sitePath(name);
+    if (!fs.existsSync(file) || fs.readFileSync(file, 'utf-8') !== content) {
+      fs.writeFileSync(file, content);
+      console.log(`Generated ${name} from data/tokens.json`);
+    }
+  });
+  cb();
+}
+
+module.exports = {
+  CSS_FILE,
+  MODULE_FILE,
+  loadTokens,
+  validateTokens,
+  tokenValues,
+  customMedia,
+  renderVariablesCss,
+  renderTokensModule,
+  buildTokens
+};
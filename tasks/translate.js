@@ -0,0 +1,170 @@
+/**
+ * Translated pages
+ *
+ * Builds every page once per translation in data/i18n (vi/index.html, ...)
+ * from the English page:
+ * - the partials are assembled for the language (nav labels, language
+ *   switcher; the `hreflang` alternates are shared by all versions)
+ * - `data-i18n="section.key"` replaces an element's content and
+ *   `data-i18n-<attribute>="section.key"` one of its attributes; strings
+ *   missing from the translation keep the English text
+ * - the `<title>` comes from the page's section (`publications.title`), if
+ *   the translation has one
+ * - `<time datetime>` text is formatted with Intl for the language's locale
+ * - content that stays in English (publications, news, cards) is marked
+ *   `lang="en"` for screen readers, and translated text inside it (news tag
+ *   badges) with the page's language
+ * - links to other pages stay relative, so they lead to the translated page;
+ *   everything else (assets, files, the search index) points back up to the
+ *   site root
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { PAGES, sitePath } = require('./pages');
+const { loadSite } = require('./site');
+const { loadNavigation, assemblePage } = require('./partials');
+const { loadLanguages, translate, localizedPath, formatDatetime } = require('./i18n');
+
+const ATTRIBUTE_PREFIX = 'data-i18n-';
+
+// Elements and attributes holding site-relative URLs
+const URL_ATTRIBUTES = [
+  ['[href]', 'href'],
+  ['[src]', 'src'],
+  ['[poster]', 'poster'],
+  ['form[action]', 'action'],
+  ['[data-search-index]', 'data-search-index']
+];
+
+// Untranslated content, written in the source language
+const SOURCE_LANGUAGE_CONTENT = ['.publication-entry', '.news-content', 'article.card-custom', '.search-all-list'];
+
+/**
+ * Where a site-relative URL points from a page one directory down: page links
+ * stay relative (to the translated page), other files move up to the root.
+ *
+ * @param {string} url - Attribute value from the source page
+ * @returns {string}
+ */
+function localizeUrl(url) {
+  const value = url.trim();
+
+  // Fragments, other schemes, protocol-relative and already adjusted URLs
+  if (!value || value.startsWith('#') || value.startsWith('../') || value.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(value)) {
+    return url;
+  }
+
+  const target = value.startsWith('/') ? value.slice(1) : value;
+  const file = target.split(/[?#]/)[0];
+
+  if (!file) return `index.html${target}`;
+  return PAGES.includes(file) ? target : `../${target}`;
+}
+
+/**
+ * Translate one page.
+ *
+ * @param {string} html - Markup of the source page
+ * @param {string} page - File name of the page
+ * @param {Object} language - Target language from loadLanguages()
+ * @param {Object} [context] - Passed on to assemblePage()
+ * @returns {{html: string, missing: string[]}} Markup and the keys left untranslated
+ */
+function translatePage(html, page, language, context = {}) {
+  const assembled = assemblePage(html, page, { ...context, language: language.code });
+  const dom = new JSDOM(assembled);
+  const { document } = dom.window;
+  const missing = new Set();
+  const translated = new Set();
+
+  const lookup = (key) => {
+    const value = translate(language.strings, key);
+    if (value === undefined) missing.add(key);
+    return value;
+  };
+
+  document.documentElement.setAttribute('lang', language.code);
+
+  const title = translate(language.strings, `${path.basename(page, '.html')}.title`);
+  if (title !== undefined) document.title = title;
+
+  document.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      if (name === 'data-i18n') {
+        const text = lookup(value);
+        if (text !== undefined) {
+          element.innerHTML = text;
+          translated.add(element);
+        }
+      } else if (name.startsWith(ATTRIBUTE_PREFIX)) {
+        const text = lookup(value);
+        if (text !== undefined) {
+          element.setAttribute(name.slice(ATTRIBUTE_PREFIX.length), text);
+          translated.add(element);
+        }
+      } else {
+        return;
+      }
+      element.removeAttribute(name);
+    });
+  });
+
+  document.querySelectorAll('time[datetime]').forEach(element => {
+    const text = formatDatetime(element.getAttribute('datetime'), language.locale);
+    if (text) element.textContent = text;
+  });
+
+  document.querySelectorAll(SOURCE_LANGUAGE_CONTENT.join(', ')).forEach(element => {
+    if (!element.hasAttribute('lang') && !element.parentElement.closest(SOURCE_LANGUAGE_CONTENT.join(', '))) {
+      element.setAttribute('lang', 'en');
+    }
+  });
+
+  // Translated text inside that content (news tag badges) is in the page's language
+  translated.forEach(element => {
+    if (element.closest(SOURCE_LANGUAGE_CONTENT.join(', ')) && element.parentElement.closest('[lang]').getAttribute('lang') !== language.code) {
+      element.setAttribute('lang', language.code);
+    }
+  });
+
+  URL_ATTRIBUTES.forEach(([selector, attribute]) => {
+    document.querySelectorAll(selector).forEach(element => {
+      element.setAttribute(attribute, localizeUrl(element.getAttribute(attribute)));
+    });
+  });
+
+  return { html: dom.serialize(), missing: Array.from(missing).sort() };
+}
+
+// Gulp task: write every page in every translated language
+function buildTranslations(cb) {
+  const site = loadSite();
+  const navigation = loadNavigation();
+  const languages = loadLanguages(site);
+
+  languages.filter(language => language.code !== site.language).forEach(language => {
+    PAGES.forEach(page => {
+      const name = localizedPath(page, language.code, site);
+      const file = sitePath(name);
+      const { html, missing } = translatePage(fs.readFileSync(sitePath(page), 'utf-8'), page, language, { navigation, site, languages });
+
+      if (missing.length) {
+        console.warn(`${name}: no ${language.code} translation for ${missing.join(', ')}`);
+      }
+      if (!fs.existsSync(file) || fs.readFileSync(file, 'utf-8') !== html) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, html);
+        console.log(`Translated ${page} into ${name}`);
+      }
+    });
+  });
+  cb();
+}
+
+module.exports = {
+  localizeUrl,
+  translatePage,
+  buildTranslations
+};
@@ -6,6 +6,7 @@
 const fc = require('fast-check');
 const fs = require('fs');
 const path = require('path');
+const tokens = require('../js/tokens');
 
 // Helper to check if HTML contains a pattern
 function htmlContains(html, pattern) {
@@ -573,175 +574,94 @@ describe('Property 11: Color contrast compliance', () => {
     return (lighter + 0.05) / (darker + 0.05);
   }
   
+  // Palettes from the design tokens that generate css/variables.css
+  const light = tokens.color;
+  const dark = tokens['color-dark'];
+  const ratio = (palette, text, bg) => getContrastRatio(hexToRgb(palette[text]), hexToRgb(palette[bg]));
+
   test('primary text color has sufficient contrast with background', () => {
-    const cssPath = path.join(__dirname, '..', 'css/variables.css');
-    
-    if (!fs.existsSync(cssPath)) {
-      return;
-    }
-    
-    const css = fs.readFileSync(cssPath, 'utf-8');
-    
-    // Extract color variables
-    const textColorMatch = css.match(/--color-text:\s*#([a-f\d]{6})/i);
-    const bgColorMatch = css.match(/--color-background:\s*#([a-f\d]{6})/i);
-    
-    if (textColorMatch && bgColorMatch) {
-      const textColor = hexToRgb('#' + textColorMatch[1]);
-      const bgColor = hexToRgb('#' + bgColorMatch[1]);
-      
-      if (textColor && bgColor) {
-        const ratio = getContrastRatio(textColor, bgColor);
-        
-        // WCAG AA requires 4.5:1 for normal text
-        expect(ratio).toBeGreaterThanOrEqual(4.5);
-      }
-    }
+    // WCAG AA requires 4.5:1 for normal text
+    expect(ratio(light, 'text', 'background')).toBeGreaterThanOrEqual(4.5);
   });
   
   test('primary color has sufficient contrast with white background', () => {
-    const cssPath = path.join(__dirname, '..', 'css/variables.css');
-    
-    if (!fs.existsSync(cssPath)) {
-      return;
-    }
-    
-    const css = fs.readFileSync(cssPath, 'utf-8');
-    
-    // Extract primary color
-    const primaryColorMatch = css.match(/--color-primary:\s*#([a-f\d]{6})/i);
-    
-    if (primaryColorMatch) {
-      const primaryColor = hexToRgb('#' + primaryColorMatch[1]);
-      const white = { r: 255, g: 255, b: 255 };
-      
-      if (primaryColor) {
-        const ratio = getContrastRatio(primaryColor, white);
-        
-        // Should have at least 3:1 for large text
-        expect(ratio).toBeGreaterThanOrEqual(3);
-      }
-    }
+    // Should have at least 3:1 for large text
+    expect(ratio(light, 'primary', 'white')).toBeGreaterThanOrEqual(3);
   });
   
   test('link color has sufficient contrast with background', () => {
-    const cssPath = path.join(__dirname, '..', 'css/variables.css');
-    
-    if (!fs.existsSync(cssPath)) {
-      return;
-    }
-    
-    const css = fs.readFileSync(cssPath, 'utf-8');
-    
-    // Extract link color and background
-    const linkColorMatch = css.match(/--color-link:\s*#([a-f\d]{6})/i);
-    const bgColorMatch = css.match(/--color-background:\s*#([a-f\d]{6})/i);
-    
-    if (linkColorMatch && bgColorMatch) {
-      const linkColor = hexToRgb('#' + linkColorMatch[1]);
-      const bgColor = hexToRgb('#' + bgColorMatch[1]);
-      
-      if (linkColor && bgColor) {
-        const ratio = getContrastRatio(linkColor, bgColor);
-        
-        // WCAG AA requires 4.5:1 for normal text
-        expect(ratio).toBeGreaterThanOrEqual(4.5);
-      }
-    }
+    // WCAG AA requires 4.5:1 for normal text
+    expect(ratio(light, 'link', 'background')).toBeGreaterThanOrEqual(4.5);
   });
   
   test('accent color has sufficient contrast with white', () => {
-    const cssPath = path.join(__dirname, '..', 'css/variables.css');
-    
-    if (!fs.existsSync(cssPath)) {
-      return;
-    }
-    
-    const css = fs.readFileSync(cssPath, 'utf-8');
-    
-    // Extract accent color
-    const accentColorMatch = css.match(/--color-accent:\s*#([a-f\d]{6})/i);
-    
-    if (accentColorMatch) {
-      const accentColor = hexToRgb('#' + accentColorMatch[1]);
-      const white = { r: 255, g: 255, b: 255 };
-      
-      if (accentColor) {
-        const ratio = getContrastRatio(accentColor, white);
-        
-        // Should have at least 3:1 for UI components
-        expect(ratio).toBeGreaterThanOrEqual(3);
-      }
-    }
+    // Should have at least 3:1 for UI components
+    expect(ratio(light, 'accent', 'white')).toBeGreaterThanOrEqual(3);
   });
   
   test('secondary text color has sufficient contrast', () => {
-    const cssPath = path.join(__dirname, '..', 'css/variables.css');
-    
-    if (!fs.existsSync(cssPath)) {
-      return;
-    }
-    
-    const css = fs.readFileSync(cssPath, 'utf-8');
-    
-    // Extract secondary text color and background
-    const secondaryColorMatch = css.match(/--color-secondary:\s*#([a-f\d]{6})/i);
-    const bgColorMatch = css.match(/--color-background:\s*#([a-f\d]{6})/i);
-    
-    if (secondaryColorMatch && bgColorMatch) {
-      const secondaryColor = hexToRgb('#' + secondaryColorMatch[1]);
-      const bgColor = hexToRgb('#' + bgColorMatch[1]);
-      
-      if (secondaryColor && bgColor) {
-        const ratio = getContrastRatio(secondaryColor, bgColor);
-        
-        // Should have at least 3:1 for large text (headings)
-        expect(ratio).toBeGreaterThanOrEqual(3);
-      }
-    }
+    // Should have at least 3:1 for large text (headings)
+    expect(ratio(light, 'secondary', 'background')).toBeGreaterThanOrEqual(3);
   });
   
   test('all defined color combinations meet minimum contrast', () => {
     fc.assert(
       fc.property(
         fc.constantFrom(
-          { text: '--color-text', bg: '--color-background', minRatio: 4.5 },
-          { text: '--color-link', bg: '--color-background', minRatio: 4.5 },
-          { text: '--color-primary', bg: '--color-white', minRatio: 3 },
-          { text: '--color-accent', bg: '--color-white', minRatio: 3 }
+          { text: 'text', bg: 'background', minRatio: 4.5 },
+          { text: 'link', bg: 'background', minRatio: 4.5 },
+          { text: 'primary', bg: 'white', minRatio: 3 },
+          { text: 'accent', bg: 'white', minRatio: 3 }
         ),
         (colorPair) => {
-          const cssPath = path.join(__dirname, '..', 'css/variables.css');
-          
-          if (!fs.existsSync(cssPath)) {
-            return true;
-          }
-          
-          const css = fs.readFileSync(cssPath, 'utf-8');
-          
-          // Extract colors
-          const textColorRegex = new RegExp(`${colorPair.text}:\\s*#([a-f\\d]{6})`, 'i');
-          const bgColorRegex = new RegExp(`${colorPair.bg}:\\s*#([a-f\\d]{6})`, 'i');
-          
-          const textColorMatch = css.match(textColorRegex);
-          const bgColorMatch = css.match(bgColorRegex);
-          
-          if (textColorMatch && bgColorMatch) {
-            const textColor = hexToRgb('#' + textColorMatch[1]);
-            const bgColor = hexToRgb('#' + bgColorMatch[1]);
-            
-            if (textColor && bgColor) {
-              const ratio = getContrastRatio(textColor, bgColor);
-              expect(ratio).toBeGreaterThanOrEqual(colorPair.minRatio);
-            }
-          }
-          
+          expect(ratio(light, colorPair.text, colorPair.bg)).toBeGreaterThanOrEqual(colorPair.minRatio);
           return true;
         }
       ),
       { numRuns: 100 }
     );
   });
+
+  test('text on light surfaces and fills meets minimum contrast', () => {
+    expect(ratio(light, 'text', 'surface')).toBeGreaterThanOrEqual(4.5);
+    expect(ratio(light, 'text-light', 'surface')).toBeGreaterThanOrEqual(4.5);
+    expect(ratio(light, 'on-accent', 'primary')).toBeGreaterThanOrEqual(4.5);
+    expect(ratio(light, 'on-accent', 'accent')).toBeGreaterThanOrEqual(3);
+  });
+
+  describe('dark palette', () => {
+    test('every light colour except the fixed white has a dark counterpart', () => {
+      Object.keys(light).filter(name => name !== 'white').forEach(name => {
+        expect(dark).toHaveProperty([name]);
+      });
+    });
+
+    test('dark colour combinations meet minimum contrast', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(
+            { text: 'text', bg: 'background', minRatio: 4.5 },
+            { text: 'text', bg: 'surface', minRatio: 4.5 },
+            { text: 'text-light', bg: 'background', minRatio: 4.5 },
+            { text: 'text-light', bg: 'surface', minRatio: 4.5 },
+            { text: 'link', bg: 'background', minRatio: 4.5 },
+            { text: 'link', bg: 'surface', minRatio: 4.5 },
+            { text: 'link-hover', bg: 'surface', minRatio: 4.5 },
+            { text: 'primary', bg: 'surface', minRatio: 3 },
+            { text: 'accent', bg: 'surface', minRatio: 3 },
+            { text: 'secondary', bg: 'background', minRatio: 3 },
+            { text: 'on-accent', bg: 'primary', minRatio: 4.5 },
+            { text: 'on-accent', bg: 'accent', minRatio: 3 }
+          ),
+          (colorPair) => {
+            expect(ratio(dark, colorPair.text, colorPair.bg)).toBeGreaterThanOrEqual(colorPair.minRatio);
+            return true;
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
 });
 
 /**
@@ -0,0 +1,157 @@
+/**
+ * Tests for the "Back to top" button and the reading progress bar
+ * Feature: back-to-top
+ */
+
+const { read, openPage, whenLoaded, runNavigation } = require('./helpers/navigation');
+
+// Page with navigation.js, a page height, scroll position and observer
+async function loadPage(page, { attributes = '', options = {}, height = 5000, reducedMotion = false, observer = true } = {}) {
+  const { window, document, scrolls, observers } = openPage(page, {
+    navbarAttributes: attributes,
+    media: { '(prefers-reduced-motion: reduce)': reducedMotion },
+    observer
+  });
+
+  Object.defineProperty(window, 'innerHeight', { value: 1000, writable: true });
+  Object.defineProperty(document.documentElement, 'scrollHeight', { value: height, writable: true });
+  runNavigation(window, options);
+  await whenLoaded(window);
+
+  const button = document.querySelector('.back-to-top');
+  const bar = document.querySelector('.reading-progress');
+  const sentinel = document.querySelector('.back-to-top-sentinel');
+
+  // The depth sentinel entering (true) or leaving (false) the viewport
+  const intersect = isIntersecting => {
+    observers.filter(current => current.targets.includes(sentinel))
+      .forEach(current => current.callback([{ target: sentinel, isIntersecting }]));
+  };
+  const scrollTo = y => {
+    window.scrollY = y;
+    window.dispatchEvent(new window.Event('scroll'));
+  };
+
+  return { window, document, button, bar, sentinel, scrolls, intersect, scrollTo };
+}
+
+const visible = button => button.classList.contains('is-visible');
+
+describe('Back to top', () => {
+  test('is a labelled button, hidden until the sentinel over the first 600px leaves', async () => {
+    const { button, sentinel, intersect } = await loadPage('news.html');
+
+    expect(button.getAttribute('type')).toBe('button');
+    expect(button.getAttribute('aria-label')).toBe('Back to top');
+    expect(button.querySelector('i').getAttribute('aria-hidden')).toBe('true');
+    expect(sentinel.getAttribute('aria-hidden')).toBe('true');
+    expect(sentinel.style.height).toBe('600px');
+    expect(visible(button)).toBe(false);
+
+    intersect(false);
+    expect(visible(button)).toBe(true);
+    intersect(true);
+    expect(visible(button)).toBe(false);
+  });
+
+  test('the depth can be set on the navbar or passed in', async () => {
+    const fromAttribute = await loadPage('publications.html', { attributes: 'data-back-to-top-depth="1200"' });
+    expect(fromAttribute.sentinel.style.height).toBe('1200px');
+
+    const fromOptions = await loadPage('publications.html', {
+      attributes: 'data-back-to-top-depth="1200"',
+      options: { backToTop: { depth: 300 } }
+    });
+    expect(fromOptions.sentinel.style.height).toBe('300px');
+  });
+
+  test('the translated page has a translated label', async () => {
+    const { button } = await loadPage('vi/news.html');
+    expect(button.getAttribute('aria-label')).toBe('Về đầu trang');
+  });
+
+  test('scrolls to the top and moves focus to the navbar brand', async () => {
+    const { document, button, scrolls, intersect } = await loadPage('news.html');
+
+    intersect(false);
+    button.focus();
+    button.click();
+
+    expect(scrolls[scrolls.length - 1]).toEqual({ top: 0, behavior: 'smooth' });
+    expect(document.activeElement).toBe(document.querySelector('.navbar-brand'));
+  });
+
+  test('reduced motion jumps instead of animating', async () => {
+    const { button, scrolls } = await loadPage('news.html', { reducedMotion: true });
+
+    button.click();
+    expect(scrolls[scrolls.length - 1]).toEqual({ top: 0, behavior: 'auto' });
+  });
+
+  test('without IntersectionObserver the scroll position is checked', async () => {
+    const { button, sentinel, scrollTo } = await loadPage('news.html', { observer: false });
+
+    expect(sentinel).toBeNull();
+    scrollTo(700);
+    expect(visible(button)).toBe(true);
+    scrollTo(100);
+    expect(visible(button)).toBe(false);
+  });
+
+  test('can be left out', async () => {
+    const { button, sentinel } = await loadPage('news.html', { options: { backToTop: false } });
+
+    expect(button).toBeNull();
+    expect(sentinel).toBeNull();
+  });
+});
+
+describe('Reading progress', () => {
+  test('is a decorative bar inside the navbar', async () => {
+    const { document, bar } = await loadPage('publications.html');
+
+    expect(bar.parentElement).toBe(document.querySelector('.navbar'));
+    expect(bar.getAttribute('aria-hidden')).toBe('true');
+    expect(bar.hidden).toBe(false);
+    expect(bar.style.transform).toBe('scaleX(0)');
+  });
+
+  test('fills with the share of the page scrolled', async () => {
+    const { bar, scrollTo } = await loadPage('publications.html');
+
+    scrollTo(2000);
+    expect(bar.style.transform).toBe('scaleX(0.5)');
+    scrollTo(4000);
+    expect(bar.style.transform).toBe('scaleX(1)');
+    scrollTo(-50);
+    expect(bar.style.transform).toBe('scaleX(0)');
+  });
+
+  test('is hidden on pages too short to scroll, until they grow', async () => {
+    const { window, document, bar } = await loadPage('search.html', { height: 1000 });
+
+    expect(bar.hidden).toBe(true);
+    document.documentElement.scrollHeight = 3000;
+    window.dispatchEvent(new window.Event('resize'));
+    expect(bar.hidden).toBe(false);
+  });
+
+  test('can be left out', async () => {
+    const { bar } = await loadPage('news.html', { options: { readingProgress: false } });
+    expect(bar).toBeNull();
+  });
+});
+
+describe('Styles', () => {
+  const css = read('css/components.css');
+
+  test('use the accent colour and sticky layer', () => {
+    expect(css).toMatch(/\.reading-progress \{[^}]*background-color: var\(--color-accent\);[^}]*\}/);
+    expect(css).toMatch(/\.reading-progress \{[^}]*z-index: var\(--z-sticky\);[^}]*\}/);
+    expect(css).toMatch(/\.back-to-top \{[^}]*z-index: var\(--z-sticky\);[^}]*\}/);
+  });
+
+  test('both are hidden for print', () => {
+    expect(css).toMatch(/@media print \{\s*\.reading-progress,\s*\.back-to-top \{\s*display: none;/);
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Tests for citation metadata and the BibTeX/RIS/CSL-JSON export menus
+ * Feature: citation-export
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const CitationFormats = require('../js/citation-formats');
+const { cslName, toCslItem, renderCitationMetadata } = require('../tasks/citations');
+const { parseBibtex, splitAuthors } = require('../tasks/bibtex');
+const { loadPublications, groupPublications, PUBLICATION_TYPES } = require('../tasks/publications');
+const { replaceRegion } = require('../tasks/html-regions');
+
+const root = path.join(__dirname, '..');
+const pageHtml = fs.readFileSync(path.join(root, 'publications.html'), 'utf-8');
+const publications = loadPublications();
+const items = publications.map(toCslItem);
+
+describe('CSL-JSON metadata', () => {
+  test('names split into given and family parts', () => {
+    expect(cslName('Thao Minh Le')).toEqual({ family: 'Le', given: 'Thao Minh' });
+    expect(cslName('Plato')).toEqual({ family: 'Plato' });
+  });
+
+  test('items carry the fields of the entry they come from', () => {
+    const report = items.find(item => item.type === 'report');
+    const tutorial = items.find(item => item.DOI);
+
+    expect(report.publisher).toBeTruthy();
+    expect(report.page).toBe('61-64');
+    expect(tutorial.DOI).toBe('10.1145/3447548.3470803');
+    items.forEach(item => expect(item.issued['date-parts'][0][0]).toBeGreaterThan(2000));
+  });
+
+  test('publications.html embeds metadata for every entry, up to date', () => {
+    const groups = groupPublications(publications);
+    const ordered = PUBLICATION_TYPES.flatMap(type => groups[type]);
+
+    // Run `gulp publications` if this fails
+    expect(replaceRegion(pageHtml, 'publications:metadata', renderCitationMetadata(ordered))).toBe(pageHtml);
+
+    const document = new JSDOM(pageHtml).window.document;
+    const embedded = JSON.parse(document.getElementById('publication-metadata').textContent);
+    const keys = Array.from(document.querySelectorAll('.publication-entry')).map(entry => entry.getAttribute('data-pub-key'));
+
+    expect(embedded.map(item => item.id)).toEqual(keys);
+  });
+});
+
+describe('Citation formats', () => {
+  test('BibTeX output parses back to the same entry', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...publications),
+        (pub) => {
+          const [entry] = parseBibtex(CitationFormats.toBibtex(toCslItem(pub)));
+
+          expect(entry.key).toBe(pub.key);
+          expect(entry.type).toBe(pub.entryType);
+          expect(entry.fields.title).toBe(pub.title);
+          expect(splitAuthors(entry.fields.author)).toEqual(pub.authors);
+          expect(Number(entry.fields.year)).toBe(pub.year);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  test('BibTeX escapes special characters in text fields', () => {
+    const bibtex = CitationFormats.toBibtex({
+      id: 'x', type: 'report', title: 'Cats & 100% Dogs', author: [{ family: 'Doe' }],
+      URL: 'https://example.org/a_b', page: '1-2'
+    });
+
+    expect(bibtex).toContain('{Cats \\& 100\\% Dogs}');
+    expect(bibtex).toContain('{https://example.org/a_b}');
+    expect(bibtex).toContain('{1--2}');
+    expect(bibtex).toMatch(/^@techreport\{x,/);
+  });
+
+  test('RIS records have one AU line per author and end with ER', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...items),
+        (item) => {
+          const lines = CitationFormats.toRis(item).split('\r\n');
+
+          expect(lines[0]).toMatch(/^TY {2}- (JOUR|CONF|RPRT)$/);
+          expect(lines.filter(line => line.startsWith('AU  - '))).toHaveLength(item.author.length);
+          expect(lines).toContain(`TI  - ${item.title}`);
+          expect(lines[lines.length - 2]).toBe('ER  - ');
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  test('RIS splits page ranges', () => {
+    const ris = CitationFormats.toRis(items.find(item => item.page));
+    expect(ris).toContain('SP  - 61\r\nEP  - 64');
+  });
+
+  test('CSL-JSON round-trips and lists concatenate', () => {
+    expect(JSON.parse(CitationFormats.format(items, 'csl'))).toEqual(items);
+    expect(parseBibtex(CitationFormats.format(items, 'bibtex'))).toHaveLength(items.length);
+    expect(CitationFormats.format(items, 'ris').match(/^TY {2}- /gm)).toHaveLength(items.length);
+    expect(() => CitationFormats.format(items, 'endnote')).toThrow(/endnote/);
+  });
+});
+
+describe('Export menus', () => {
+  const formatsScript = fs.readFileSync(path.join(root, 'js', 'citation-formats.js'), 'utf-8');
+  const exportScript = fs.readFileSync(path.join(root, 'js', 'publication-export.js'), 'utf-8');
+
+  // jsdom's Blob has no text(), so read it the FileReader way
+  function readBlob(window, blob) {
+    return new Promise(resolve => {
+      const reader = new window.FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+  }
+
+  async function loadPage(page = 'publications.html') {
+    const html = page === 'publications.html' ? pageHtml : fs.readFileSync(path.join(root, page), 'utf-8');
+    const dom = new JSDOM(html, { url: `https://example.org/${page}`, runScripts: 'outside-only' });
+    const { window } = dom;
+    const downloads = [];
+
+    window.URL.createObjectURL = (blob) => {
+      downloads.push({ blob });
+      return 'blob:test';
+    };
+    window.URL.revokeObjectURL = () => {};
+    window.HTMLAnchorElement.prototype.click = function() {
+      downloads[downloads.length - 1].filename = this.download;
+    };
+
+    window.eval(formatsScript);
+    window.eval(exportScript);
+    await new Promise(resolve => window.addEventListener('load', resolve));
+    return { window, downloads };
+  }
+
+  test('every entry gets an Export menu and every section a Download all bar', async () => {
+    const { window } = await loadPage();
+    const { document } = window;
+
+    document.querySelectorAll('.publication-entry').forEach(entry => {
+      expect(entry.querySelectorAll('.publication-export [data-export-action]')).toHaveLength(6);
+    });
+    document.querySelectorAll('.publication-section').forEach(section => {
+      expect(section.querySelector('.publication-download-all')).not.toBeNull();
+    });
+    document.querySelectorAll('.publication-export button, .publication-download-all button').forEach(button => {
+      expect(button.getAttribute('type')).toBe('button');
+      expect(button.getAttribute('aria-label')).toBeTruthy();
+    });
+  });
+
+  test('downloading an entry saves it under its key', async () => {
+    const { window, downloads } = await loadPage();
+    const entry = window.document.querySelector('.publication-entry');
+    const key = entry.getAttribute('data-pub-key');
+
+    entry.querySelector('[data-export-action="download"][data-export-format="bibtex"]').click();
+
+    expect(downloads).toHaveLength(1);
+    expect(downloads[0].filename).toBe(`${key}.bib`);
+    const text = await readBlob(window, downloads[0].blob);
+    expect(parseBibtex(text)[0].key).toBe(key);
+  });
+
+  test('Download all saves every entry of the section', async () => {
+    const { window, downloads } = await loadPage();
+    const section = window.document.querySelector('section[aria-labelledby="conference-heading"]');
+
+    section.querySelector('.publication-download-all [data-export-format="ris"]').click();
+
+    expect(downloads[0].filename).toBe('publications-conference.ris');
+    const text = await readBlob(window, downloads[0].blob);
+    expect(text.match(/^TY {2}- /gm)).toHaveLength(section.querySelectorAll('.publication-entry').length);
+  });
+
+  test('copying writes to the clipboard and announces the result', async () => {
+    const { window } = await loadPage();
+    const copied = [];
+    Object.defineProperty(window.navigator, 'clipboard', {
+      value: { writeText: text => { copied.push(text); return Promise.resolve(); } }
+    });
+
+    const button = window.document.querySelector('.publication-entry [data-export-action="copy"][data-export-format="csl"]');
+    button.click();
+    await Promise.resolve();
+
+    expect(JSON.parse(copied[0])[0].id).toBe(button.closest('.publication-entry').getAttribute('data-pub-key'));
+    expect(button.textContent).toBe('Copied');
+    expect(window.document.querySelector('main [aria-live="polite"]').textContent).toMatch(/copied/);
+  });
+
+  test('copying again while "Copied" shows still goes back to the label', async () => {
+    const { window } = await loadPage();
+    const timers = new Map();
+    let nextTimer = 1;
+    Object.defineProperty(window.navigator, 'clipboard', {
+      value: { writeText: () => Promise.resolve() }
+    });
+    window.setTimeout = callback => {
+      timers.set(nextTimer, callback);
+      return nextTimer++;
+    };
+    window.clearTimeout = id => timers.delete(id);
+
+    const button = window.document.querySelector('.publication-entry [data-export-action="copy"]');
+    button.click();
+    await Promise.resolve();
+    button.click();
+    await Promise.resolve();
+
+    expect(button.textContent).toBe('Copied');
+    expect(timers.size).toBe(1);
+    timers.forEach(callback => callback());
+    expect(button.textContent).toBe('Copy');
+  });
+
+  test('without a clipboard the user is pointed to Download', async () => {
+    const { window } = await loadPage();
+
+    window.document.querySelector('.publication-entry [data-export-action="copy"]').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(window.document.querySelector('main [aria-live="polite"]').textContent).toMatch(/Use Download/);
+  });
+
+  test('the translated page has translated menus and announcements', async () => {
+    const { window } = await loadPage('vi/publications.html');
+    const { document } = window;
+    const entry = document.querySelector('.publication-entry');
+    const bar = document.querySelector('section[aria-labelledby="journal-heading"] .publication-download-all');
+    const copyButton = entry.querySelector('[data-export-action="copy"][data-export-format="ris"]');
+
+    expect(entry.querySelector('.publication-export summary').textContent).toBe('Xuất');
+    expect(entry.querySelector('[data-export-action="download"][data-export-format="ris"]').getAttribute('aria-label')).toBe('Tải xuống dạng RIS');
+    expect(copyButton.textContent).toBe('Sao chép');
+    expect(bar.getAttribute('aria-label')).toBe('Tải xuống tất cả Bài báo tạp chí');
+    expect(bar.querySelector('.download-all-label').textContent).toBe('Tải xuống tất cả:');
+
+    copyButton.click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(document.querySelector('main [aria-live="polite"]').textContent)
+      .toBe('Trình duyệt này không hỗ trợ sao chép. Hãy dùng Tải xuống để lấy tệp RIS.');
+
+    Object.defineProperty(window.navigator, 'clipboard', { value: { writeText: () => Promise.resolve() } });
+    copyButton.click();
+    await Promise.resolve();
+    expect(copyButton.textContent).toBe('Đã sao chép');
+    expect(document.querySelector('main [aria-live="polite"]').textContent).toBe('Đã sao chép RIS vào bộ nhớ tạm.');
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Tests for the APA, IEEE and Chicago citation formatter and the Cite panel
+ * Feature: citation-styles
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const CitationStyles = require('../js/citation-styles');
+const { toCslItem } = require('../tasks/citations');
+const { loadPublications } = require('../tasks/publications');
+
+const root = path.join(__dirname, '..');
+const items = loadPublications().map(toCslItem);
+const fidgety = items.find(item => item.id === 'morais2025confident');
+
+// CSL item with `count` generated authors "Given<n> Family<n>"
+function itemWithAuthors(count, extra = {}) {
+  return Object.assign({
+    id: 'test',
+    type: 'article-journal',
+    title: 'A Study',
+    'container-title': 'Journal of Tests',
+    issued: { 'date-parts': [[2024]] },
+    author: Array.from({ length: count }, (_, i) => ({ family: `Family${i + 1}`, given: `Given${i + 1}` }))
+  }, extra);
+}
+
+describe('Initials', () => {
+  test('abbreviate each given name, keeping hyphens', () => {
+    expect(CitationStyles.initials('Thao Minh')).toBe('T. M.');
+    expect(CitationStyles.initials('Jean-Paul')).toBe('J.-P.');
+    expect(CitationStyles.initials('Elizabeth M')).toBe('E. M.');
+  });
+});
+
+describe('The 15-author Fidgety Movement paper', () => {
+  test('APA lists all 15 authors with an ampersand before the last', () => {
+    const apa = CitationStyles.formatApa(fidgety);
+
+    expect(apa).toMatch(/^Morais, R\., Le, T\. M\., Tran, T\., /);
+    expect(apa).toContain('Dawson, P. A., & Venkatesh, S. (2025).');
+    expect(apa.match(/\w+, [A-Z]\./g)).toHaveLength(15);
+  });
+
+  test('IEEE keeps only the first author', () => {
+    expect(CitationStyles.formatIeee(fidgety)).toMatch(/^R\. Morais et al\., "Confident and Trustworthy Model for Fidgety Movement Classification," /);
+  });
+
+  test('Chicago lists the first seven authors then et al.', () => {
+    expect(CitationStyles.formatChicago(fidgety)).toMatch(
+      /^Morais, Romero, Thao Minh Le, Truyen Tran, OCaroline Alexander, Natasha Amery, Catherine Morgan, Alicia Spittle, et al\. "/
+    );
+  });
+});
+
+describe('Author list truncation', () => {
+  test('APA lists up to 20 authors, then 19, an ellipsis and the last', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 30 }), (count) => {
+        const apa = CitationStyles.formatApa(itemWithAuthors(count));
+        const listed = apa.match(/Family\d+/g);
+
+        if (count <= 20) {
+          expect(listed).toHaveLength(count);
+          expect(apa).not.toContain('. . .');
+        } else {
+          expect(listed).toHaveLength(20);
+          expect(apa).toContain(`Family19, G., . . . Family${count}, G. (2024).`);
+        }
+        if (count >= 2 && count <= 20) expect(apa).toContain(`& Family${count}, G.`);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  test('IEEE lists up to 6 authors, then the first with et al.', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 30 }), (count) => {
+        const ieee = CitationStyles.formatIeee(itemWithAuthors(count));
+        const listed = ieee.match(/Family\d+/g);
+
+        expect(listed).toHaveLength(count <= 6 ? count : 1);
+        expect(ieee.includes('et al.')).toBe(count > 6);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  test('Chicago lists up to 10 authors, then the first 7 with et al.', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 30 }), (count) => {
+        const chicago = CitationStyles.formatChicago(itemWithAuthors(count));
+        const listed = chicago.match(/Family\d+/g);
+
+        expect(listed).toHaveLength(count <= 10 ? count : 7);
+        expect(chicago.includes('et al.')).toBe(count > 10);
+        expect(chicago.startsWith('Family1, Given1')).toBe(true);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  test('two authors are joined the way each style expects', () => {
+    const item = itemWithAuthors(2);
+
+    expect(CitationStyles.formatApa(item)).toMatch(/^Family1, G\., & Family2, G\. \(2024\)/);
+    expect(CitationStyles.formatIeee(item)).toMatch(/^G\. Family1 and G\. Family2, /);
+    expect(CitationStyles.formatChicago(item)).toMatch(/^Family1, Given1, and Given2 Family2\. /);
+  });
+});
+
+describe('Reference details', () => {
+  test('DOIs are preferred over URLs', () => {
+    const item = itemWithAuthors(1, { DOI: '10.1000/xyz', URL: 'https://example.org/paper' });
+
+    expect(CitationStyles.formatApa(item)).toMatch(/https:\/\/doi\.org\/10\.1000\/xyz$/);
+    expect(CitationStyles.formatIeee(item)).toMatch(/doi: 10\.1000\/xyz\.$/);
+    expect(CitationStyles.formatChicago(item)).toMatch(/https:\/\/doi\.org\/10\.1000\/xyz\.$/);
+    expect(CitationStyles.format(item, 'ieee')).not.toContain('example.org');
+  });
+
+  test('volume, issue and pages use each style\'s notation', () => {
+    const item = itemWithAuthors(1, { volume: '118', issue: '362', page: '61-64' });
+
+    expect(CitationStyles.formatApa(item)).toContain('Journal of Tests, 118(362), 61–64.');
+    expect(CitationStyles.formatIeee(item)).toContain('Journal of Tests, vol. 118, no. 362, pp. 61–64, 2024.');
+    expect(CitationStyles.formatChicago(item)).toContain('Journal of Tests 118, no. 362 (2024): 61–64.');
+  });
+
+  test('titles ending in a question mark get no extra period', () => {
+    const item = itemWithAuthors(1, { title: 'Is This a Study?' });
+
+    expect(CitationStyles.formatApa(item)).toContain('Is This a Study? Journal');
+    expect(CitationStyles.formatChicago(item)).toContain('"Is This a Study?"');
+  });
+
+  test('every site publication formats in every style', () => {
+    items.forEach(item => {
+      Object.keys(CitationStyles.STYLES).forEach(style => {
+        const text = CitationStyles.format(item, style);
+        expect(text).toContain(item.title);
+        expect(text).not.toMatch(/undefined|\.\.(?!\.)|\s{2}/);
+      });
+    });
+    expect(() => CitationStyles.format(items[0], 'mla')).toThrow(/mla/);
+  });
+});
+
+describe('Cite panel', () => {
+  const pageHtml = fs.readFileSync(path.join(root, 'publications.html'), 'utf-8');
+  const scripts = ['citation-formats.js', 'citation-styles.js', 'publication-export.js']
+    .map(name => fs.readFileSync(path.join(root, 'js', name), 'utf-8'));
+
+  async function loadPage(page = 'publications.html') {
+    const html = page === 'publications.html' ? pageHtml : fs.readFileSync(path.join(root, page), 'utf-8');
+    const dom = new JSDOM(html, { url: `https://example.org/${page}`, runScripts: 'outside-only' });
+    scripts.forEach(script => dom.window.eval(script));
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    return dom.window;
+  }
+
+  function open(window, panel) {
+    panel.open = true;
+    panel.dispatchEvent(new window.Event('toggle'));
+  }
+
+  test('the page loads the formatter before the menus', () => {
+    expect(pageHtml.indexOf('js/citation-styles.js')).toBeGreaterThan(-1);
+    expect(pageHtml.indexOf('js/citation-styles.js')).toBeLessThan(pageHtml.indexOf('js/publication-export.js'));
+  });
+
+  test('every entry gets a Cite panel with a labelled style picker', async () => {
+    const window = await loadPage();
+    const { document } = window;
+
+    document.querySelectorAll('.publication-entry').forEach(entry => {
+      const select = entry.querySelector('.publication-cite [data-cite-style]');
+      expect(select).not.toBeNull();
+      expect(document.querySelector(`label[for="${select.id}"]`)).not.toBeNull();
+    });
+  });
+
+  test('opening shows the reference and changing style reformats it', async () => {
+    const window = await loadPage();
+    const panel = window.document.querySelector('.publication-entry[data-pub-key="morais2025confident"] .publication-cite');
+
+    open(window, panel);
+    expect(panel.querySelector('[data-cite-output]').textContent).toBe(CitationStyles.formatApa(fidgety));
+
+    const select = panel.querySelector('[data-cite-style]');
+    select.value = 'ieee';
+    select.dispatchEvent(new window.Event('change', { bubbles: true }));
+    expect(panel.querySelector('[data-cite-output]').textContent).toBe(CitationStyles.formatIeee(fidgety));
+
+    // The chosen style carries over to the next panel
+    const next = window.document.querySelectorAll('.publication-cite')[1];
+    open(window, next);
+    expect(next.querySelector('[data-cite-style]').value).toBe('ieee');
+    expect(panel.open).toBe(false);
+  });
+
+  test('copying puts the formatted reference on the clipboard', async () => {
+    const window = await loadPage();
+    const copied = [];
+    Object.defineProperty(window.navigator, 'clipboard', {
+      value: { writeText: text => { copied.push(text); return Promise.resolve(); } }
+    });
+    const panel = window.document.querySelector('.publication-cite');
+
+    open(window, panel);
+    panel.querySelector('[data-cite-copy]').click();
+    await Promise.resolve();
+
+    expect(copied).toEqual([panel.querySelector('[data-cite-output]').textContent]);
+    expect(window.document.querySelector('main [aria-live="polite"]').textContent).toMatch(/APA citation copied/);
+  });
+
+  test('the translated page has a translated panel and announcements', async () => {
+    const window = await loadPage('vi/publications.html');
+    const { document } = window;
+    const panel = document.querySelector('.publication-cite');
+    const button = panel.querySelector('[data-cite-copy]');
+
+    expect(panel.querySelector('summary').textContent).toBe('Trích dẫn');
+    expect(panel.querySelector('label').textContent).toBe('Kiểu');
+    expect(button.textContent).toBe('Sao chép trích dẫn');
+
+    open(window, panel);
+    button.click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(document.querySelector('main [aria-live="polite"]').textContent)
+      .toBe('Trình duyệt này không hỗ trợ sao chép. Hãy chọn đoạn trích dẫn để sao chép.');
+
+    Object.defineProperty(window.navigator, 'clipboard', { value: { writeText: () => Promise.resolve() } });
+    button.click();
+    await Promise.resolve();
+    expect(document.querySelector('main [aria-live="polite"]').textContent).toBe('Đã sao chép trích dẫn APA vào bộ nhớ tạm.');
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Tests for the external link audit, run against a local stub server
+ * Feature: external-links
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  collectExternalLinks,
+  auditLinks,
+  httpClient,
+  checkStatus,
+  auditExternalLinks,
+  formatExternalReport
+} = require('../tasks/external-links');
+
+const baseUrl = 'https://example.org';
+
+// Stub server: each path answers the way a real site might
+function startStub() {
+  const server = http.createServer((req, res) => {
+    switch (req.url) {
+      case '/ok':
+        res.writeHead(200);
+        break;
+      case '/moved':
+        res.writeHead(301, { Location: '/ok' });
+        break;
+      case '/loop':
+        res.writeHead(302, { Location: '/loop' });
+        break;
+      case '/no-head':
+        res.writeHead(req.method === 'HEAD' ? 405 : 200);
+        break;
+      case '/slow':
+        setTimeout(() => res.end(), 500);
+        return;
+      default:
+        res.writeHead(404);
+    }
+    res.end();
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, origin: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+// Write a throwaway site from a { path: content } map
+function makeSite(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'external-links-'));
+
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(root, name), content));
+  return root;
+}
+
+function link(url, line = 1, page = 'index.html') {
+  return { page, line, url, text: 'Paper' };
+}
+
+describe('Static audit', () => {
+  test('empty, whitespace and non-http(s) hrefs are errors', () => {
+    const { problems } = auditLinks([
+      link(''),
+      link('   ', 2),
+      link(' https://example.com', 3),
+      link('https://', 4),
+      link('javascript:void(0)', 5),
+      link('ftp://example.com/file', 6)
+    ], baseUrl);
+
+    expect(problems.map(problem => [problem.line, problem.kind])).toEqual([
+      [1, 'empty'],
+      [2, 'empty'],
+      [3, 'malformed'],
+      [4, 'malformed'],
+      [5, 'malformed'],
+      [6, 'malformed']
+    ]);
+    expect(problems[0].reason).toBe('empty href on "Paper"');
+  });
+
+  test('local links are left to check-links', () => {
+    const { external, problems } = auditLinks([
+      link('resources/cv.pdf'),
+      link('https://example.org/publications.html'),
+      link('https://github.com/')
+    ], baseUrl);
+
+    expect(problems).toEqual([]);
+    expect(external.map(item => item.url)).toEqual(['https://github.com/']);
+  });
+
+  test('a URL repeated on one page is a duplicate, across pages it is not', () => {
+    const { external, problems } = auditLinks([
+      link('https://arxiv.org/abs/1', 10),
+      link('https://arxiv.org/abs/1', 20),
+      link('https://arxiv.org/abs/1', 5, 'news.html')
+    ], baseUrl);
+
+    expect(external).toHaveLength(3);
+    expect(problems).toEqual([
+      { kind: 'duplicate', page: 'index.html', line: 20, url: 'https://arxiv.org/abs/1', reason: 'also linked on line 10' }
+    ]);
+  });
+
+  test('links are collected with their page and line', () => {
+    const root = makeSite({
+      'index.html': '<p>\n<a href="https://github.com/" target="_blank">GitHub</a>\n<a href="news.html">News</a>\n<a target="_blank">\n  No  href\n</a></p>'
+    });
+
+    expect(collectExternalLinks({ root })).toEqual([
+      { page: 'index.html', line: 2, url: 'https://github.com/', text: 'GitHub' },
+      { page: 'index.html', line: 4, url: '', text: 'No href' }
+    ]);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+});
+
+describe('Status check', () => {
+  let stub;
+
+  beforeAll(async () => {
+    stub = await startStub();
+  });
+
+  afterAll(() => new Promise(resolve => stub.server.close(resolve)));
+
+  test('the default client follows redirects and falls back to GET', async () => {
+    await expect(httpClient(`${stub.origin}/ok`)).resolves.toEqual({ status: 200, url: `${stub.origin}/ok` });
+    await expect(httpClient(`${stub.origin}/moved`)).resolves.toEqual({ status: 200, url: `${stub.origin}/ok` });
+    await expect(httpClient(`${stub.origin}/no-head`)).resolves.toMatchObject({ status: 200 });
+    await expect(httpClient(`${stub.origin}/missing`)).resolves.toMatchObject({ status: 404 });
+    await expect(httpClient(`${stub.origin}/loop`)).rejects.toThrow(/redirects/);
+    await expect(httpClient(`${stub.origin}/slow`, { timeout: 50 })).rejects.toThrow(/timed out/);
+  });
+
+  test('each distinct URL is requested once', async () => {
+    const requested = [];
+    const client = url => {
+      requested.push(url);
+      return Promise.resolve({ status: url.endsWith('/gone') ? 410 : 200 });
+    };
+
+    const results = await checkStatus(['https://a.test/', 'https://a.test/gone', 'https://a.test/'], { client, concurrency: 2 });
+
+    expect(requested.sort()).toEqual(['https://a.test/', 'https://a.test/gone']);
+    expect(results).toEqual([
+      { url: 'https://a.test/', status: 200, ok: true },
+      { url: 'https://a.test/gone', status: 410, ok: false }
+    ]);
+  });
+
+  test('a full audit reports JSON and text against the stub', async () => {
+    const root = makeSite({
+      'index.html': [
+        '<main>',
+        `<a href="${stub.origin}/ok" target="_blank">Fine</a>`,
+        `<a href="${stub.origin}/missing" target="_blank">Gone</a>`,
+        '<a href="" target="_blank">Paper</a>',
+        `<a href="${stub.origin}/slow" target="_blank">Slow</a>`,
+        '</main>'
+      ].join('\n'),
+      'news.html': `<a href="${stub.origin}/ok" target="_blank">Fine</a>\n<a href="${stub.origin}/ok" target="_blank">Again</a>`
+    });
+
+    const report = await auditExternalLinks({ root, baseUrl, status: true, timeout: 50 });
+    fs.rmSync(root, { recursive: true, force: true });
+
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+    expect(report).toMatchObject({ pages: 2, links: 6, urls: 3, statusChecked: true, errors: 3, warnings: 1 });
+    expect(report.problems.map(problem => [problem.page, problem.line, problem.kind, problem.status])).toEqual([
+      ['index.html', 3, 'status', 404],
+      ['index.html', 4, 'empty', undefined],
+      ['index.html', 5, 'status', null],
+      ['news.html', 2, 'duplicate', undefined]
+    ]);
+
+    const text = formatExternalReport(report);
+    expect(text).toContain(`index.html\n  line 3: [status] ${stub.origin}/missing - HTTP 404`);
+    expect(text).toContain('  line 4: [empty] empty href on "Paper"');
+    expect(text).toMatch(/line 5: \[status\] .*\/slow - timed out after 50 ms/);
+    expect(text).toMatch(/6 external links \(3 distinct URLs\) on 2 pages: 3 error\(s\), 1 warning\(s\)$/);
+  });
+});
+
+describe('The site itself', () => {
+  test('every external link is an absolute http(s) URL or flagged as empty', async () => {
+    // Audits the markup only; run `CHECK_STATUS=1 gulp check-external` to request each URL
+    const report = await auditExternalLinks();
+
+    expect(report.statusChecked).toBe(false);
+    expect(report.problems.filter(problem => problem.kind === 'malformed')).toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for the Atom and RSS news feeds
+ * Feature: news-feeds
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const {
+  absolutizeLinks,
+  newsTitle,
+  toFeedEntries,
+  renderAtom,
+  renderRss
+} = require('../tasks/feeds');
+const { loadNews } = require('../tasks/news');
+const { loadSite } = require('../tasks/site');
+const { PAGES } = require('../tasks/pages');
+
+const site = {
+  baseUrl: 'https://example.org',
+  title: 'Example & Co',
+  description: 'News <feed>',
+  language: 'en',
+  author: { name: 'Jane Doe', email: 'jane@example.org' }
+};
+
+// Parse XML and fail on any parser error
+function parseXml(xml) {
+  const doc = new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+  expect(doc.getElementsByTagName('parsererror').length).toBe(0);
+  return doc;
+}
+
+describe('Feed entries', () => {
+  test('relative links become absolute against the base URL', () => {
+    const html = absolutizeLinks('<a href="resources/cv.pdf">CV</a> <a href="https://x.org/">x</a> <a href="">empty</a>', site);
+
+    expect(html).toContain('href="https://example.org/resources/cv.pdf"');
+    expect(html).toContain('href="https://x.org/"');
+    expect(html).toContain('href=""');
+  });
+
+  test('titles are plain text and bounded in length', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.constantFrom('Our', 'paper', '<em>', '</em>', 'is', 'accepted', '&amp;', 'AAAI'), { minLength: 1, maxLength: 60 }),
+        (words) => {
+          const title = newsTitle(words.join(' '));
+
+          expect(title).not.toMatch(/[<>]/);
+          expect(title.length).toBeLessThanOrEqual(101);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  test('entry ids are unique and stable', () => {
+    const items = loadNews();
+    const first = toFeedEntries(items, site);
+    const second = toFeedEntries(items, site);
+    const ids = first.map(entry => entry.id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(second.map(entry => entry.id)).toEqual(ids);
+  });
+
+  test('entry ids do not change when news is added on the same day', () => {
+    const older = { date: '2025-10-14', content: 'Our paper is accepted.' };
+    const newer = { date: '2025-10-14', content: 'My proposal is funded.' };
+    const [before] = toFeedEntries([older], site);
+    const after = toFeedEntries([newer, older], site);
+
+    expect(before.id).toMatch(/^tag:example\.org,2025-10-14:news-[0-9a-f]{10}$/);
+    expect(after[1].id).toBe(before.id);
+    expect(after[0].id).not.toBe(before.id);
+  });
+
+  test('items with the same date and title still get unique ids', () => {
+    const item = { date: '2025-10-14', content: 'Talk.' };
+    const [first, second] = toFeedEntries([item, { ...item }], site);
+
+    expect(second.id).toBe(`${first.id}-2`);
+  });
+});
+
+describe('Feed documents', () => {
+  const entries = toFeedEntries([
+    { date: '2025-08-18', content: 'Joined <a href="index.html">Penn State</a> & more' },
+    { date: '2021-05', content: 'Month-only item' }
+  ], site, 1);
+
+  test('Atom feed is well-formed with one entry per item', () => {
+    const doc = parseXml(renderAtom(entries, site));
+
+    expect(doc.documentElement.namespaceURI).toBe('http://www.w3.org/2005/Atom');
+    expect(doc.getElementsByTagName('entry').length).toBe(2);
+    expect(doc.querySelector('feed > updated').textContent).toBe('2025-08-18T00:00:00Z');
+    expect(doc.querySelector('entry content').textContent).toContain('href="https://example.org/index.html"');
+  });
+
+  test('RSS feed is well-formed with one item per news item', () => {
+    const doc = parseXml(renderRss(entries, site));
+
+    expect(doc.getElementsByTagName('item').length).toBe(2);
+    expect(doc.querySelector('item pubDate').textContent).toBe('Mon, 18 Aug 2025 00:00:00 GMT');
+    expect(doc.querySelectorAll('item link')[1].textContent).toBe('https://example.org/news.html');
+  });
+
+  test('committed feeds are up to date with data/news.json', () => {
+    const actualSite = loadSite();
+    const newsEntries = toFeedEntries(loadNews(), actualSite);
+    const root = path.join(__dirname, '..');
+
+    // Run `gulp feeds` if this fails
+    expect(fs.readFileSync(path.join(root, 'feed.xml'), 'utf-8')).toBe(renderAtom(newsEntries, actualSite));
+    expect(fs.readFileSync(path.join(root, 'rss.xml'), 'utf-8')).toBe(renderRss(newsEntries, actualSite));
+  });
+});
+
+describe('Feed discovery', () => {
+  test.each(PAGES)('%s advertises the Atom and RSS feeds', (page) => {
+    const html = fs.readFileSync(path.join(__dirname, '..', page), 'utf-8');
+
+    expect(html).toMatch(/<link rel="alternate" type="application\/atom\+xml"[^>]*href="https?:\/\/[^"]+\/feed\.xml"/);
+    expect(html).toMatch(/<link rel="alternate" type="application\/rss\+xml"[^>]*href="https?:\/\/[^"]+\/rss\.xml"/);
+  });
+});
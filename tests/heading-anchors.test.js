@@ -0,0 +1,141 @@
+/**
+ * Tests for permalinks on section headings, cards and publications
+ * Feature: heading-anchors
+ */
+
+const { JSDOM } = require('jsdom');
+const { initHeadingAnchors } = require('../js/navigation/heading-anchors.js');
+const { read, openPage, whenLoaded, useWindow, runNavigation } = require('./helpers/navigation');
+
+const TARGETS = 'h2.section-heading, .card-custom, .publication-entry';
+const PAGES = ['index.html', 'publications.html', 'awards.html', 'teaching.html', 'outreach.html', 'news.html'];
+
+// Page with navigation.js and an optional clipboard
+async function loadPage(page, { hash = '', clipboard = true } = {}) {
+  const { window, document, scrolls } = openPage(page, { suffix: hash });
+  const copied = [];
+
+  if (clipboard) {
+    Object.defineProperty(window.navigator, 'clipboard', {
+      value: { writeText: text => { copied.push(text); return Promise.resolve(); } }
+    });
+  }
+  runNavigation(window);
+  await whenLoaded(window);
+
+  return { window, document, copied, scrolls };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+const idsOf = document => Array.from(document.querySelectorAll(TARGETS), target => target.id);
+
+describe('Heading anchors', () => {
+  test.each(PAGES)('%s gives every target a unique id and one "#" link', async (page) => {
+    const { document } = await loadPage(page);
+    const targets = Array.from(document.querySelectorAll(TARGETS));
+    const allIds = Array.from(document.querySelectorAll('[id]'), element => element.id);
+
+    expect(targets.length).toBeGreaterThan(0);
+    targets.forEach(target => {
+      expect(target.id).toMatch(/^[A-Za-z0-9_-]+$/);
+      const links = target.querySelectorAll('.heading-anchor');
+      expect(links).toHaveLength(1);
+      expect(links[0].getAttribute('href')).toBe(`#${target.id}`);
+      expect(links[0].getAttribute('aria-label')).toMatch(/^Copy link to \S/);
+    });
+    expect(new Set(allIds).size).toBe(allIds.length);
+  });
+
+  test('ids already in the markup are kept', async () => {
+    const source = new JSDOM(read('publications.html')).window.document;
+    const { document } = await loadPage('publications.html');
+
+    expect(idsOf(document)).toEqual(idsOf(source));
+  });
+
+  test('missing ids are slugs of the title, numbered when repeated', async () => {
+    const { document } = await loadPage('teaching.html');
+    const awards = (await loadPage('awards.html')).document;
+
+    expect(awards.getElementById('computer-based-video-analysis-for-early-detection-of')).not.toBeNull();
+    expect(document.getElementById('ph-d-students').textContent).toContain('Y Huynh');
+    expect(document.getElementById('ph-d-students-2').textContent).toContain('Xuan Tuyen Tran');
+  });
+
+  test('ids are the same on every load and on the translated page', async () => {
+    const first = idsOf((await loadPage('outreach.html')).document);
+    const second = idsOf((await loadPage('outreach.html')).document);
+    const translated = idsOf((await loadPage('vi/outreach.html')).document);
+
+    expect(second).toEqual(first);
+    expect(translated).toEqual(first);
+  });
+
+  test('the "#" stays out of the heading text', async () => {
+    const { document } = await loadPage('awards.html');
+    const heading = document.getElementById('grants-heading');
+
+    expect(heading.querySelector('.heading-anchor').textContent).toBe('');
+    expect(heading.textContent).toBe('Grants');
+  });
+
+  test('clicking a "#" link copies the absolute URL and announces it', async () => {
+    const { window, document, copied } = await loadPage('teaching.html');
+    const link = document.querySelector('#ph-d-students .heading-anchor');
+    const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+
+    link.dispatchEvent(click);
+    await flush();
+
+    expect(click.defaultPrevented).toBe(true);
+    expect(copied).toEqual(['https://example.org/teaching.html#ph-d-students']);
+    expect(link.classList.contains('is-copied')).toBe(true);
+    expect(document.querySelector('[aria-live="polite"].visually-hidden').textContent).toBe('Link copied to the clipboard.');
+  });
+
+  test('without the Clipboard API the link is left in the address bar', async () => {
+    const { window, document } = await loadPage('awards.html', { clipboard: false });
+    const link = document.querySelector('.card-custom .heading-anchor');
+
+    link.click();
+    await flush();
+
+    expect(window.location.hash).toBe(link.getAttribute('href'));
+    expect(document.querySelector('[aria-live="polite"].visually-hidden').textContent).toMatch(/address bar/);
+  });
+
+  test('titles are put into the label as written', () => {
+    const { window } = openPage('index.html', { html: '<nav class="navbar"></nav><h2 class="section-heading">Costs in $& and $\'</h2>' });
+
+    useWindow(window);
+    initHeadingAnchors();
+    expect(window.document.querySelector('.heading-anchor').getAttribute('aria-label')).toBe("Copy link to Costs in $& and $'");
+  });
+
+  test('the translated pages label and announce in their language', async () => {
+    const { document } = await loadPage('vi/awards.html');
+    const link = document.querySelector('#grants-heading .heading-anchor');
+
+    expect(link.getAttribute('aria-label')).toBe(`Sao chép liên kết tới ${document.getElementById('grants-heading').textContent}`);
+    link.click();
+    await flush();
+    expect(document.querySelector('[aria-live="polite"].visually-hidden').textContent).toBe('Đã sao chép liên kết vào bộ nhớ tạm.');
+
+    const unavailable = (await loadPage('vi/awards.html', { clipboard: false })).document;
+    unavailable.querySelector('.heading-anchor').click();
+    await flush();
+    expect(unavailable.querySelector('[aria-live="polite"].visually-hidden').textContent).toMatch(/thanh địa chỉ/);
+  });
+
+  test('a deep link to a generated id scrolls to it on load', async () => {
+    const { scrolls } = await loadPage('awards.html', { hash: '#computer-based-video-analysis-for-early-detection-of' });
+
+    expect(scrolls).toEqual([{ top: expect.any(Number), behavior: 'auto' }]);
+  });
+
+  test('deep links to ids in the markup scroll the same way', async () => {
+    const { scrolls } = await loadPage('awards.html', { hash: '#grants-heading' });
+
+    expect(scrolls).toEqual([{ top: expect.any(Number), behavior: 'auto' }]);
+  });
+});
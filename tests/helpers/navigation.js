@@ -0,0 +1,127 @@
+/**
+ * Shared setup for tests of the navigation modules
+ * openPage() loads a site page in jsdom with the browser APIs the modules
+ * use stubbed out: scrolling, media queries and IntersectionObserver. The
+ * modules use the window and document globals, as in the browser; the other
+ * helpers point them at the page and clear them again after each test.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { initNavigation } = require('../../js/navigation/index.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Read a site file.
+ *
+ * @param {string} file - Path from the site root
+ * @returns {string}
+ */
+function read(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf-8');
+}
+
+/**
+ * Load a page in jsdom with stubbed browser APIs.
+ *
+ * @param {string} page - Path from the site root, e.g. 'vi/news.html'
+ * @param {Object} [options]
+ * @param {string} [options.html] - Markup to load instead of the page file
+ * @param {string} [options.suffix] - Query string and/or hash for the URL
+ * @param {string} [options.navbarAttributes] - Extra attributes for .navbar
+ * @param {Object<string, boolean>} [options.media] - Media queries that match
+ * @param {boolean} [options.observer] - Provide IntersectionObserver (default true)
+ * @returns {Object} The window and document, the scrollTo() calls and
+ *   observers so far, and setMedia(query, matches) to change a media query
+ */
+function openPage(page, { html = read(page), suffix = '', navbarAttributes = '', media = {}, observer = true } = {}) {
+  const markup = navbarAttributes ? html.replace('<nav class="navbar ', `<nav ${navbarAttributes} class="navbar `) : html;
+  const { window } = new JSDOM(markup, { url: `https://example.org/${page}${suffix}`, runScripts: 'outside-only' });
+  const matches = { ...media };
+  const mediaListeners = [];
+  const scrolls = [];
+  const observers = [];
+
+  Object.defineProperty(window, 'scrollY', { value: 0, writable: true });
+  window.scrollTo = options => {
+    scrolls.push(options);
+    if (options && typeof options.top === 'number') window.scrollY = options.top;
+  };
+  window.requestAnimationFrame = callback => callback();
+  window.matchMedia = query => ({
+    get matches() {
+      return Boolean(matches[query]);
+    },
+    addEventListener: (type, listener) => mediaListeners.push({ query, listener })
+  });
+  if (observer) {
+    window.IntersectionObserver = class {
+      constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = [];
+        observers.push(this);
+      }
+
+      observe(target) {
+        this.targets.push(target);
+      }
+
+      unobserve(target) {
+        this.targets = this.targets.filter(current => current !== target);
+      }
+
+      disconnect() {
+        this.targets = [];
+      }
+    };
+  }
+
+  const setMedia = (query, value) => {
+    matches[query] = value;
+    mediaListeners.filter(entry => entry.query === query).forEach(entry => entry.listener({ matches: value, media: query }));
+  };
+
+  return { window, document: window.document, scrolls, observers, setMedia };
+}
+
+/**
+ * Resolve once a page has finished loading.
+ *
+ * @param {Window} window
+ * @returns {Promise<void>}
+ */
+function whenLoaded(window) {
+  return new Promise(resolve => window.addEventListener('load', () => resolve()));
+}
+
+/**
+ * Point the window and document globals at a jsdom window.
+ *
+ * @param {Window} window
+ */
+function useWindow(window) {
+  global.window = window;
+  global.document = window.document;
+}
+
+/**
+ * Set up navigation.js on a jsdom page.
+ *
+ * @param {Window} window
+ * @param {Object} [options] - Passed to initNavigation()
+ * @returns {Object} The scroll helpers initNavigation() returns
+ */
+function runNavigation(window, options) {
+  useWindow(window);
+  return initNavigation(options);
+}
+
+afterEach(() => {
+  delete global.window;
+  delete global.document;
+});
+
+module.exports = { read, openPage, whenLoaded, useWindow, runNavigation };
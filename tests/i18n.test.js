@@ -0,0 +1,188 @@
+/**
+ * Tests for the translated pages, the language switcher and hreflang links
+ * Feature: translations
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { PAGES } = require('../tasks/pages');
+const { loadSite } = require('../tasks/site');
+const { loadTranslation, loadLanguages, translate, formatDatetime } = require('../tasks/i18n');
+const { localizeUrl, translatePage } = require('../tasks/translate');
+const { checkNewsDates } = require('../tasks/news-dates');
+
+const root = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(root, file), 'utf-8');
+const parse = file => new JSDOM(read(file)).window.document;
+
+const site = loadSite();
+const languages = loadLanguages(site);
+const vi = languages.find(language => language.code === 'vi');
+
+describe('Translated pages', () => {
+  test.each(PAGES)('vi/%s is up to date', (page) => {
+    const { html, missing } = translatePage(read(page), page, vi, { site, languages });
+
+    expect(missing).toEqual([]);
+    expect(read(`vi/${page}`)).toBe(html);
+  });
+
+  test.each(PAGES)('vi/%s is in Vietnamese with no translation markers left', (page) => {
+    const document = parse(`vi/${page}`);
+    const markers = Array.from(document.querySelectorAll('*')).filter(element => (
+      Array.from(element.attributes).some(({ name }) => name.startsWith('data-i18n'))
+    ));
+
+    expect(document.documentElement.getAttribute('lang')).toBe('vi');
+    expect(markers).toHaveLength(0);
+  });
+
+  test('marked text is translated and assets load from the site root', () => {
+    const document = parse('vi/index.html');
+
+    expect(document.querySelector('.skip-link').textContent).toBe(vi.strings.common.skipLink);
+    expect(document.querySelector('.hero-subtitle').textContent).toBe(vi.strings.index.subtitle);
+    expect(document.querySelector('#site-search-input').getAttribute('placeholder')).toBe(vi.strings.common.searchPlaceholder);
+    expect(document.querySelector('link[href$="base.css"]').getAttribute('href')).toBe('../css/base.css');
+    expect(document.querySelector('form.site-search').getAttribute('data-search-index')).toBe('../search-index.json');
+    expect(document.querySelector('.navbar-brand').getAttribute('href')).toBe('index.html');
+  });
+
+  test('names, paper titles and venues stay as written', () => {
+    const english = parse('publications.html');
+    const vietnamese = parse('vi/publications.html');
+    const entries = selector => Array.from(english.querySelectorAll(selector), element => element.textContent);
+
+    ['.publication-authors', '.publication-title', '.publication-venue'].forEach(selector => {
+      expect(Array.from(vietnamese.querySelectorAll(selector), element => element.textContent)).toEqual(entries(selector));
+    });
+    expect(vietnamese.querySelector('.publication-entry').getAttribute('lang')).toBe('en');
+    expect(parse('vi/index.html').querySelector('.hero-title').textContent).toBe(parse('index.html').querySelector('.hero-title').textContent);
+  });
+
+  test('news tag badges are translated and marked as Vietnamese inside the English news', () => {
+    const item = parse('vi/news.html').querySelector('.news-item[data-tags="paper"]');
+    const tags = item.querySelector('.news-tags');
+
+    expect(item.querySelector('.news-content').getAttribute('lang')).toBe('en');
+    expect(tags.getAttribute('lang')).toBe('vi');
+    expect(tags.getAttribute('aria-label')).toBe('Thẻ');
+    expect(tags.querySelector('.news-tag').textContent).toBe('Bài báo');
+  });
+
+  test('news dates are formatted for the Vietnamese locale', () => {
+    const document = parse('vi/news.html');
+    const range = parse('vi/index.html').querySelector('time[datetime*="/"]');
+
+    expect(document.querySelector('time[datetime="2018-11-14"]').textContent).toBe('14 thg 11, 2018');
+    expect(range.textContent).toBe(formatDatetime(range.getAttribute('datetime'), 'vi-VN'));
+    expect(checkNewsDates(read('vi/news.html'), 'vi/news.html')).toEqual([]);
+  });
+
+  test('nav labels come from the translation', () => {
+    const labels = Array.from(parse('vi/teaching.html').querySelectorAll('.navbar-nav > .nav-item:not(.language-switcher) > .nav-link'), link => link.firstChild.textContent.trim());
+
+    expect(labels).toEqual(Object.values(vi.strings.nav));
+    expect(parse('vi/teaching.html').querySelector('.nav-item.active .visually-hidden').textContent).toBe(vi.strings.common.current);
+  });
+});
+
+describe('Language switcher and alternates', () => {
+  test.each(PAGES)('%s links to its own translation, and back', (page) => {
+    const english = parse(page).querySelector('.language-switcher a');
+    const vietnamese = parse(`vi/${page}`).querySelector('.language-switcher a');
+
+    expect(english.getAttribute('href')).toBe(`vi/${page}`);
+    expect(english.getAttribute('hreflang')).toBe('vi');
+    expect(english.getAttribute('lang')).toBe('vi');
+    expect(vietnamese.getAttribute('href')).toBe(`../${page}`);
+    expect(vietnamese.getAttribute('hreflang')).toBe('en');
+  });
+
+  test.each(PAGES)('both versions of %s list the same hreflang alternates', (page) => {
+    const alternates = file => Array.from(parse(file).querySelectorAll('link[rel="alternate"][hreflang]'), link => [link.getAttribute('hreflang'), link.getAttribute('href')]);
+    const url = page === 'index.html' ? '' : page;
+
+    expect(alternates(page)).toEqual([
+      ['en', `${site.baseUrl}/${url}`],
+      ['vi', `${site.baseUrl}/vi/${url}`]
+    ]);
+    expect(alternates(`vi/${page}`)).toEqual(alternates(page));
+  });
+});
+
+describe('Translation helpers', () => {
+  test('keys are looked up by section', () => {
+    expect(translate({ index: { bio: 'Tiểu sử' } }, 'index.bio')).toBe('Tiểu sử');
+    expect(translate({ index: {} }, 'index.bio')).toBeUndefined();
+    expect(translate({}, 'toString.constructor')).toBeUndefined();
+  });
+
+  test('untranslated keys keep the English text and are reported', () => {
+    const html = [
+      '<html lang="en"><head><title>Title</title>',
+      '<!-- build:head --><!-- /build:head --></head>',
+      '<body><!-- build:navbar --><!-- /build:navbar --><p data-i18n="page.missing">Kept</p></body></html>'
+    ].join('\n');
+    const language = { code: 'vi', locale: 'vi-VN', strings: { page: { title: 'Tiêu đề' } } };
+    const { html: output, missing } = translatePage(html, 'page.html', language, { site, languages: [languages[0], language], navigation: [] });
+
+    expect(output).toContain('<title>Tiêu đề</title>');
+    expect(output).toContain('<p>Kept</p>');
+    expect(missing).toContain('page.missing');
+  });
+
+  test('page links stay relative while other files move up to the root', () => {
+    expect(localizeUrl('publications.html#le2020dynamic')).toBe('publications.html#le2020dynamic');
+    expect(localizeUrl('/')).toBe('index.html');
+    expect(localizeUrl('/#news-heading')).toBe('index.html#news-heading');
+    expect(localizeUrl('css/base.css')).toBe('../css/base.css');
+    expect(localizeUrl('/img/ThaoLe_2.png')).toBe('../img/ThaoLe_2.png');
+    ['', '#main-content', 'mailto:a@b.c', 'https://example.org/x', '//clustrmaps.com/map.png', '../index.html'].forEach(url => {
+      expect(localizeUrl(url)).toBe(url);
+    });
+  });
+
+  test('every day and month formats for any locale', () => {
+    fc.assert(
+      fc.property(
+        fc.date({ min: new Date('1990-01-01T00:00:00Z'), max: new Date('2100-12-31T00:00:00Z'), noInvalidDate: true }),
+        fc.integer({ min: 1, max: 30 }),
+        fc.constantFrom('vi-VN', 'en-US', 'de-DE'),
+        (date, days, locale) => {
+          const day = date.toISOString().slice(0, 10);
+          const end = new Date(date.getTime() + days * 86400000).toISOString().slice(0, 10);
+          const year = day.slice(0, 4);
+
+          expect(formatDatetime(day, locale)).toContain(year);
+          expect(formatDatetime(day.slice(0, 7), locale)).toContain(year);
+          expect(formatDatetime(`${day}/${end}`, locale)).toContain(end.slice(0, 4));
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+    expect(formatDatetime('2021-05', 'vi-VN')).toBe('tháng 5 năm 2021');
+    expect(formatDatetime('not a date', 'vi-VN')).toBeNull();
+  });
+
+  test('translation files are checked', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'fr.json'), JSON.stringify({ name: 'Français', strings: {} }));
+      expect(() => loadTranslation('fr', dir)).toThrow(/"locale" is required/);
+
+      fs.writeFileSync(path.join(dir, 'fr.json'), JSON.stringify({ name: 'Français', locale: 'fr-FR', strings: { nav: { home: 1 } } }));
+      expect(() => loadTranslation('fr', dir)).toThrow(/nav\.home must be a string/);
+
+      fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify({ name: 'English', locale: 'en-GB', strings: {} }));
+      fs.unlinkSync(path.join(dir, 'fr.json'));
+      expect(() => loadLanguages(site, dir)).toThrow(/source language/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for in-page links: history entries, focus, reduced motion and deep links
+ * Feature: in-page-navigation
+ */
+
+const { openPage, whenLoaded, runNavigation } = require('./helpers/navigation');
+
+// Page with navigation.js, a settable scroll position and motion preference
+async function loadPage(page, { hash = '', reducedMotion = false } = {}) {
+  const { window, scrolls } = openPage(page, { suffix: hash, media: { '(prefers-reduced-motion: reduce)': reducedMotion } });
+
+  runNavigation(window, { exposeGlobal: true });
+  await whenLoaded(window);
+
+  const popstate = () => new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+  return { window, document: window.document, scrolls, popstate };
+}
+
+const offsetTo = (window, element) => element.offsetTop - window.SiteNav.getScrollOffset();
+
+describe('In-page navigation', () => {
+  test('a link adds a history entry, scrolls below the navbar and focuses its target', async () => {
+    const { window, document, scrolls } = await loadPage('index.html');
+    const main = document.getElementById('main-content');
+    const entries = window.history.length;
+
+    document.querySelector('.skip-link').click();
+
+    expect(window.location.hash).toBe('#main-content');
+    expect(window.history.length).toBe(entries + 1);
+    expect(scrolls).toEqual([{ top: offsetTo(window, main), behavior: 'smooth' }]);
+    expect(main.getAttribute('tabindex')).toBe('-1');
+    expect(document.activeElement).toBe(main);
+  });
+
+  test('following the current hash again adds no entry', async () => {
+    const { window, document, scrolls } = await loadPage('index.html', { hash: '#main-content' });
+    const entries = window.history.length;
+
+    document.querySelector('.skip-link').click();
+
+    expect(window.history.length).toBe(entries);
+    expect(scrolls).toHaveLength(2);
+  });
+
+  test('targets that can take focus keep their tabindex', async () => {
+    const { document } = await loadPage('publications.html');
+    const heading = document.getElementById('journal-heading');
+
+    heading.setAttribute('tabindex', '0');
+    document.querySelector('.page-toc-link[href="#journal-heading"]').click();
+
+    expect(heading.getAttribute('tabindex')).toBe('0');
+    expect(document.activeElement).toBe(heading);
+  });
+
+  test('Back returns to where the reader was', async () => {
+    const { window, document, scrolls, popstate } = await loadPage('resume.html');
+
+    window.scrollY = 420;
+    document.querySelector('.page-toc-link[href="#services-heading"]').click();
+    expect(window.scrollY).not.toBe(420);
+
+    window.history.back();
+    await popstate();
+
+    expect(window.location.hash).toBe('');
+    expect(scrolls[scrolls.length - 1]).toEqual({ top: 420, behavior: 'auto' });
+  });
+
+  test('Forward and edited hashes scroll to the target below the navbar', async () => {
+    const { window, document, scrolls, popstate } = await loadPage('resume.html');
+    const services = document.getElementById('services-heading');
+
+    document.querySelector('.page-toc-link[href="#services-heading"]').click();
+    window.history.back();
+    await popstate();
+    window.history.forward();
+    await popstate();
+    expect(scrolls[scrolls.length - 1]).toEqual({ top: offsetTo(window, services), behavior: 'auto' });
+
+    const education = document.getElementById('education-heading');
+    window.location.hash = '#education-heading';
+    await popstate();
+    expect(scrolls[scrolls.length - 1]).toEqual({ top: offsetTo(window, education), behavior: 'auto' });
+  });
+
+  test('reduced motion jumps instead of animating', async () => {
+    const { document, scrolls } = await loadPage('outreach.html', { reducedMotion: true });
+
+    document.querySelector('.page-toc-link').click();
+    expect(scrolls).toEqual([expect.objectContaining({ behavior: 'auto' })]);
+  });
+
+  test('modified clicks, unknown ids and bare "#" are left to the browser', async () => {
+    const { window, document, scrolls } = await loadPage('index.html');
+    const link = document.querySelector('.skip-link');
+
+    const newTab = new window.MouseEvent('click', { bubbles: true, cancelable: true, ctrlKey: true });
+    link.dispatchEvent(newTab);
+    expect(newTab.defaultPrevented).toBe(false);
+
+    ['#no-such-id', '#'].forEach(href => {
+      const other = document.createElement('a');
+      other.href = href;
+      document.body.appendChild(other);
+      const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+      other.dispatchEvent(click);
+      expect(click.defaultPrevented).toBe(false);
+    });
+    expect(scrolls).toHaveLength(0);
+  });
+
+  test('a deep link is scrolled below the navbar once the page has loaded', async () => {
+    const { window, document, scrolls } = await loadPage('publications.html', { hash: '#conference-heading' });
+
+    expect(scrolls).toEqual([{ top: offsetTo(window, document.getElementById('conference-heading')), behavior: 'auto' }]);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests for the local link and asset integrity check
+ * Feature: link-check
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listPages, resolveLocal, loadKnownMissing, checkLinks, formatReport } = require('../tasks/link-check');
+
+const baseUrl = 'https://example.org';
+
+// Write a throwaway site from a { path: content } map
+function makeSite(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'link-check-'));
+
+  Object.entries(files).forEach(([name, content]) => {
+    const file = path.join(root, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  });
+  return root;
+}
+
+function problemsFor(results, page) {
+  return results.find(result => result.page === page).problems;
+}
+
+describe('Resolving references', () => {
+  test('local paths resolve relative to the page', () => {
+    expect(resolveLocal('css/base.css', 'index.html')).toEqual({ file: 'css/base.css', fragment: '' });
+    expect(resolveLocal('../index.html#news', 'vi/index.html')).toEqual({ file: 'index.html', fragment: 'news' });
+    expect(resolveLocal('/', 'vi/index.html')).toEqual({ file: 'index.html', fragment: '' });
+    expect(resolveLocal('#main-content', 'news.html')).toEqual({ file: 'news.html', fragment: 'main-content' });
+  });
+
+  test('percent-encoded paths and query strings are normalised', () => {
+    expect(resolveLocal('resources/slides/%5B18-Jun-2020%5Dslides.pdf?v=2', 'index.html').file)
+      .toBe('resources/slides/[18-Jun-2020]slides.pdf');
+  });
+
+  test('URLs under the site base URL are local', () => {
+    expect(resolveLocal('https://example.org/feed.xml', 'index.html', baseUrl)).toEqual({ file: 'feed.xml', fragment: '' });
+    expect(resolveLocal('https://example.org', 'news.html', baseUrl)).toEqual({ file: 'index.html', fragment: '' });
+  });
+
+  test('external, special-scheme and empty references are skipped', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom('https://github.com/x', 'http://example.com', '//cdn.example.com/a.js', 'mailto:a@b.c', 'tel:123', 'javascript:void(0)', 'data:image/png;base64,AA', '', '   '),
+        (url) => {
+          expect(resolveLocal(url, 'index.html', baseUrl)).toBeNull();
+          return true;
+        }
+      ),
+      { numRuns: 50 }
+    );
+  });
+});
+
+describe('Checking a site', () => {
+  const root = makeSite({
+    'index.html': [
+      '<!DOCTYPE html><html><head><link href="css/site.css" rel="stylesheet"></head><body>',
+      '<main id="main-content">',
+      '<a href="#main-content">skip</a>',
+      '<a href="#nowhere">broken fragment</a>',
+      '<a href="news.html#y2020">news</a>',
+      '<a href="news.html#y1999">old news</a>',
+      '<a href="resources/slides/missing.pdf">slides</a>',
+      '<img src="img/photo.png" srcset="img/photo.png 1x, img/photo@2x.png 2x" alt="x">',
+      '<script src="vendor/jquery/jquery.min.js"></script>',
+      '<a href="https://example.org/feed.xml">feed</a>',
+      '<a href="https://github.com/">external</a> <a href="">empty</a>',
+      '</main></body></html>'
+    ].join('\n'),
+    'news.html': '<html><body><section id="y2020"></section><a name="legacy"></a><a href="index.html#main-content">home</a><a href="#legacy">x</a></body></html>',
+    'css/site.css': 'body {}',
+    'img/photo.png': '',
+    'feed.xml': '<feed/>',
+    '_site/index.html': '<a href="gone.html">stale build output</a>',
+    'node_modules/pkg/readme.html': '<a href="gone.html">x</a>'
+  });
+  const results = checkLinks({ root, baseUrl });
+
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('only published pages are checked', () => {
+    expect(listPages(root)).toEqual(['index.html', 'news.html']);
+    expect(results.map(result => result.page)).toEqual(['index.html', 'news.html']);
+  });
+
+  test('missing files and fragments are reported with their line', () => {
+    const problems = problemsFor(results, 'index.html');
+
+    expect(problems.map(problem => [problem.line, problem.url])).toEqual([
+      [4, '#nowhere'],
+      [6, 'news.html#y1999'],
+      [7, 'resources/slides/missing.pdf'],
+      [8, 'img/photo@2x.png'],
+      [9, 'vendor/jquery/jquery.min.js']
+    ]);
+    expect(problems[0].reason).toMatch(/no element with id "nowhere"/);
+    expect(problems[3].attribute).toBe('srcset');
+    expect(problems[4].reason).toBe('missing file vendor/jquery/jquery.min.js');
+  });
+
+  test('pages whose references all resolve have no problems', () => {
+    expect(problemsFor(results, 'news.html')).toEqual([]);
+  });
+
+  test('the report lists each broken page with its problems', () => {
+    const report = formatReport(results);
+
+    expect(report).toMatch(/^index\.html \(5\)\n {2}line 4: href="#nowhere" - /);
+    expect(report).toContain('line 9: src="vendor/jquery/jquery.min.js" - missing file vendor/jquery/jquery.min.js');
+    expect(report).not.toContain('news.html (');
+  });
+});
+
+describe('Known missing files', () => {
+  const root = makeSite({
+    'index.html': '<a href="resources/slides/talk.pdf">slides</a>\n<a href="resources/slides/other.pdf">other</a>',
+    'data/link-check.json': JSON.stringify({
+      knownMissing: [{ file: 'resources/slides/talk.pdf', reason: 'Not committed', expires: '2025-06-30' }]
+    })
+  });
+
+  afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('are read from data/link-check.json, if there is one', () => {
+    expect(Array.from(loadKnownMissing(root))).toEqual([
+      ['resources/slides/talk.pdf', { reason: 'Not committed', expires: '2025-06-30' }]
+    ]);
+    expect(loadKnownMissing(path.join(root, 'resources')).size).toBe(0);
+  });
+
+  test('are still reported, marked as known', () => {
+    const results = checkLinks({ root, baseUrl, today: '2025-06-30' });
+
+    expect(problemsFor(results, 'index.html').map(problem => [problem.url, problem.known])).toEqual([
+      ['resources/slides/talk.pdf', true],
+      ['resources/slides/other.pdf', false]
+    ]);
+    expect(formatReport(results)).toContain('missing file resources/slides/talk.pdf (known, see data/link-check.json)');
+  });
+
+  test('fail the check again once their entry expires', () => {
+    const [problem] = problemsFor(checkLinks({ root, baseUrl, today: '2025-07-01' }), 'index.html');
+
+    expect(problem.known).toBe(false);
+    expect(problem.reason).toBe('missing file resources/slides/talk.pdf, listed as known until 2025-06-30');
+  });
+
+  test('need a reason and an expiry date', () => {
+    [
+      { file: 'a.pdf', expires: '2025-06-30' },
+      { file: 'a.pdf', reason: 'Not committed' },
+      { file: 'a.pdf', reason: 'Not committed', expires: 'June 2025' }
+    ].forEach(entry => {
+      const site = makeSite({ 'data/link-check.json': JSON.stringify({ knownMissing: [entry] }) });
+
+      expect(() => loadKnownMissing(site)).toThrow('data/link-check.json: "a.pdf" needs a reason and an expires date (YYYY-MM-DD)');
+      fs.rmSync(site, { recursive: true, force: true });
+    });
+  });
+});
+
+describe('The site itself', () => {
+  const results = checkLinks();
+  const problems = results.flatMap(result => result.problems);
+
+  test('every local link and asset resolves, apart from known missing files', () => {
+    // Run `gulp check-links` for the full report if this fails
+    expect(formatReport(results.map(result => ({ ...result, problems: result.problems.filter(problem => !problem.known) })))).toBe('');
+  });
+
+  test('files listed as known missing are still missing and still linked', () => {
+    // Remove an entry from data/link-check.json once its file is added or unlinked
+    Array.from(loadKnownMissing().keys()).forEach(file => {
+      expect(fs.existsSync(path.join(__dirname, '..', file))).toBe(false);
+      expect(problems.some(problem => problem.reason === `missing file ${file}`)).toBe(true);
+    });
+  });
+});
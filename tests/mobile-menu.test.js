@@ -0,0 +1,187 @@
+/**
+ * Tests for the collapsed navbar menu on small screens
+ * Feature: mobile-menu
+ */
+
+const { initMobileMenu } = require('../js/navigation/mobile-menu.js');
+const { openPage, whenLoaded, useWindow } = require('./helpers/navigation');
+
+// Stand-in for Bootstrap's Collapse: no transitions, same events
+function fakeBootstrap(window) {
+  const instances = new Map();
+  const calls = [];
+
+  class Collapse {
+    constructor(element) {
+      this.element = element;
+    }
+
+    static getOrCreateInstance(element) {
+      if (!instances.has(element)) instances.set(element, new Collapse(element));
+      return instances.get(element);
+    }
+
+    show() {
+      calls.push('show');
+      this.element.classList.add('show');
+      this.element.dispatchEvent(new window.Event('shown.bs.collapse'));
+    }
+
+    hide() {
+      calls.push('hide');
+      this.element.classList.remove('show');
+      this.element.dispatchEvent(new window.Event('hidden.bs.collapse'));
+    }
+  }
+
+  window.bootstrap = { Collapse };
+  return calls;
+}
+
+// Page with navigation.js on a small (or wide) screen, with or without Bootstrap
+async function loadPage(page, { bootstrap = false, wide = false } = {}) {
+  const { window, document } = openPage(page, { media: { '(min-width: 992px)': wide } });
+  const calls = bootstrap ? fakeBootstrap(window) : [];
+
+  useWindow(window);
+  initMobileMenu();
+  await whenLoaded(window);
+
+  const toggler = document.querySelector('.navbar-toggler');
+  const menu = document.getElementById('navbarResponsive');
+  const key = (name, options = {}) => {
+    const event = new window.KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...options });
+    document.activeElement.dispatchEvent(event);
+    return event;
+  };
+
+  return { window, document, toggler, menu, key, calls };
+}
+
+const focusableIn = menu => Array.from(menu.querySelectorAll('a[href], button:not([disabled]), input:not([disabled])'))
+  .filter(element => !element.closest('[hidden]'));
+
+describe('Mobile menu', () => {
+  test('without Bootstrap the toggler still opens and closes the menu', async () => {
+    const { toggler, menu } = await loadPage('index.html');
+
+    expect(toggler.getAttribute('aria-expanded')).toBe('false');
+    toggler.click();
+    expect(menu.classList.contains('show')).toBe(true);
+    expect(toggler.getAttribute('aria-expanded')).toBe('true');
+
+    toggler.click();
+    expect(menu.classList.contains('show')).toBe(false);
+    expect(toggler.getAttribute('aria-expanded')).toBe('false');
+  });
+
+  test('opening moves focus to the first menu item', async () => {
+    const { document, toggler, menu } = await loadPage('publications.html');
+
+    toggler.focus();
+    toggler.click();
+    expect(document.activeElement).toBe(focusableIn(menu)[0]);
+    expect(document.activeElement.classList.contains('nav-link')).toBe(true);
+  });
+
+  test('Tab and Shift+Tab cycle through the menu and the toggler', async () => {
+    const { document, toggler, menu, key } = await loadPage('awards.html');
+    const items = focusableIn(menu);
+
+    toggler.click();
+    items[items.length - 1].focus();
+    expect(key('Tab').defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(toggler);
+
+    expect(key('Tab', { shiftKey: true }).defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(items[items.length - 1]);
+
+    // Within the menu the browser moves focus as usual
+    items[0].focus();
+    expect(key('Tab').defaultPrevented).toBe(false);
+  });
+
+  test('focus outside the menu is brought back in', async () => {
+    const { document, toggler, key } = await loadPage('awards.html');
+
+    toggler.click();
+    document.querySelector('main a[href]').focus();
+    key('Tab');
+    expect(document.activeElement).toBe(toggler);
+  });
+
+  test('Escape closes the menu and returns focus to the toggler', async () => {
+    const { document, toggler, menu, key } = await loadPage('teaching.html');
+
+    toggler.click();
+    key('Escape');
+    expect(menu.classList.contains('show')).toBe(false);
+    expect(toggler.getAttribute('aria-expanded')).toBe('false');
+    expect(document.activeElement).toBe(toggler);
+  });
+
+  test('Escape handled by the search suggestions leaves the menu open', async () => {
+    const { document, toggler, menu } = await loadPage('teaching.html');
+    const input = menu.querySelector('input');
+
+    toggler.click();
+    input.focus();
+    input.addEventListener('keydown', e => e.preventDefault());
+    input.dispatchEvent(new document.defaultView.KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true }));
+    expect(menu.classList.contains('show')).toBe(true);
+  });
+
+  test('a click outside closes the menu', async () => {
+    const { document, toggler, menu } = await loadPage('outreach.html');
+
+    toggler.click();
+    menu.querySelector('input').click();
+    expect(menu.classList.contains('show')).toBe(true);
+
+    document.activeElement.blur();
+    document.querySelector('main').click();
+    expect(menu.classList.contains('show')).toBe(false);
+    expect(document.activeElement).toBe(toggler);
+  });
+
+  test('nav links close the menu without moving focus back', async () => {
+    const { document, toggler, menu } = await loadPage('index.html');
+
+    toggler.click();
+    const link = menu.querySelector('.nav-link');
+    link.focus();
+    link.addEventListener('click', e => e.preventDefault());
+    link.click();
+    expect(menu.classList.contains('show')).toBe(false);
+    expect(document.activeElement).toBe(link);
+  });
+
+  test('with Bootstrap loaded its Collapse does the work', async () => {
+    const { window, document, toggler, menu, key, calls } = await loadPage('index.html', { bootstrap: true });
+
+    // Bootstrap's own data-bs-toggle handler is not loaded here
+    toggler.click();
+    expect(menu.classList.contains('show')).toBe(false);
+
+    window.bootstrap.Collapse.getOrCreateInstance(menu).show();
+    expect(toggler.getAttribute('aria-expanded')).toBe('true');
+    expect(document.activeElement).toBe(focusableIn(menu)[0]);
+
+    key('Escape');
+    expect(calls).toEqual(['show', 'hide']);
+    expect(toggler.getAttribute('aria-expanded')).toBe('false');
+    expect(document.activeElement).toBe(toggler);
+  });
+
+  test('the desktop navbar is not trapped', async () => {
+    const { document, toggler, menu, key } = await loadPage('index.html', { wide: true });
+
+    toggler.click();
+    const items = focusableIn(menu);
+    items[items.length - 1].focus();
+    expect(key('Tab').defaultPrevented).toBe(false);
+    key('Escape');
+    document.querySelector('main').click();
+    expect(menu.classList.contains('show')).toBe(true);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for the navbar scroll state and the opt-in hide on scroll
+ * Feature: navbar-scroll
+ */
+
+const { initScrollState } = require('../js/navigation/scroll-state.js');
+const { openPage, whenLoaded, useWindow } = require('./helpers/navigation');
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+// index.html with extra attributes on .navbar (or options), an observer and a scroll position
+async function loadPage({ attributes = '', options = {}, reducedMotion = false, observer = true } = {}) {
+  const { window, document, observers, setMedia } = openPage('index.html', {
+    navbarAttributes: attributes,
+    media: { [REDUCED_MOTION]: reducedMotion },
+    observer
+  });
+  const scrollListeners = [];
+
+  // Keep count of the scroll listeners added by navigation.js
+  const addEventListener = window.addEventListener.bind(window);
+  const removeEventListener = window.removeEventListener.bind(window);
+  window.addEventListener = (type, listener, options) => {
+    if (type === 'scroll') scrollListeners.push(listener);
+    addEventListener(type, listener, options);
+  };
+  window.removeEventListener = (type, listener, options) => {
+    if (type === 'scroll') scrollListeners.splice(scrollListeners.indexOf(listener), 1);
+    removeEventListener(type, listener, options);
+  };
+
+  useWindow(window);
+  initScrollState(options);
+  await whenLoaded(window);
+
+  const navbar = document.querySelector('.navbar');
+  const sentinel = document.querySelector('.navbar-sentinel');
+
+  // The sentinel leaving (false) or entering (true) the viewport
+  const intersect = isIntersecting => {
+    observers.forEach(current => current.callback([{ target: sentinel, isIntersecting }]));
+  };
+  const scrollTo = y => {
+    window.scrollY = y;
+    window.dispatchEvent(new window.Event('scroll'));
+  };
+  const setReducedMotion = reduce => setMedia(REDUCED_MOTION, reduce);
+
+  return { window, document, navbar, sentinel, observers, scrollListeners, intersect, scrollTo, setReducedMotion };
+}
+
+describe('Navbar scroll state', () => {
+  test('a sentinel over the top 50px is observed instead of listening to scroll', async () => {
+    const { sentinel, observers, scrollListeners } = await loadPage();
+
+    expect(sentinel.getAttribute('aria-hidden')).toBe('true');
+    expect(sentinel.style.height).toBe('50px');
+    expect(observers).toHaveLength(1);
+    expect(observers[0].targets).toEqual([sentinel]);
+    expect(scrollListeners).toHaveLength(0);
+  });
+
+  test('navbar-scrolled follows the sentinel', async () => {
+    const { navbar, intersect } = await loadPage();
+
+    intersect(true);
+    expect(navbar.classList.contains('navbar-scrolled')).toBe(false);
+    intersect(false);
+    expect(navbar.classList.contains('navbar-scrolled')).toBe(true);
+    intersect(true);
+    expect(navbar.classList.contains('navbar-scrolled')).toBe(false);
+  });
+
+  test('the threshold can be set on the navbar', async () => {
+    const { sentinel } = await loadPage({ attributes: 'data-scroll-threshold="120"' });
+    expect(sentinel.style.height).toBe('120px');
+  });
+
+  test('options passed in win over the attributes', async () => {
+    const { navbar, sentinel, intersect, scrollTo } = await loadPage({
+      attributes: 'data-scroll-threshold="120" data-hide-on-scroll',
+      options: { threshold: 80, hideOnScroll: false }
+    });
+
+    expect(sentinel.style.height).toBe('80px');
+    intersect(false);
+    scrollTo(600);
+    expect(navbar.classList.contains('navbar-hidden')).toBe(false);
+  });
+
+  test('without IntersectionObserver the scroll position is checked', async () => {
+    const { navbar, sentinel, scrollListeners, scrollTo } = await loadPage({ observer: false });
+
+    expect(sentinel).toBeNull();
+    expect(scrollListeners).toHaveLength(1);
+    scrollTo(80);
+    expect(navbar.classList.contains('navbar-scrolled')).toBe(true);
+    scrollTo(10);
+    expect(navbar.classList.contains('navbar-scrolled')).toBe(false);
+  });
+});
+
+describe('Hide on scroll', () => {
+  const HIDE = 'data-hide-on-scroll';
+
+  test('is off unless the navbar opts in', async () => {
+    const { navbar, intersect, scrollListeners, scrollTo } = await loadPage();
+
+    intersect(false);
+    scrollTo(600);
+    expect(scrollListeners).toHaveLength(0);
+    expect(navbar.classList.contains('navbar-hidden')).toBe(false);
+  });
+
+  test('hides going down and comes back going up, past the threshold only', async () => {
+    const { navbar, intersect, scrollListeners, scrollTo } = await loadPage({ attributes: HIDE });
+    const hidden = () => navbar.classList.contains('navbar-hidden');
+
+    expect(scrollListeners).toHaveLength(0);
+    intersect(false);
+    expect(scrollListeners).toHaveLength(1);
+
+    scrollTo(300);
+    expect(hidden()).toBe(true);
+    scrollTo(295);
+    expect(hidden()).toBe(true);
+    scrollTo(250);
+    expect(hidden()).toBe(false);
+    scrollTo(400);
+    expect(hidden()).toBe(true);
+
+    // Back at the top the listener goes and the navbar shows
+    intersect(true);
+    expect(hidden()).toBe(false);
+    expect(scrollListeners).toHaveLength(0);
+  });
+
+  test('the tolerance can be set on the navbar', async () => {
+    const { navbar, intersect, scrollTo } = await loadPage({ attributes: `${HIDE} data-hide-tolerance="100"` });
+
+    intersect(false);
+    scrollTo(60);
+    expect(navbar.classList.contains('navbar-hidden')).toBe(false);
+    scrollTo(150);
+    expect(navbar.classList.contains('navbar-hidden')).toBe(true);
+  });
+
+  test('stays visible while it has focus or the menu is open', async () => {
+    const { document, navbar, intersect, scrollTo } = await loadPage({ attributes: HIDE });
+
+    intersect(false);
+    scrollTo(300);
+    expect(navbar.classList.contains('navbar-hidden')).toBe(true);
+
+    document.querySelector('.navbar-brand').focus();
+    expect(navbar.classList.contains('navbar-hidden')).toBe(false);
+    scrollTo(600);
+    expect(navbar.classList.contains('navbar-hidden')).toBe(false);
+
+    document.activeElement.blur();
+    document.getElementById('navbarResponsive').classList.add('show');
+    scrollTo(900);
+    expect(navbar.classList.contains('navbar-hidden')).toBe(false);
+  });
+
+  test('is off with reduced motion, following changes to the preference', async () => {
+    const { navbar, intersect, scrollListeners, scrollTo, setReducedMotion } = await loadPage({ attributes: HIDE, reducedMotion: true });
+
+    intersect(false);
+    scrollTo(300);
+    expect(scrollListeners).toHaveLength(0);
+    expect(navbar.classList.contains('navbar-hidden')).toBe(false);
+
+    setReducedMotion(false);
+    scrollTo(600);
+    expect(navbar.classList.contains('navbar-hidden')).toBe(true);
+
+    setReducedMotion(true);
+    expect(navbar.classList.contains('navbar-hidden')).toBe(false);
+    expect(scrollListeners).toHaveLength(0);
+  });
+});
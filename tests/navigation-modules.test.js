@@ -0,0 +1,99 @@
+/**
+ * Tests for the navigation modules and their initNavigation() entry point
+ * Feature: navigation-modules
+ */
+
+const { PAGES } = require('../tasks/pages');
+const { initNavigation } = require('../js/navigation/index.js');
+const { read, openPage, whenLoaded, useWindow } = require('./helpers/navigation');
+
+// A loaded jsdom page, with the globals pointed at it
+async function usePage(page, { stored = null } = {}) {
+  const { window } = openPage(page);
+
+  if (stored) window.localStorage.setItem('theme', stored);
+  await whenLoaded(window);
+  useWindow(window);
+  return window;
+}
+
+describe('Pages', () => {
+  test.each(PAGES)('%s and its translation load navigation.js as a module', (page) => {
+    [page, `vi/${page}`].forEach(file => {
+      expect(read(file)).toMatch(/<script type="module" src="(\.\.\/)?js\/navigation\.js"><\/script>/);
+    });
+  });
+});
+
+describe('initNavigation', () => {
+  test('the modules can be imported without a page', () => {
+    jest.isolateModules(() => {
+      expect(() => require('../js/navigation/index.js')).not.toThrow();
+    });
+  });
+
+  test('sets up every feature by default and returns the scroll helpers', async () => {
+    const window = await usePage('publications.html');
+    const api = initNavigation();
+    const { document } = window;
+
+    expect(document.querySelector('.navbar-sentinel')).not.toBeNull();
+    expect(document.querySelector('.page-toc')).not.toBeNull();
+    expect(document.querySelector('.heading-anchor')).not.toBeNull();
+    expect(document.querySelector('.theme-toggle').hidden).toBe(false);
+    expect(document.querySelector('.navbar-toggler').getAttribute('aria-expanded')).toBe('false');
+    expect(typeof api.getScrollOffset()).toBe('number');
+    expect(typeof api.scrollToElement).toBe('function');
+    expect(window.SiteNav).toBeUndefined();
+  });
+
+  test('features set to false are left out', async () => {
+    const window = await usePage('publications.html');
+    initNavigation({ tableOfContents: false, headingAnchors: false, theme: false });
+    const { document } = window;
+
+    expect(document.querySelector('.page-toc')).toBeNull();
+    expect(document.querySelector('.heading-anchor')).toBeNull();
+    expect(document.querySelector('.theme-toggle').hidden).toBe(true);
+    expect(document.querySelector('.navbar-sentinel')).not.toBeNull();
+  });
+
+  test('feature options are passed on', async () => {
+    const window = await usePage('index.html');
+    initNavigation({ scrollState: { threshold: 200 } });
+
+    expect(window.document.querySelector('.navbar-sentinel').style.height).toBe('200px');
+  });
+
+  test('exposeGlobal publishes the scroll helpers as window.SiteNav', async () => {
+    const window = await usePage('news.html');
+    const api = initNavigation({ exposeGlobal: true });
+
+    expect(window.SiteNav).toBe(api);
+  });
+
+  test('waits for the DOM and leaves the stored theme to the head script', async () => {
+    const window = await usePage('index.html', { stored: 'dark' });
+    const { document } = window;
+
+    Object.defineProperty(document, 'readyState', { value: 'loading', configurable: true });
+    initNavigation();
+    expect(document.querySelector('.navbar-sentinel')).toBeNull();
+
+    document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    expect(document.querySelector('.navbar-sentinel')).not.toBeNull();
+    expect(document.documentElement.hasAttribute('data-theme')).toBe(false);
+  });
+});
+
+describe('js/navigation.js', () => {
+  test('sets up the page and publishes window.SiteNav', async () => {
+    const window = await usePage('teaching.html');
+
+    jest.isolateModules(() => {
+      require('../js/navigation.js');
+    });
+    expect(Object.keys(window.SiteNav).sort()).toEqual(['getScrollOffset', 'scrollToElement']);
+    expect(window.document.querySelector('.heading-anchor')).not.toBeNull();
+  });
+});
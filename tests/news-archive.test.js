@@ -0,0 +1,185 @@
+/**
+ * Tests for the year-grouped news archive and its collapsible years
+ * Feature: news-archive
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { groupNewsByYear, renderNewsArchive, sortNews } = require('../tasks/news');
+const { openPage, whenLoaded, runNavigation } = require('./helpers/navigation');
+
+const root = path.join(__dirname, '..');
+const pageHtml = fs.readFileSync(path.join(root, 'news.html'), 'utf-8');
+const archiveScript = fs.readFileSync(path.join(root, 'js', 'news-archive.js'), 'utf-8');
+
+const isoDate = fc.date({ min: new Date('2000-01-01'), max: new Date('2099-12-31'), noInvalidDate: true })
+  .map(date => date.toISOString().slice(0, 10));
+
+describe('Grouping by year', () => {
+  test('groups are newest year first and keep every item in order', () => {
+    fc.assert(
+      fc.property(
+        fc.array(isoDate, { maxLength: 40 }),
+        (dates) => {
+          const items = sortNews(dates.map(date => ({ date, content: date })));
+          const groups = groupNewsByYear(items);
+
+          expect(groups.flatMap(group => group.items)).toEqual(items);
+          groups.forEach((group, index) => {
+            group.items.forEach(item => expect(item.date.startsWith(String(group.year))).toBe(true));
+            if (index) expect(group.year).toBeLessThan(groups[index - 1].year);
+          });
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  test('each year gets an index link, a section and a count', () => {
+    const html = renderNewsArchive([
+      { date: '2021-06-01', content: 'b' },
+      { date: '2021-05', content: 'c' },
+      { date: '2020-03-02', content: 'd' }
+    ]);
+    const { document } = new JSDOM(html).window;
+
+    expect(Array.from(document.querySelectorAll('.news-year-index a')).map(link => link.textContent))
+      .toEqual(['2021 (2 items)', '2020 (1 item)']);
+    expect(Array.from(document.querySelectorAll('section.news-year')).map(section => section.id)).toEqual(['y2021', 'y2020']);
+    expect(document.querySelector('#y2021-heading').textContent).toBe('2021 2 items');
+    expect(document.querySelectorAll('#y2021-list .news-item')).toHaveLength(2);
+  });
+
+  test('an empty archive says so', () => {
+    expect(renderNewsArchive([])).toBe('<p class="news-empty" data-i18n="news.empty">No older news yet.</p>');
+  });
+});
+
+describe('news.html', () => {
+  const { document } = new JSDOM(pageHtml).window;
+
+  test('the year index links to every year section', () => {
+    const links = Array.from(document.querySelectorAll('.news-year-index a'));
+    const sections = Array.from(document.querySelectorAll('section.news-year'));
+
+    expect(links.length).toBeGreaterThan(1);
+    expect(links.map(link => link.getAttribute('href'))).toEqual(sections.map(section => `#${section.id}`));
+  });
+
+  test('every year section is grouped by the datetime of its items', () => {
+    document.querySelectorAll('section.news-year').forEach(section => {
+      const year = section.id.slice(1);
+      section.querySelectorAll('time.news-date').forEach(time => {
+        expect(time.getAttribute('datetime').slice(0, 4)).toBe(year);
+      });
+    });
+  });
+
+  test('the page loads the archive script after navigation.js', () => {
+    expect(pageHtml.indexOf('js/news-archive.js')).toBeGreaterThan(pageHtml.indexOf('js/navigation.js'));
+  });
+
+  test('the translated page has a translated year index and counts', () => {
+    const translated = new JSDOM(fs.readFileSync(path.join(root, 'vi', 'news.html'), 'utf-8')).window.document;
+    const count = translated.querySelectorAll('#y2021-list .news-item').length;
+
+    expect(translated.querySelector('.news-year-index').getAttribute('aria-label')).toBe('Tin tức theo năm');
+    expect(translated.querySelector('#y2021-heading').textContent).toBe(`2021 ${count} mục`);
+    expect(translated.querySelector('.news-year-index a[href="#y2021"]').textContent).toBe(`2021 (${count} mục)`);
+  });
+});
+
+describe('Collapsible years', () => {
+  async function loadPage(hash = '', { withNavigation = true } = {}) {
+    const { window, scrolls } = openPage('news.html', { html: pageHtml, suffix: hash });
+
+    window.HTMLElement.prototype.scrollIntoView = function() {
+      scrolls.push({ element: this.id });
+    };
+    if (withNavigation) runNavigation(window, { exposeGlobal: true });
+    window.eval(archiveScript);
+    await whenLoaded(window);
+    return { window, scrolls };
+  }
+
+  function expanded(window) {
+    return Array.from(window.document.querySelectorAll('.news-year'))
+      .filter(section => !section.querySelector('.news-list').hidden)
+      .map(section => section.id);
+  }
+
+  test('each year heading becomes a toggle and only the newest year starts open', async () => {
+    const { window } = await loadPage();
+    const sections = window.document.querySelectorAll('.news-year');
+
+    expect(expanded(window)).toEqual([sections[0].id]);
+    sections.forEach(section => {
+      const toggle = section.querySelector('.news-year-heading > button.news-year-toggle');
+      expect(toggle.getAttribute('type')).toBe('button');
+      expect(toggle.getAttribute('aria-controls')).toBe(section.querySelector('.news-list').id);
+      expect(toggle.querySelector('.news-year-count')).not.toBeNull();
+    });
+  });
+
+  test('toggles collapse and expand their year', async () => {
+    const { window } = await loadPage();
+    const section = window.document.querySelectorAll('.news-year')[1];
+    const toggle = section.querySelector('.news-year-toggle');
+
+    expect(toggle.getAttribute('aria-expanded')).toBe('false');
+    toggle.click();
+    expect(toggle.getAttribute('aria-expanded')).toBe('true');
+    expect(section.querySelector('.news-list').hidden).toBe(false);
+    toggle.click();
+    expect(section.querySelector('.news-list').hidden).toBe(true);
+    expect(section.classList.contains('is-collapsed')).toBe(true);
+  });
+
+  test('a deep link opens its year and scrolls to it with the navbar offset', async () => {
+    const { window, scrolls } = await loadPage('#y2021');
+    const section = window.document.getElementById('y2021');
+
+    expect(expanded(window)).toContain('y2021');
+    expect(scrolls).toEqual([{ top: section.offsetTop - window.SiteNav.getScrollOffset(), behavior: 'auto' }]);
+  });
+
+  test('the year index opens the year and records it in the URL', async () => {
+    const { window, scrolls } = await loadPage();
+
+    window.document.querySelector('.news-year-index a[href="#y2020"]').click();
+
+    expect(expanded(window)).toContain('y2020');
+    expect(window.location.hash).toBe('#y2020');
+    expect(scrolls).toEqual([expect.objectContaining({ behavior: 'smooth' })]);
+  });
+
+  test('hash changes open the year', async () => {
+    const { window, scrolls } = await loadPage();
+
+    window.location.hash = '#y2022';
+    await new Promise(resolve => window.addEventListener('hashchange', resolve));
+
+    expect(expanded(window)).toContain('y2022');
+    expect(scrolls).toHaveLength(1);
+  });
+
+  test('without navigation.js deep links fall back to scrollIntoView', async () => {
+    const { window, scrolls } = await loadPage('#y2020', { withNavigation: false });
+
+    expect(window.SiteNav).toBeUndefined();
+    expect(expanded(window)).toContain('y2020');
+    expect(scrolls).toEqual([{ element: 'y2020' }]);
+  });
+
+  test('unknown hashes leave only the newest year open', async () => {
+    const { window, scrolls } = await loadPage('#main-content');
+    const main = window.document.getElementById('main-content');
+
+    expect(expanded(window)).toHaveLength(1);
+    // Only navigation.js's deep link scroll, to the element itself
+    expect(scrolls).toEqual([{ top: main.offsetTop - window.SiteNav.getScrollOffset(), behavior: 'auto' }]);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for the data-driven news lists
+ * Feature: shared-news-feed
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const {
+  formatNewsDate,
+  loadNews,
+  sortNews,
+  homepageWindow,
+  splitNews,
+  renderNewsItem,
+  renderNewsList,
+  renderNewsArchive,
+  renderArchiveLink
+} = require('../tasks/news');
+const { replaceRegion } = require('../tasks/html-regions');
+
+const isoDate = fc.date({ min: new Date('2000-01-01'), max: new Date('2099-12-31'), noInvalidDate: true })
+  .map(date => date.toISOString().slice(0, 10));
+
+describe('News date formatting', () => {
+  test('formats single days, month-only dates and ranges', () => {
+    expect(formatNewsDate({ date: '2025-10-14' })).toBe('Oct 14, 2025');
+    expect(formatNewsDate({ date: '2021-05' })).toBe('May 2021');
+    expect(formatNewsDate({ date: '2024-10-05', endDate: '2024-10-13' })).toBe('Oct 5-13, 2024');
+    expect(formatNewsDate({ date: '2024-09-30', endDate: '2024-10-02' })).toBe('Sep 30 - Oct 2, 2024');
+  });
+
+  test('rejects malformed dates', () => {
+    expect(() => formatNewsDate({ date: '14/10/2025' })).toThrow(/Invalid news date/);
+  });
+});
+
+describe('News ordering and splitting', () => {
+  test('sorted news is always newest first', () => {
+    fc.assert(
+      fc.property(
+        fc.array(isoDate, { maxLength: 30 }),
+        (dates) => {
+          const sorted = sortNews(dates.map(date => ({ date, content: date })));
+
+          for (let i = 1; i < sorted.length; i++) {
+            expect(sorted[i - 1].date >= sorted[i].date).toBe(true);
+          }
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  test('items on the same day keep their data file order', () => {
+    const sorted = sortNews([
+      { date: '2025-07-11', content: 'first' },
+      { date: '2025-07-11', content: 'second' },
+      { date: '2025-08-01', content: 'newest' }
+    ]);
+
+    expect(sorted.map(item => item.content)).toEqual(['newest', 'first', 'second']);
+  });
+
+  test('splitting keeps every item exactly once', () => {
+    fc.assert(
+      fc.property(
+        fc.array(isoDate, { maxLength: 40 }),
+        fc.nat(50),
+        (dates, count) => {
+          const items = sortNews(dates.map(date => ({ date, content: date })));
+          const { latest, archive } = splitNews(items, count);
+
+          expect(latest.length).toBe(Math.min(count, items.length));
+          expect([...latest, ...archive]).toEqual(items);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
+
+describe('Homepage window', () => {
+  const news = (...dates) => dates.map(date => ({ date, content: date }));
+
+  test('a month window keeps items up to M months before the newest', () => {
+    const items = news('2025-11-11', '2025-06-01', '2025-05-11', '2025-05-10', '2024-12');
+    const { latest, archive } = splitNews(items, { months: 6 });
+
+    expect(latest.map(item => item.date)).toEqual(['2025-11-11', '2025-06-01', '2025-05-11']);
+    expect(archive.map(item => item.date)).toEqual(['2025-05-10', '2024-12']);
+  });
+
+  test('month windows clamp to the end of shorter months', () => {
+    const { latest } = splitNews(news('2025-03-31', '2025-02-28', '2025-02-27'), { months: 1 });
+    expect(latest).toHaveLength(2);
+  });
+
+  test('item and month limits combine, the stricter one wins', () => {
+    fc.assert(
+      fc.property(
+        fc.array(isoDate, { maxLength: 40 }),
+        fc.integer({ min: 1, max: 30 }),
+        fc.integer({ min: 1, max: 48 }),
+        (dates, count, months) => {
+          const items = sortNews(dates.map(date => ({ date, content: date })));
+          const both = splitNews(items, { items: count, months });
+          const byCount = splitNews(items, { items: count });
+          const byMonths = splitNews(items, { months });
+
+          expect(both.latest.length).toBe(Math.min(byCount.latest.length, byMonths.latest.length));
+          expect([...both.latest, ...both.archive]).toEqual(items);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  test('the window comes from data/site.json and is validated', () => {
+    expect(homepageWindow({})).toEqual({ items: 15 });
+    expect(homepageWindow({ news: { homepage: { months: 12 } } })).toEqual({ months: 12 });
+    expect(() => homepageWindow({ news: { homepage: { items: 0 } } })).toThrow(/items/);
+    expect(() => homepageWindow({ news: { homepage: { months: '6' } } })).toThrow(/months/);
+    expect(() => homepageWindow({ news: { homepage: {} } })).toThrow(/items.*months/);
+  });
+});
+
+describe('News rendering', () => {
+  test('rendered items keep the news-item markup', () => {
+    const html = renderNewsItem({ date: '2025-08-18', content: 'Joined <em>Penn State</em>.' });
+
+    expect(html).toMatch(/^<li class="news-item">/);
+    expect(html).toContain('<time class="news-date" datetime="2025-08-18">Aug 18, 2025</time>');
+    expect(html).toContain('<div class="news-content">');
+    expect(html).toContain('Joined <em>Penn State</em>.');
+  });
+
+  test('ranges use an ISO interval as their datetime', () => {
+    expect(renderNewsItem({ date: '2024-10-05', endDate: '2024-10-13', content: 'x' }))
+      .toContain('<time class="news-date" datetime="2024-10-05/2024-10-13">Oct 5-13, 2024</time>');
+  });
+
+  test('a label replaces the visible date but not the datetime', () => {
+    expect(renderNewsItem({ date: '2021-05-01', label: 'May 2021', content: 'x' }))
+      .toContain('<time class="news-date" datetime="2021-05-01">May 2021</time>');
+  });
+
+  test('the archive link is only rendered when there is an archive', () => {
+    expect(renderArchiveLink([])).toBe('');
+    expect(renderArchiveLink(loadNews())).toContain('<a href="news.html" class="btn-link">View older news</a>');
+  });
+
+  test('index.html and news.html are up to date with data/news.json', () => {
+    const { latest, archive } = splitNews(loadNews(), homepageWindow());
+
+    [
+      ['index.html', 'news:latest', renderNewsList(latest)],
+      ['index.html', 'news:archive-link', renderArchiveLink(archive)],
+      ['news.html', 'news:archive', renderNewsArchive(archive)]
+    ].forEach(([file, region, content]) => {
+      const html = fs.readFileSync(path.join(__dirname, '..', file), 'utf-8');
+
+      // Run `gulp news` if this fails
+      expect(replaceRegion(html, region, content)).toBe(html);
+    });
+  });
+});
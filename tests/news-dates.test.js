@@ -0,0 +1,111 @@
+/**
+ * Tests for the news date consistency check
+ * Feature: news-dates
+ */
+
+const fc = require('fast-check');
+const { parseDatetime, parseDisplayDate, checkNewsDates, validateNewsDates, formatProblems } = require('../tasks/news-dates');
+const { formatNewsDate, newsDatetime, renderNewsItem } = require('../tasks/news');
+
+const isoDate = fc.date({ min: new Date('2000-01-01'), max: new Date('2099-12-31'), noInvalidDate: true })
+  .map(date => date.toISOString().slice(0, 10));
+
+// A news list page with one `time.news-date` per line, starting on line 3
+function page(dates) {
+  return [
+    '<!DOCTYPE html>',
+    '<ul class="news-list">',
+    ...dates.map(([datetime, text]) => `<li class="news-item"><time class="news-date" datetime="${datetime}">${text}</time></li>`),
+    '</ul>'
+  ].join('\n');
+}
+
+describe('Parsing', () => {
+  test('datetime accepts ISO dates, months and day intervals', () => {
+    expect(parseDatetime('2025-10-14')).toEqual({ start: '2025-10-14', end: null });
+    expect(parseDatetime('2021-05')).toEqual({ start: '2021-05', end: null });
+    expect(parseDatetime('2024-10-05/2024-10-13')).toEqual({ start: '2024-10-05', end: '2024-10-13' });
+
+    ['', '2025-13-01', '2025-02-30', '14/10/2025', '2024-10-13/2024-10-05', '2024-10/2024-11', 'a/b/c']
+      .forEach(value => expect(parseDatetime(value)).toBeNull());
+  });
+
+  test('display text accepts the formats the pages use', () => {
+    expect(parseDisplayDate('Oct 14, 2025')).toEqual({ start: '2025-10-14', end: null });
+    expect(parseDisplayDate('October 14, 2025')).toEqual({ start: '2025-10-14', end: null });
+    expect(parseDisplayDate('Sept. 3, 2024')).toEqual({ start: '2024-09-03', end: null });
+    expect(parseDisplayDate('May 2021')).toEqual({ start: '2021-05', end: null });
+    expect(parseDisplayDate('Oct 5–13, 2024')).toEqual({ start: '2024-10-05', end: '2024-10-13' });
+    expect(parseDisplayDate('Sep 30 - Oct 2, 2024')).toEqual({ start: '2024-09-30', end: '2024-10-02' });
+    expect(parseDisplayDate('Dec 30, 2024 - Jan 2, 2025')).toEqual({ start: '2024-12-30', end: '2025-01-02' });
+
+    ['Recently', 'Feb 30, 2024', 'Foo 3, 2024', '2024'].forEach(text => expect(parseDisplayDate(text)).toBeNull());
+  });
+
+  test('whatever the news build renders parses back to the same dates', () => {
+    fc.assert(
+      fc.property(
+        isoDate,
+        fc.option(fc.integer({ min: 1, max: 400 })),
+        (date, days) => {
+          const item = { date, content: 'x' };
+          if (days) {
+            item.endDate = new Date(Date.parse(date) + days * 86400000).toISOString().slice(0, 10);
+          }
+
+          expect(parseDisplayDate(formatNewsDate(item))).toEqual(parseDatetime(newsDatetime(item)));
+          expect(checkNewsDates(`<ul>${renderNewsItem(item)}</ul>`, 'x.html')).toEqual([]);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
+
+describe('Checking a page', () => {
+  test('mismatched datetimes are reported with file and line', () => {
+    const problems = checkNewsDates(page([
+      ['2025-11-11', 'Nov 11, 2025'],
+      ['2025-11-11', 'Oct 14, 2025'],
+      ['2024-10-05', 'Oct 5-13, 2024'],
+      ['2021-05-01', 'May 2021'],
+      ['soon', 'Jan 1, 2021'],
+      ['2020-12-01', 'Someday']
+    ]), 'index.html');
+
+    expect(formatProblems(problems).split('\n')).toEqual([
+      'index.html:4: datetime "2025-11-11" does not match "Oct 14, 2025" (2025-10-14)',
+      'index.html:5: datetime "2024-10-05" does not match "Oct 5-13, 2024" (2024-10-05/2024-10-13)',
+      'index.html:6: datetime "2021-05-01" does not match "May 2021" (2021-05)',
+      'index.html:7: datetime "soon" is not an ISO date or interval',
+      'index.html:8: "Someday" is not a recognised date'
+    ]);
+  });
+
+  test('lists must be newest first; ties and month-only dates are fine', () => {
+    const problems = checkNewsDates(page([
+      ['2025-10-14', 'Oct 14, 2025'],
+      ['2025-10-14', 'Oct 14, 2025'],
+      ['2025-10', 'Oct 2025'],
+      ['2025-11-02', 'Nov 2, 2025'],
+      ['2024-10-05/2024-10-13', 'Oct 5-13, 2024']
+    ]), 'news.html');
+
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatchObject({ file: 'news.html', line: 6, datetime: '2025-11-02' });
+    expect(problems[0].reason).toBe('"Nov 2, 2025" is newer than "Oct 2025" above it (line 5)');
+  });
+
+  test('separate lists are ordered independently', () => {
+    const html = `<ul>${renderNewsItem({ date: '2020-01-01', content: 'a' })}</ul><ol>${renderNewsItem({ date: '2024-01-01', content: 'b' })}</ol>`;
+    expect(checkNewsDates(html, 'x.html')).toEqual([]);
+  });
+});
+
+describe('The site itself', () => {
+  test('every news date on every page is consistent and newest first', () => {
+    // Run `gulp check-news-dates` for the report if this fails
+    expect(formatProblems(validateNewsDates())).toBe('');
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for news tags, their badges and the news.html tag filter
+ * Feature: news-tags
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { NEWS_TAGS, loadNews, sortNews, renderNewsItem } = require('../tasks/news');
+const { openPage, whenLoaded, runNavigation } = require('./helpers/navigation');
+
+const root = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(root, file), 'utf-8');
+const newsHtml = read('news.html');
+const archiveCount = new JSDOM(newsHtml).window.document.querySelectorAll('.news-item').length;
+const scripts = ['news-archive.js', 'news-filter.js'].map(name => read(path.join('js', name)));
+
+describe('Tags in the data and markup', () => {
+  test('every news item has at least one known tag', () => {
+    loadNews().forEach(item => {
+      expect(item.tags.length).toBeGreaterThan(0);
+      item.tags.forEach(tag => expect(Object.keys(NEWS_TAGS)).toContain(tag));
+    });
+  });
+
+  test('unknown tags are rejected', () => {
+    expect(() => sortNews([{ date: '2024-01-01', tags: ['paper', 'gossip'], content: 'x' }])).toThrow(/unknown tag "gossip"/);
+  });
+
+  test('tagged items carry data-tags and one badge per tag', () => {
+    const html = renderNewsItem({ date: '2020-02-29', tags: ['paper', 'code'], content: 'Code is public.' });
+    const item = new JSDOM(html).window.document.querySelector('li.news-item');
+
+    expect(item.getAttribute('data-tags')).toBe('paper,code');
+    expect(Array.from(item.querySelectorAll('.news-content .news-tags .news-tag')).map(badge => badge.textContent))
+      .toEqual(['Paper', 'Code']);
+  });
+
+  test('untagged items render without tags', () => {
+    const html = renderNewsItem({ date: '2020-02-29', content: 'x' });
+    expect(html).not.toMatch(/data-tags|news-tags/);
+  });
+
+  test.each(['index.html', 'news.html'])('%s shows badges on every news item', (file) => {
+    const { document } = new JSDOM(read(file)).window;
+    const items = document.querySelectorAll('.news-item');
+
+    expect(items.length).toBeGreaterThan(0);
+    items.forEach(item => {
+      const badges = Array.from(item.querySelectorAll('.news-tag')).map(badge => badge.getAttribute('data-tag'));
+      expect(badges.join(',')).toBe(item.getAttribute('data-tags'));
+    });
+  });
+});
+
+describe('Tag filter on news.html', () => {
+  async function loadPage(hash = '', page = 'news.html') {
+    const { window } = openPage(page, { html: page === 'news.html' ? newsHtml : read(page), suffix: hash });
+
+    runNavigation(window, { exposeGlobal: true });
+    scripts.forEach(script => window.eval(script));
+    await whenLoaded(window);
+    return window;
+  }
+
+  const visibleItems = window => Array.from(window.document.querySelectorAll('.news-item')).filter(item => !item.hidden);
+  const chip = (window, tag) => window.document.querySelector(`.news-filter button[data-tag="${tag}"]`);
+
+  test('a labelled group of tag buttons follows the heading', async () => {
+    const window = await loadPage();
+    const bar = window.document.querySelector('#past-news-heading + .news-filter');
+
+    expect(bar.getAttribute('role')).toBe('group');
+    expect(bar.getAttribute('aria-label')).toBeTruthy();
+    expect(bar.querySelector('button').textContent).toMatch(/^All \(\d+\)$/);
+    bar.querySelectorAll('button').forEach(button => {
+      expect(button.getAttribute('type')).toBe('button');
+      expect(button.getAttribute('aria-pressed')).toBe(String(button.getAttribute('data-tag') === ''));
+    });
+  });
+
+  test('choosing a tag hides other items and empty years and updates the hash', async () => {
+    const window = await loadPage();
+    const { document } = window;
+
+    chip(window, 'talk').click();
+
+    const shown = visibleItems(window);
+    expect(shown.length).toBeGreaterThan(0);
+    shown.forEach(item => expect(item.getAttribute('data-tags').split(',')).toContain('talk'));
+    expect(window.location.hash).toBe('#tag=talk');
+    expect(chip(window, 'talk').getAttribute('aria-pressed')).toBe('true');
+    expect(document.querySelector('.news-filter-status').textContent).toBe(`Showing ${shown.length} of ${archiveCount} news items tagged Talk.`);
+
+    // Years without talks disappear from the list and the year index
+    document.querySelectorAll('.news-year').forEach(section => {
+      const hasTalk = Array.from(section.querySelectorAll('.news-item'))
+        .some(item => item.getAttribute('data-tags').split(',').includes('talk'));
+      expect(section.hidden).toBe(!hasTalk);
+      expect(document.querySelector(`.news-year-index a[href="#${section.id}"]`).parentElement.hidden).toBe(!hasTalk);
+    });
+  });
+
+  test('matching years that were collapsed are opened', async () => {
+    const window = await loadPage();
+
+    chip(window, 'talk').click();
+
+    window.document.querySelectorAll('.news-year:not([hidden])').forEach(section => {
+      expect(section.querySelector('.news-year-toggle').getAttribute('aria-expanded')).toBe('true');
+      expect(section.querySelector('.news-list').hidden).toBe(false);
+    });
+  });
+
+  test('the tag in the URL hash is applied on load', async () => {
+    const window = await loadPage('#tag=tutorial');
+
+    expect(visibleItems(window).map(item => item.getAttribute('data-tags'))).toEqual(['tutorial', 'tutorial']);
+    expect(chip(window, 'tutorial').getAttribute('aria-pressed')).toBe('true');
+  });
+
+  test('All clears the filter and the hash', async () => {
+    const window = await loadPage('#tag=tutorial');
+
+    chip(window, '').click();
+
+    expect(visibleItems(window)).toHaveLength(archiveCount);
+    expect(window.location.hash).toBe('');
+    expect(window.document.querySelectorAll('.news-year[hidden]')).toHaveLength(0);
+  });
+
+  test('unknown tags in the hash show everything', async () => {
+    const window = await loadPage('#tag=gossip');
+    expect(visibleItems(window)).toHaveLength(archiveCount);
+  });
+
+  test('malformed tags in the hash show everything, and the filter still works', async () => {
+    const window = await loadPage('#tag=%E0');
+
+    expect(window.document.querySelector('.news-filter')).not.toBeNull();
+    expect(visibleItems(window)).toHaveLength(archiveCount);
+    expect(chip(window, '').getAttribute('aria-pressed')).toBe('true');
+
+    window.location.hash = '#tag=%E0%A4';
+    await new Promise(resolve => window.addEventListener('hashchange', resolve, { once: true }));
+    expect(visibleItems(window)).toHaveLength(archiveCount);
+  });
+
+  test('the translated page has a translated filter', async () => {
+    const window = await loadPage('', 'vi/news.html');
+    const { document } = window;
+    const bar = document.querySelector('.news-filter');
+    const status = document.querySelector('.news-filter-status');
+
+    expect(bar.getAttribute('aria-label')).toBe('Lọc tin theo thẻ');
+    expect(chip(window, '').textContent).toBe(`Tất cả (${archiveCount})`);
+    expect(chip(window, 'talk').textContent).toMatch(/^Bài nói \(\d+\)$/);
+    expect(status.textContent).toBe(`Đang hiển thị tất cả ${archiveCount} tin.`);
+
+    chip(window, 'talk').click();
+    expect(status.textContent).toBe(`Đang hiển thị ${visibleItems(window).length} trên ${archiveCount} tin có thẻ Bài nói.`);
+  });
+});
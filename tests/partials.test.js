@@ -0,0 +1,66 @@
+/**
+ * Tests for the shared head and navbar partials
+ * Feature: shared-partials
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const {
+  renderTemplate,
+  loadNavigation,
+  renderNavItems,
+  assemblePage
+} = require('../tasks/partials');
+const { PAGES } = require('../tasks/pages');
+
+describe('Template rendering', () => {
+  test('fills inline placeholders', () => {
+    expect(renderTemplate('<title>{{ title }}</title>', { title: 'Home' })).toBe('<title>Home</title>');
+  });
+
+  test('indents multi-line values to the placeholder line', () => {
+    const output = renderTemplate('<ul>\n    {{ items }}\n</ul>', { items: '<li>a</li>\n<li>b</li>' });
+    expect(output).toBe('<ul>\n    <li>a</li>\n    <li>b</li>\n</ul>');
+  });
+
+  test('fails on unknown placeholders', () => {
+    expect(() => renderTemplate('{{ missing }}', {})).toThrow(/missing/);
+  });
+});
+
+describe('Navbar items', () => {
+  const navigation = loadNavigation();
+
+  test('exactly the matching item is marked current', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...PAGES),
+        (page) => {
+          const html = renderNavItems(navigation, page);
+          const activeCount = (html.match(/nav-item active/g) || []).length;
+          const expected = navigation.some(item => item.page === page) ? 1 : 0;
+
+          expect(activeCount).toBe(expected);
+          expect((html.match(/\(current\)/g) || []).length).toBe(expected);
+          return true;
+        }
+      ),
+      { numRuns: 50 }
+    );
+  });
+
+  test('external items open in a new tab safely', () => {
+    const html = renderNavItems([{ label: 'Blog', href: 'https://example.com', external: true }], 'index.html');
+    expect(html).toContain('target="_blank" rel="noopener noreferrer"');
+  });
+});
+
+describe('Assembled pages', () => {
+  test.each(PAGES)('%s is up to date with the partials', (page) => {
+    const html = fs.readFileSync(path.join(__dirname, '..', page), 'utf-8');
+
+    // Run `gulp partials` if this fails
+    expect(assemblePage(html, page)).toBe(html);
+  });
+});
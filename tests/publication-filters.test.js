@@ -0,0 +1,201 @@
+/**
+ * Tests for the publication filter bar (js/publication-filters.js)
+ * Feature: publication-filters
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+const pageHtml = fs.readFileSync(path.join(root, 'publications.html'), 'utf-8');
+const script = fs.readFileSync(path.join(root, 'js', 'publication-filters.js'), 'utf-8');
+
+// Load publications.html (or its translation) at the given query string and
+// run the filter script
+async function loadPage(search = '', page = 'publications.html') {
+  const html = page === 'publications.html' ? pageHtml : fs.readFileSync(path.join(root, page), 'utf-8');
+  const dom = new JSDOM(html, {
+    url: `https://example.org/${page}${search}`,
+    runScripts: 'outside-only'
+  });
+  dom.window.eval(script);
+  await new Promise(resolve => dom.window.addEventListener('load', resolve));
+  return dom.window;
+}
+
+function visibleEntries(document) {
+  return Array.from(document.querySelectorAll('.publication-entry')).filter(entry => !entry.hidden);
+}
+
+function visibleTitles(document) {
+  return visibleEntries(document).map(entry => entry.querySelector('.publication-title').textContent.trim());
+}
+
+function change(window, selector, value, eventType = 'change') {
+  const control = window.document.querySelector(selector);
+  control.value = value;
+  control.dispatchEvent(new window.Event(eventType, { bubbles: true }));
+}
+
+describe('Without JavaScript', () => {
+  test('the page lists every publication and has no filter bar', () => {
+    const document = new JSDOM(pageHtml).window.document;
+
+    expect(document.querySelector('.publication-filters')).toBeNull();
+    expect(document.querySelectorAll('.publication-entry[hidden]')).toHaveLength(0);
+    expect(pageHtml).toContain('<script src="js/publication-filters.js"></script>');
+  });
+
+  test('every entry carries its type and year', () => {
+    const document = new JSDOM(pageHtml).window.document;
+
+    document.querySelectorAll('.publication-entry').forEach(entry => {
+      expect(entry.getAttribute('data-pub-type')).toMatch(/^\w+$/);
+      expect(entry.getAttribute('data-pub-year')).toMatch(/^\d{4}$/);
+    });
+  });
+});
+
+describe('Filter bar', () => {
+  test('starts with every publication visible and a clean URL', async () => {
+    const window = await loadPage();
+    const { document } = window;
+
+    expect(document.querySelector('.publication-filters')).not.toBeNull();
+    expect(visibleEntries(document)).toHaveLength(document.querySelectorAll('.publication-entry').length);
+    expect(window.location.search).toBe('');
+  });
+
+  test('has one chip per publication type and labelled controls', async () => {
+    const { document } = await loadPage();
+    const types = new Set(Array.from(document.querySelectorAll('.publication-entry')).map(e => e.getAttribute('data-pub-type')));
+    const chips = document.querySelectorAll('.filter-chip');
+
+    expect(Array.from(chips).map(chip => chip.getAttribute('data-type'))).toEqual(Array.from(types));
+    chips.forEach(chip => expect(chip.getAttribute('type')).toBe('button'));
+    document.querySelectorAll('.publication-filters select, .publication-filters input').forEach(control => {
+      expect(document.querySelector(`label[for="${control.id}"]`)).not.toBeNull();
+    });
+  });
+
+  test('co-authors are split on "and" as well as commas', async () => {
+    const { document } = await loadPage();
+    const names = Array.from(document.querySelectorAll('#filter-author option')).map(option => option.value);
+
+    expect(names).toContain('Truyen Tran');
+    expect(names).toContain('Duc Hoa Tran');
+    names.forEach(name => expect(name).not.toMatch(/\band\b/));
+  });
+
+  test('type chips narrow the list and are stored in the query string', async () => {
+    const window = await loadPage();
+    const { document } = window;
+
+    document.querySelector('.filter-chip[data-type="journal"]').click();
+
+    visibleEntries(document).forEach(entry => expect(entry.getAttribute('data-pub-type')).toBe('journal'));
+    expect(document.querySelector('.filter-chip[data-type="journal"]').getAttribute('aria-pressed')).toBe('true');
+    expect(window.location.search).toBe('?type=journal');
+    expect(document.querySelector('section[aria-labelledby="conference-heading"]').hidden).toBe(true);
+  });
+
+  test('year range, co-author and title search combine', async () => {
+    const window = await loadPage();
+    const { document } = window;
+
+    change(window, '#filter-year-from', '2021');
+    change(window, '#filter-author', 'Truyen Tran');
+    change(window, '#filter-query', 'reasoning', 'input');
+
+    const entries = visibleEntries(document);
+    expect(entries.length).toBeGreaterThan(0);
+    entries.forEach(entry => {
+      expect(Number(entry.getAttribute('data-pub-year'))).toBeGreaterThanOrEqual(2021);
+      expect(entry.querySelector('.publication-authors').textContent).toContain('Truyen Tran');
+      expect(entry.querySelector('.publication-title').textContent.toLowerCase()).toContain('reasoning');
+    });
+
+    const params = new window.URLSearchParams(window.location.search);
+    expect(params.get('from')).toBe('2021');
+    expect(params.get('author')).toBe('Truyen Tran');
+    expect(params.get('q')).toBe('reasoning');
+  });
+
+  test('a shared URL restores the same view', async () => {
+    const first = await loadPage();
+    first.document.querySelector('.filter-chip[data-type="conference"]').click();
+    change(first, '#filter-query', 'video', 'input');
+
+    const second = await loadPage(first.location.search);
+
+    expect(visibleTitles(second.document)).toEqual(visibleTitles(first.document));
+    expect(second.document.querySelector('#filter-query').value).toBe('video');
+    expect(second.document.querySelector('.filter-chip[data-type="conference"]').getAttribute('aria-pressed')).toBe('true');
+  });
+
+  test('unknown query values are ignored', async () => {
+    const window = await loadPage('?type=poster&author=Nobody&from=abc');
+
+    expect(visibleEntries(window.document)).toHaveLength(window.document.querySelectorAll('.publication-entry').length);
+  });
+
+  test('clearing restores the full list and URL', async () => {
+    const window = await loadPage('?type=journal&q=movie');
+
+    window.document.querySelector('.filter-clear').click();
+
+    expect(visibleEntries(window.document)).toHaveLength(window.document.querySelectorAll('.publication-entry').length);
+    expect(window.location.search).toBe('');
+  });
+
+  test('an empty result is announced', async () => {
+    const window = await loadPage('?q=zzzz-no-such-title');
+
+    expect(visibleEntries(window.document)).toHaveLength(0);
+    expect(window.document.querySelector('.filter-status').textContent).toMatch(/No publications/);
+  });
+
+  test('the translated page has a translated filter bar', async () => {
+    const { document } = await loadPage('?q=zzzz-no-such-title', 'vi/publications.html');
+
+    expect(document.querySelector('.publication-filters').getAttribute('aria-label')).toBe('Lọc công bố');
+    expect(document.querySelector('label[for="filter-author"]').textContent).toBe('Đồng tác giả');
+    expect(document.querySelector('#filter-author option').textContent).toBe('Tất cả đồng tác giả');
+    expect(document.querySelector('.filter-clear').textContent).toBe('Xóa bộ lọc');
+    expect(document.querySelector('.filter-status').textContent).toBe('Không có công bố nào khớp với bộ lọc.');
+
+    const window = await loadPage('', 'vi/publications.html');
+    const total = window.document.querySelectorAll('.publication-entry').length;
+    expect(window.document.querySelector('.filter-status').textContent).toBe(`Đang hiển thị ${total} trên ${total} công bố.`);
+  });
+
+  test('the year range always contains the visible entries', async () => {
+    const window = await loadPage();
+    const years = Array.from(window.document.querySelectorAll('#filter-year-from option')).map(o => o.value);
+
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...years),
+        fc.constantFrom(...years),
+        (from, to) => {
+          change(window, '#filter-year-from', from);
+          change(window, '#filter-year-to', to);
+
+          const low = Number(window.document.querySelector('#filter-year-from').value);
+          const high = Number(window.document.querySelector('#filter-year-to').value);
+
+          expect(low).toBeLessThanOrEqual(high);
+          visibleEntries(window.document).forEach(entry => {
+            const year = Number(entry.getAttribute('data-pub-year'));
+            expect(year).toBeGreaterThanOrEqual(low);
+            expect(year).toBeLessThanOrEqual(high);
+          });
+          return true;
+        }
+      ),
+      { numRuns: 50 }
+    );
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the BibTeX-driven publications build
+ * Feature: publications-from-bibtex
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { parseBibtex, splitAuthors } = require('../tasks/bibtex');
+const {
+  loadPublications,
+  groupPublications,
+  renderPublicationEntry,
+  renderPublicationsPage,
+  toPublication
+} = require('../tasks/publications');
+
+const publicationsFile = path.join(__dirname, '..', 'publications.html');
+
+describe('BibTeX parser', () => {
+  test('parses braced, quoted and bare field values', () => {
+    const [entry] = parseBibtex(`
+      % a comment
+      @InProceedings{doe2020test,
+        Author = {Jane Doe and Le, Thao Minh},
+        title = "A {Braced} Title with \\& Ampersand",
+        year = 2020,
+        month = mar
+      }
+    `);
+
+    expect(entry.type).toBe('inproceedings');
+    expect(entry.key).toBe('doe2020test');
+    expect(entry.fields.title).toBe('A Braced Title with & Ampersand');
+    expect(entry.fields.year).toBe('2020');
+    expect(entry.fields.month).toBe('3');
+    expect(splitAuthors(entry.fields.author)).toEqual(['Jane Doe', 'Thao Minh Le']);
+  });
+
+  test('skips @comment blocks and keeps file order', () => {
+    const entries = parseBibtex(`
+      @comment{ignored, title = {nothing}}
+      @article{first, title = {One}}
+      @article{second, title = {Two}}
+    `);
+
+    expect(entries.map(entry => entry.key)).toEqual(['first', 'second']);
+  });
+
+  test('reports unterminated entries', () => {
+    expect(() => parseBibtex('@article{broken, title = {Never closed')).toThrow(/Unterminated/);
+  });
+
+  test('round-trips arbitrary titles', () => {
+    fc.assert(
+      fc.property(
+        fc.string({ minLength: 1, maxLength: 40 }).filter(s => !/[{}\\"@%]/.test(s) && s.trim().length > 0),
+        (title) => {
+          const [entry] = parseBibtex(`@article{key, title = {${title}}}`);
+          expect(entry.fields.title).toBe(title.replace(/\s+/g, ' ').trim());
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
+
+describe('Publication rendering', () => {
+  const publications = loadPublications();
+
+  test('every bibliography entry maps to a known publication type', () => {
+    expect(publications.length).toBeGreaterThan(0);
+    publications.forEach(pub => {
+      expect(['journal', 'conference', 'workshop', 'tutorial']).toContain(pub.type);
+    });
+  });
+
+  test('rejects entries without a title', () => {
+    expect(() => toPublication({ type: 'article', key: 'x', fields: { author: 'A', year: '2020' } }))
+      .toThrow(/needs author, title and year/);
+  });
+
+  test('sections are ordered newest first', () => {
+    const groups = groupPublications(publications);
+
+    Object.values(groups).forEach(group => {
+      for (let i = 1; i < group.length; i++) {
+        expect(group[i - 1].year).toBeGreaterThanOrEqual(group[i].year);
+      }
+    });
+  });
+
+  test('rendered entries use the markup expected by the page tests', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...publications),
+        (pub) => {
+          const html = renderPublicationEntry(pub);
+
+          expect(html).toMatch(new RegExp(`^<article id="${pub.key}" class="publication-entry" data-pub-type="${pub.type}" data-pub-year="${pub.year}" data-pub-key="${pub.key}">`));
+          expect(html).toContain('<p class="publication-authors">');
+          expect(html).toContain('<span class="current-author">');
+          expect(html).toContain('<h3 class="publication-title">');
+          expect(html).toMatch(new RegExp(`<p class="publication-venue">[^<]*${pub.year}</p>`));
+
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  test('escapes HTML in metadata', () => {
+    const html = renderPublicationEntry({
+      type: 'journal',
+      authors: ['Thao Minh Le'],
+      title: 'Cats <script> & Dogs',
+      venue: 'Venue',
+      year: 2020,
+      url: null
+    });
+
+    expect(html).toContain('Cats &lt;script&gt; &amp; Dogs');
+  });
+
+  test('authorjoin sets the text before the last author', () => {
+    const authors = html => /<p class="publication-authors">(.*)<\/p>/.exec(html)[1];
+    const entry = authorJoin => renderPublicationEntry({
+      type: 'journal',
+      authors: ['Jane Doe', 'Thao Minh Le', 'John Roe'],
+      title: 'Title',
+      venue: 'Venue',
+      year: 2020,
+      url: null,
+      authorJoin
+    });
+
+    expect(authors(entry(null))).toBe('Jane Doe, <span class="current-author">Thao Minh Le</span>, John Roe.');
+    expect(authors(entry('and'))).toBe('Jane Doe, <span class="current-author">Thao Minh Le</span> and John Roe.');
+    expect(authors(entry(', and'))).toBe('Jane Doe, <span class="current-author">Thao Minh Le</span>, and John Roe.');
+  });
+
+  test('publications.html is up to date with data/publications.bib', () => {
+    const html = fs.readFileSync(publicationsFile, 'utf-8');
+
+    // Run `gulp publications` if this fails
+    expect(renderPublicationsPage(html, publications)).toBe(html);
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Tests for the site search index, its ranking and the search UI
+ * Feature: site-search
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const {
+  INDEX_FILE,
+  SEARCH_PAGE,
+  extractDocuments,
+  buildDocuments,
+  renderSearchIndex,
+  renderSearchList
+} = require('../tasks/search-index');
+const { replaceRegion } = require('../tasks/html-regions');
+const SearchEngine = require('../js/search-engine');
+const { openPage, whenLoaded, runNavigation } = require('./helpers/navigation');
+
+const root = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(root, file), 'utf-8');
+const scripts = ['search-engine.js', 'site-search.js'].map(name => read(path.join('js', name)));
+const indexData = JSON.parse(read(INDEX_FILE));
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Search index', () => {
+  test('every publication, news item and card is indexed with a resolvable anchor', () => {
+    ['publications.html', 'news.html', 'awards.html', 'outreach.html', 'teaching.html'].forEach(page => {
+      const { document } = new JSDOM(read(page)).window;
+      const expected = document.querySelectorAll('main .publication-entry, main .news-item, main article.card-custom').length;
+      const docs = indexData.documents.filter(doc => doc.url.split('#')[0] === page);
+
+      expect(docs).toHaveLength(expected);
+      docs.forEach(doc => {
+        expect(doc.title).toBeTruthy();
+        expect(doc.section).toBeTruthy();
+        expect(document.getElementById(doc.url.split('#')[1])).not.toBeNull();
+      });
+    });
+  });
+
+  test('publications link to their own entry', () => {
+    const { document } = new JSDOM(read('publications.html')).window;
+
+    document.querySelectorAll('.publication-entry').forEach(entry => {
+      const doc = indexData.documents.find(d => d.url === `publications.html#${entry.id}`);
+      expect(doc.title).toBe(entry.querySelector('.publication-title').textContent.trim());
+    });
+  });
+
+  test('news items are titled by date and link to their year', () => {
+    const [doc] = extractDocuments(`
+      <main><section aria-labelledby="h"><h2 id="h">Past News</h2>
+        <section id="y2020" class="news-year" aria-labelledby="y2020-heading">
+          <h3 id="y2020-heading">2020 <span class="news-year-count">1 item</span></h3>
+          <ul id="y2020-list"><li class="news-item"><time class="news-date">Jan 5, 2020</time>
+            <div class="news-content">Gave a talk.<ul class="news-tags"><li>Talk</li></ul></div></li></ul>
+        </section></section></main>`, 'news.html');
+
+    expect(doc).toEqual({ url: 'news.html#y2020', title: 'Jan 5, 2020: Gave a talk.', section: 'Past News › 2020', text: 'Gave a talk.' });
+  });
+
+  test(`${INDEX_FILE} and the ${SEARCH_PAGE} listing are up to date`, () => {
+    const documents = buildDocuments();
+
+    expect(read(INDEX_FILE)).toBe(renderSearchIndex(documents));
+    const page = read(SEARCH_PAGE);
+    expect(replaceRegion(page, 'search:all', renderSearchList(documents))).toBe(page);
+  });
+});
+
+describe('Ranking', () => {
+  const index = SearchEngine.createIndex([
+    { url: 'a', title: 'Hierarchical Conditional Relation Networks for Video Question Answering', section: 'Conference', text: 'Thao Minh Le. CVPR 2020.' },
+    { url: 'b', title: 'Dynamic Language Binding', section: 'Journal', text: 'Relation reasoning on videos by Thao Minh Le.' },
+    { url: 'c', title: 'Guest lecture in Hà Nội', section: 'Teaching', text: 'Đại học Bách khoa.' }
+  ]);
+  const urls = query => SearchEngine.search(index, query).map(result => result.doc.url);
+
+  test('title matches outrank text matches', () => {
+    expect(urls('relation')).toEqual(['a', 'b']);
+  });
+
+  test('every word has to match', () => {
+    expect(urls('relation binding')).toEqual(['b']);
+    expect(urls('relation nonsense')).toEqual([]);
+  });
+
+  test('accents and case are ignored', () => {
+    expect(urls('HA NOI')).toEqual(['c']);
+    expect(urls('dai hoc')).toEqual(['c']);
+  });
+
+  test('prefixes and small typos match', () => {
+    expect(urls('hierarch')).toEqual(['a']);
+    expect(urls('qestion')).toEqual(['a']);
+    expect(urls('hierarhcical')).toEqual(['a']);
+    expect(urls('vid')).toEqual(['a', 'b']);
+  });
+
+  test('short words must match exactly or as a prefix', () => {
+    expect(urls('cvp')).toEqual(['a']);
+    expect(urls('cvx')).toEqual([]);
+  });
+
+  test('blank queries match nothing', () => {
+    expect(urls('  ')).toEqual([]);
+  });
+
+  test('edit distance agrees with the bounded definition', () => {
+    fc.assert(
+      fc.property(fc.string({ maxLength: 10 }), fc.string({ maxLength: 10 }), (a, b) => {
+        const exact = SearchEngine.editDistance(a, b, 20);
+        const bounded = SearchEngine.editDistance(a, b, 2);
+        expect(bounded).toBe(Math.min(exact, 3));
+        expect(SearchEngine.editDistance(b, a, 20)).toBe(exact);
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  test('highlighting keeps the original text', () => {
+    fc.assert(
+      fc.property(fc.string(), fc.string({ maxLength: 5 }), (text, query) => {
+        expect(SearchEngine.highlight(text, query).map(part => part.text).join('')).toBe(text);
+        return true;
+      }),
+      { numRuns: 200 }
+    );
+    expect(SearchEngine.highlight('Thao Lê', 'le')).toEqual([
+      { text: 'Thao ', match: false },
+      { text: 'Lê', match: true }
+    ]);
+  });
+});
+
+describe('Search UI', () => {
+  async function loadPage(page, { search = '', fetchOk = true } = {}) {
+    const { window } = openPage(page, { suffix: search });
+    const requests = [];
+
+    window.fetch = url => {
+      requests.push(url);
+      return Promise.resolve(fetchOk
+        ? { ok: true, json: () => Promise.resolve(indexData) }
+        : { ok: false, status: 404 });
+    };
+    runNavigation(window, { exposeGlobal: true });
+    scripts.forEach(script => window.eval(script));
+    await whenLoaded(window);
+    await flush();
+    return { window, requests };
+  }
+
+  async function type(window, text) {
+    const input = window.document.getElementById('site-search-input');
+    input.value = text;
+    input.dispatchEvent(new window.Event('input'));
+    await flush();
+    return input;
+  }
+
+  const key = (window, input, name) => input.dispatchEvent(new window.KeyboardEvent('keydown', { key: name, bubbles: true }));
+
+  test('the navbar form works without JavaScript', () => {
+    const { document } = new JSDOM(read('index.html')).window;
+    const form = document.querySelector('nav form.site-search[role="search"]');
+
+    expect(form.getAttribute('action')).toBe(SEARCH_PAGE);
+    expect(form.querySelector('input').getAttribute('name')).toBe('q');
+    expect(document.querySelector(`label[for="${form.querySelector('input').id}"]`)).not.toBeNull();
+  });
+
+  test('the input becomes a combobox and the index is fetched lazily', async () => {
+    const { window, requests } = await loadPage('index.html');
+    const input = window.document.getElementById('site-search-input');
+
+    expect(input.getAttribute('role')).toBe('combobox');
+    expect(input.getAttribute('aria-expanded')).toBe('false');
+    expect(requests).toEqual([]);
+
+    await type(window, 'video question');
+    await type(window, 'video questions');
+    expect(requests).toEqual(['https://example.org/search-index.json']);
+  });
+
+  test('typing lists ranked suggestions and a link to all results', async () => {
+    const { window } = await loadPage('index.html');
+    const input = await type(window, 'hierarchical conditional');
+    const listbox = window.document.getElementById(input.getAttribute('aria-controls'));
+    const options = listbox.querySelectorAll('[role="option"]');
+    const total = SearchEngine.search(SearchEngine.createIndex(indexData.documents), 'hierarchical conditional').length;
+
+    expect(input.getAttribute('aria-expanded')).toBe('true');
+    expect(listbox.hidden).toBe(false);
+    expect(options[0].querySelector('.site-search-title').textContent).toMatch(/Hierarchical Conditional Relation Networks/);
+    expect(options[0].querySelector('mark')).not.toBeNull();
+    expect(options[options.length - 1].querySelector('a').href).toBe('https://example.org/search.html?q=hierarchical+conditional');
+    expect(options[options.length - 1].textContent).toBe(`See all ${total} results`);
+  });
+
+  test('arrow keys move the active option and Enter follows it', async () => {
+    const { window } = await loadPage('index.html');
+    const input = await type(window, 'relation');
+    const options = window.document.querySelectorAll('#site-search-input-results [role="option"]');
+    const followed = [];
+
+    options[1].querySelector('a').addEventListener('click', e => {
+      e.preventDefault();
+      followed.push(e.target.closest('a').href);
+    });
+
+    key(window, input, 'ArrowDown');
+    expect(input.getAttribute('aria-activedescendant')).toBe(options[0].id);
+    key(window, input, 'ArrowDown');
+    expect(options[1].getAttribute('aria-selected')).toBe('true');
+    key(window, input, 'Enter');
+    expect(followed).toEqual([options[1].querySelector('a').href]);
+
+    key(window, input, 'ArrowUp');
+    key(window, input, 'ArrowUp');
+    expect(input.hasAttribute('aria-activedescendant')).toBe(false);
+    key(window, input, 'ArrowUp');
+    expect(input.getAttribute('aria-activedescendant')).toBe(options[options.length - 1].id);
+  });
+
+  test('Escape closes the suggestions, then clears the box', async () => {
+    const { window } = await loadPage('index.html');
+    const input = await type(window, 'relation');
+
+    key(window, input, 'Escape');
+    expect(input.getAttribute('aria-expanded')).toBe('false');
+    expect(input.value).toBe('relation');
+    key(window, input, 'Escape');
+    expect(input.value).toBe('');
+  });
+
+  test('no matches and a missing index are announced', async () => {
+    const { window } = await loadPage('index.html');
+    await type(window, 'zzzzqqq');
+    expect(window.document.querySelector('.site-search-empty').textContent).toBe('No results for “zzzzqqq”');
+    expect(window.document.querySelector('.site-search-status').textContent).toBe('No results.');
+
+    const broken = await loadPage('index.html', { fetchOk: false });
+    await type(broken.window, 'relation');
+    expect(broken.window.document.querySelector('.site-search-status').textContent).toMatch(/unavailable/);
+  });
+
+  test('search.html shows the ranked results for ?q=', async () => {
+    const { window } = await loadPage(SEARCH_PAGE, { search: '?q=fidgety' });
+    const { document } = window;
+    const results = document.querySelectorAll('#search-page-results .search-result');
+    const expected = SearchEngine.search(SearchEngine.createIndex(indexData.documents), 'fidgety');
+
+    expect(results.length).toBe(expected.length);
+    expect(results.length).toBeGreaterThan(0);
+    expect(results[0].querySelector('a').getAttribute('href')).toBe(`https://example.org/${expected[0].doc.url}`);
+    expect(document.getElementById('search-page-status').textContent).toBe(`${expected.length} result${expected.length === 1 ? '' : 's'} for “fidgety”.`);
+    expect(document.getElementById('search-page-input').value).toBe('fidgety');
+  });
+
+  test('the translated pages have translated suggestions and results', async () => {
+    const { window } = await loadPage('vi/index.html');
+    const input = await type(window, 'hierarchical conditional');
+    const listbox = window.document.getElementById(input.getAttribute('aria-controls'));
+    const total = SearchEngine.search(SearchEngine.createIndex(indexData.documents), 'hierarchical conditional').length;
+
+    expect(listbox.getAttribute('aria-label')).toBe('Gợi ý tìm kiếm');
+    expect(listbox.querySelector('.site-search-all').textContent).toBe(`Xem tất cả ${total} kết quả`);
+    expect(window.document.querySelector('.site-search-status').textContent).toBe(`Có ${total} kết quả.`);
+    await type(window, 'zzzzqqq');
+    expect(window.document.querySelector('.site-search-empty').textContent).toBe('Không có kết quả cho “zzzzqqq”');
+
+    const page = await loadPage(`vi/${SEARCH_PAGE}`, { search: '?q=fidgety' });
+    const found = page.window.document.querySelectorAll('#search-page-results .search-result').length;
+    expect(page.window.document.getElementById('search-page-status').textContent).toBe(`${found} kết quả cho “fidgety”.`);
+  });
+
+  test('search.html without a query leaves the full list alone', async () => {
+    const { window, requests } = await loadPage(SEARCH_PAGE);
+
+    expect(requests).toEqual([]);
+    expect(window.document.querySelectorAll('.search-all-list a')).toHaveLength(indexData.documents.length);
+  });
+});
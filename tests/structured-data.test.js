@@ -0,0 +1,172 @@
+/**
+ * Tests for the schema.org JSON-LD and the markup it describes
+ * Feature: structured-data
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const {
+  renderJsonLd,
+  scholarlyArticleJsonLd,
+  structuredData
+} = require('../tasks/structured-data');
+const { loadGrants, renderGrantsPage } = require('../tasks/grants');
+const { renderSocialLinks } = require('../tasks/profile');
+const { replaceRegion } = require('../tasks/html-regions');
+const { loadSite } = require('../tasks/site');
+
+const root = path.join(__dirname, '..');
+
+function readPage(page) {
+  return fs.readFileSync(path.join(root, page), 'utf-8');
+}
+
+function parsePage(page) {
+  return new JSDOM(readPage(page)).window.document;
+}
+
+// JSON-LD documents embedded in a page
+function jsonLd(document) {
+  return Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+    .map(script => JSON.parse(script.textContent));
+}
+
+const text = (element) => element.textContent.replace(/\s+/g, ' ').trim();
+
+describe('JSON-LD rendering', () => {
+  test('output parses back to the input and cannot close the script early', () => {
+    fc.assert(
+      fc.property(
+        fc.dictionary(fc.string(), fc.oneof(fc.string(), fc.constant('</script><b>x</b>'))),
+        (data) => {
+          const html = renderJsonLd(data);
+          const body = html.slice(html.indexOf('\n') + 1, html.lastIndexOf('\n'));
+
+          expect(body).not.toContain('<');
+          expect(JSON.parse(body)).toEqual(data);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  test('the site owner is linked to the Person node', () => {
+    const site = loadSite();
+    const article = scholarlyArticleJsonLd({
+      title: 'A paper',
+      authors: ['Jane Doe', 'Thao Minh Le'],
+      venue: 'Some Journal',
+      type: 'journal',
+      year: 2024,
+      doi: '10.1000/xyz'
+    }, site);
+
+    expect(article.author[0]['@id']).toBeUndefined();
+    expect(article.author[1]['@id']).toBe(`${site.baseUrl}/#person`);
+    expect(article.isPartOf).toEqual({ '@type': 'Periodical', name: 'Some Journal' });
+    expect(article.sameAs).toBe('https://doi.org/10.1000/xyz');
+  });
+});
+
+describe('Homepage Person', () => {
+  const document = parsePage('index.html');
+  const [person] = jsonLd(document);
+
+  test('has exactly one Person document', () => {
+    expect(jsonLd(document)).toHaveLength(1);
+    expect(person['@type']).toBe('Person');
+  });
+
+  test('email matches the visible contact link', () => {
+    const hrefs = Array.from(document.querySelectorAll('a[href^="mailto:"]')).map(a => a.getAttribute('href'));
+    expect(hrefs).toContain(person.email);
+  });
+
+  test('name and job title match the hero heading', () => {
+    expect(`${person.honorificPrefix} ${person.name}`).toBe(text(document.querySelector('.hero-title')));
+    expect(person.jobTitle).toBe(text(document.querySelector('.hero-subtitle')));
+  });
+
+  test('sameAs lists the external profile links', () => {
+    const external = Array.from(document.querySelectorAll('.social-links-list a'))
+      .map(a => a.getAttribute('href'))
+      .filter(href => /^https?:\/\//.test(href));
+
+    expect(person.sameAs).toEqual(external);
+  });
+});
+
+describe('Publication ScholarlyArticles', () => {
+  const document = parsePage('publications.html');
+  const [data] = jsonLd(document);
+  const entries = Array.from(document.querySelectorAll('.publication-entry'));
+
+  test('one article per visible entry', () => {
+    expect(data['@graph']).toHaveLength(entries.length);
+    data['@graph'].forEach(node => expect(node['@type']).toBe('ScholarlyArticle'));
+  });
+
+  test('titles, authors and years match the visible entries', () => {
+    entries.forEach((entry, index) => {
+      const node = data['@graph'][index];
+
+      expect(node.name).toBe(text(entry.querySelector('.publication-title')));
+      expect(node.author.map(author => author.name))
+        .toEqual(text(entry.querySelector('.publication-authors')).replace(/\.$/, '').split(/, (?:and )?| and /));
+      expect(text(entry.querySelector('.publication-venue')).endsWith(node.datePublished)).toBe(true);
+    });
+  });
+
+  test('linked titles use the same URL', () => {
+    entries.forEach((entry, index) => {
+      const link = entry.querySelector('.publication-title a');
+      if (link) expect(data['@graph'][index].url).toBe(link.getAttribute('href'));
+    });
+  });
+});
+
+describe('Grant MonetaryGrants', () => {
+  const document = parsePage('awards.html');
+  const [data] = jsonLd(document);
+  const cards = Array.from(document.querySelectorAll('section[aria-labelledby="grants-heading"] .card-custom'));
+
+  test('one grant per visible card, with matching title and funder', () => {
+    expect(data['@graph']).toHaveLength(cards.length);
+
+    cards.forEach((card, index) => {
+      const node = data['@graph'][index];
+
+      expect(node['@type']).toBe('MonetaryGrant');
+      expect(node.name).toBe(text(card.querySelector('h3')));
+      expect(text(card)).toContain(node.funder.name);
+      if (node.description) expect(text(card)).toContain(node.description);
+    });
+  });
+
+  test('funders without a website are not rendered as empty links', () => {
+    cards.forEach(card => {
+      card.querySelectorAll('a').forEach(a => expect(a.getAttribute('href')).not.toBe(''));
+    });
+  });
+});
+
+describe('Generated markup is up to date', () => {
+  // Run `gulp html` if any of these fail
+  test.each(Object.entries(structuredData()))('%s JSON-LD', (page, data) => {
+    const html = readPage(page);
+    expect(replaceRegion(html, 'jsonld', renderJsonLd(data))).toBe(html);
+  });
+
+  test('awards.html grant cards', () => {
+    const html = readPage('awards.html');
+    expect(renderGrantsPage(html, loadGrants())).toBe(html);
+  });
+
+  test('index.html profile links', () => {
+    const html = readPage('index.html');
+    expect(replaceRegion(html, 'social-links', renderSocialLinks(loadSite().author.profiles))).toBe(html);
+  });
+});
@@ -6,6 +6,7 @@
 const fc = require('fast-check');
 const fs = require('fs');
 const path = require('path');
+const tokens = require('../js/tokens');
 
 // Helper to extract all elements with a specific class
 function extractElementsByClass(html, className) {
@@ -39,16 +40,19 @@ function htmlContains(html, pattern) {
   return pattern.test(html);
 }
 
-// Helper to extract CSS custom properties from CSS files
-function extractCSSVariables(cssContent) {
+// Custom properties defined in :root, named as in css/variables.css without
+// the leading dashes, from the design tokens that generate that file
+function tokenVariables() {
   const variables = {};
-  const varRegex = /--([\w-]+):\s*([^;]+);/g;
-  let match;
-  
-  while ((match = varRegex.exec(cssContent)) !== null) {
-    variables[match[1]] = match[2].trim();
-  }
-  
+
+  Object.entries(tokens)
+    .filter(([group]) => group !== 'color-dark')
+    .forEach(([group, entries]) => {
+      Object.entries(entries).forEach(([name, value]) => {
+        variables[`${group}-${name}`] = value;
+      });
+    });
+
   return variables;
 }
 
@@ -200,14 +204,7 @@ describe('Property 5: Consistent element styling', () => {
   });
   
   test('CSS custom properties are used for spacing consistency', () => {
-    const variablesFile = path.join(__dirname, '..', 'css', 'variables.css');
-    
-    if (!fs.existsSync(variablesFile)) {
-      throw new Error('variables.css not found');
-    }
-    
-    const cssContent = fs.readFileSync(variablesFile, 'utf-8');
-    const variables = extractCSSVariables(cssContent);
+    const variables = tokenVariables();
     
     // Should have spacing variables defined
     const spacingVars = Object.keys(variables).filter(key => key.startsWith('spacing-'));
@@ -371,14 +368,7 @@ describe('Property 5: Consistent element styling', () => {
   });
   
   test('color scheme is consistent using CSS custom properties', () => {
-    const variablesFile = path.join(__dirname, '..', 'css', 'variables.css');
-    
-    if (!fs.existsSync(variablesFile)) {
-      throw new Error('variables.css not found');
-    }
-    
-    const cssContent = fs.readFileSync(variablesFile, 'utf-8');
-    const variables = extractCSSVariables(cssContent);
+    const variables = tokenVariables();
     
     // Should have color variables defined
     const colorVars = Object.keys(variables).filter(key => key.startsWith('color-'));
@@ -393,14 +383,7 @@ describe('Property 5: Consistent element styling', () => {
   });
   
   test('typography scale is consistent across pages', () => {
-    const variablesFile = path.join(__dirname, '..', 'css', 'variables.css');
-    
-    if (!fs.existsSync(variablesFile)) {
-      throw new Error('variables.css not found');
-    }
-    
-    const cssContent = fs.readFileSync(variablesFile, 'utf-8');
-    const variables = extractCSSVariables(cssContent);
+    const variables = tokenVariables();
     
     // Should have font size variables
     const fontSizeVars = Object.keys(variables).filter(key => key.startsWith('font-size-'));
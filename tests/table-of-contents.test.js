@@ -0,0 +1,134 @@
+/**
+ * Tests for the scrollspy table of contents on long pages
+ * Feature: table-of-contents
+ */
+
+const { JSDOM } = require('jsdom');
+const { read, openPage, whenLoaded, runNavigation } = require('./helpers/navigation');
+
+const TOC_PAGES = ['publications.html', 'resume.html', 'outreach.html'];
+const SIDEBAR_QUERY = '(min-width: 992px)';
+
+// Page with navigation.js, a controllable viewport width and observer
+async function loadPage(page, { wide = true, observer = true } = {}) {
+  const { window, observers, scrolls, setMedia } = openPage(page, { media: { [SIDEBAR_QUERY]: wide }, observer });
+
+  runNavigation(window);
+  await whenLoaded(window);
+
+  // Report sections entering (true) or leaving (false) the highlight band
+  const intersect = changes => {
+    const current = observers[observers.length - 1];
+    current.callback(changes.map(([target, isIntersecting]) => ({ target, isIntersecting })));
+  };
+  const resize = toWide => setMedia(SIDEBAR_QUERY, toWide);
+
+  return { window, document: window.document, observers, scrolls, intersect, resize };
+}
+
+const sectionsOf = document => Array.from(document.querySelectorAll('main section[aria-labelledby]'))
+  .filter(section => !section.parentElement.closest('section[aria-labelledby]'));
+
+describe('Table of contents', () => {
+  test.each(TOC_PAGES)('%s opts in and has labelled sections to list', (page) => {
+    const { document } = new JSDOM(read(page)).window;
+    const sections = sectionsOf(document);
+
+    expect(document.querySelector('main').hasAttribute('data-toc')).toBe(true);
+    expect(sections.length).toBeGreaterThanOrEqual(2);
+    sections.forEach(section => {
+      expect(document.getElementById(section.getAttribute('aria-labelledby'))).not.toBeNull();
+    });
+  });
+
+  test.each(TOC_PAGES)('%s gets one link per section, in order', async (page) => {
+    const { document } = await loadPage(page);
+    const toc = document.querySelector('main > nav.page-toc');
+    const links = Array.from(toc.querySelectorAll('.page-toc-link'));
+    const headings = sectionsOf(document).map(section => document.getElementById(section.getAttribute('aria-labelledby')));
+
+    expect(toc.getAttribute('aria-label')).toBe('On this page');
+    expect(links.map(link => link.getAttribute('href'))).toEqual(headings.map(heading => `#${heading.id}`));
+    expect(links.map(link => link.textContent)).toEqual(headings.map(heading => heading.textContent.replace(/\s+/g, ' ').trim()));
+  });
+
+  test('pages without data-toc are left alone', async () => {
+    const { document } = await loadPage('teaching.html');
+    expect(document.querySelector('.page-toc')).toBeNull();
+  });
+
+  test('the section in view is marked current', async () => {
+    const { document, intersect } = await loadPage('publications.html');
+    const [journal, conference] = sectionsOf(document);
+    const current = () => Array.from(document.querySelectorAll('.page-toc-link[aria-current]'), link => link.getAttribute('href'));
+
+    intersect([[journal, true]]);
+    expect(current()).toEqual(['#journal-heading']);
+
+    // Both in the band: the upper one wins until it scrolls out
+    intersect([[conference, true]]);
+    expect(current()).toEqual(['#journal-heading']);
+    intersect([[journal, false]]);
+    expect(current()).toEqual(['#conference-heading']);
+    expect(document.querySelector('.page-toc-current').textContent).toBe('Conference Proceedings');
+
+    // Between sections the last one stays highlighted
+    intersect([[conference, false]]);
+    expect(current()).toEqual(['#conference-heading']);
+  });
+
+  test('the observed band starts below the fixed navbar', async () => {
+    const { document, observers } = await loadPage('publications.html');
+    // The navbar has an observer of its own
+    const tocObservers = observers.filter(observer => observer.targets.some(target => target.matches('section')));
+
+    expect(tocObservers).toHaveLength(1);
+    expect(tocObservers[0].options.rootMargin).toBe('-0px 0px -60% 0px');
+    expect(tocObservers[0].targets).toEqual(sectionsOf(document));
+  });
+
+  test('wide screens show an open sidebar that does not add to the scroll offset', async () => {
+    const { document, window } = await loadPage('resume.html');
+    const toc = document.querySelector('.page-toc');
+
+    expect(document.querySelector('main').classList.contains('has-toc')).toBe(true);
+    expect(toc.querySelector('details').open).toBe(true);
+    expect(toc.hasAttribute('data-scroll-offset')).toBe(false);
+
+    const summary = toc.querySelector('summary');
+    const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+    summary.dispatchEvent(click);
+    expect(click.defaultPrevented).toBe(true);
+  });
+
+  test('small screens get a closed dropdown that closes again on navigation', async () => {
+    const { document, scrolls, resize } = await loadPage('resume.html', { wide: false });
+    const toc = document.querySelector('.page-toc');
+    const details = toc.querySelector('details');
+
+    expect(details.open).toBe(false);
+    expect(toc.hasAttribute('data-scroll-offset')).toBe(true);
+
+    details.open = true;
+    toc.querySelector('a[href="#awards-heading"]').click();
+    expect(details.open).toBe(false);
+    expect(scrolls).toHaveLength(1);
+
+    resize(true);
+    expect(details.open).toBe(true);
+    expect(toc.hasAttribute('data-scroll-offset')).toBe(false);
+  });
+
+  test('without IntersectionObserver the links still work', async () => {
+    const { document, scrolls } = await loadPage('outreach.html', { observer: false });
+
+    document.querySelector('.page-toc a[href="#professional-heading"]').click();
+    expect(scrolls).toHaveLength(1);
+    expect(document.querySelector('.page-toc-link[aria-current]')).toBeNull();
+  });
+
+  test('the translated pages use the translated label', () => {
+    const { document } = new JSDOM(read('vi/resume.html')).window;
+    expect(document.querySelector('main').getAttribute('data-toc')).toBe('Trên trang này');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for the light/dark theme toggle in the navbar
+ * Feature: dark-theme
+ */
+
+const { JSDOM } = require('jsdom');
+const { PAGES } = require('../tasks/pages');
+const { read, openPage, whenLoaded, runNavigation } = require('./helpers/navigation');
+
+const DARK_SCHEME = '(prefers-color-scheme: dark)';
+
+describe('Theme toggle', () => {
+  async function loadPage({ stored = null, systemDark = false, storage = true } = {}) {
+    const { window, setMedia } = openPage('index.html', { media: { [DARK_SCHEME]: systemDark } });
+
+    if (!storage) {
+      Object.defineProperty(window, 'localStorage', {
+        get() {
+          throw new window.DOMException('denied', 'SecurityError');
+        }
+      });
+    } else if (stored) {
+      window.localStorage.setItem('theme', stored);
+    }
+    // The inline head script runs before anything else, as in the browser
+    window.eval(window.document.querySelector('head script:not([src]):not([type])').textContent);
+    runNavigation(window);
+    await whenLoaded(window);
+    return { window, setMedia, toggle: window.document.querySelector('.theme-toggle') };
+  }
+
+  test.each(PAGES)('%s has the toggle in the navbar, hidden until the script runs', (page) => {
+    const toggle = new JSDOM(read(page)).window.document.querySelector('nav .theme-toggle');
+
+    expect(toggle.getAttribute('type')).toBe('button');
+    expect(toggle.getAttribute('aria-label')).toBeTruthy();
+    expect(toggle.hasAttribute('hidden')).toBe(true);
+  });
+
+  test.each(PAGES)('%s and its translation apply a stored theme before the stylesheets', (page) => {
+    [page, `vi/${page}`].forEach(file => {
+      const { document, Node } = new JSDOM(read(file)).window;
+      const script = document.querySelector('head script:not([src]):not([type])');
+      const stylesheet = document.querySelector('head link[rel="stylesheet"]');
+
+      expect(script.textContent).toContain("localStorage.getItem('theme')");
+      expect(script.compareDocumentPosition(stylesheet) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy();
+    });
+  });
+
+  test('the head script applies valid stored choices only, and survives blocked storage', () => {
+    const applied = stored => {
+      const { window } = openPage('index.html');
+      if (stored === undefined) {
+        Object.defineProperty(window, 'localStorage', {
+          get() {
+            throw new window.DOMException('denied', 'SecurityError');
+          }
+        });
+      } else if (stored) {
+        window.localStorage.setItem('theme', stored);
+      }
+      window.eval(window.document.querySelector('head script:not([src]):not([type])').textContent);
+      return window.document.documentElement.getAttribute('data-theme');
+    };
+
+    expect(applied('dark')).toBe('dark');
+    expect(applied('light')).toBe('light');
+    expect(applied('sepia')).toBeNull();
+    expect(applied(null)).toBeNull();
+    expect(applied(undefined)).toBeNull();
+  });
+
+  test('without a stored choice the system preference is reflected', async () => {
+    const { window, toggle } = await loadPage({ systemDark: true });
+
+    expect(toggle.hidden).toBe(false);
+    expect(toggle.getAttribute('aria-pressed')).toBe('true');
+    expect(window.document.documentElement.hasAttribute('data-theme')).toBe(false);
+  });
+
+  test('clicking switches the theme and remembers it', async () => {
+    const { window, toggle } = await loadPage();
+    const html = window.document.documentElement;
+
+    toggle.click();
+    expect(html.getAttribute('data-theme')).toBe('dark');
+    expect(toggle.getAttribute('aria-pressed')).toBe('true');
+    expect(window.localStorage.getItem('theme')).toBe('dark');
+
+    toggle.click();
+    expect(html.getAttribute('data-theme')).toBe('light');
+    expect(toggle.getAttribute('aria-pressed')).toBe('false');
+    expect(window.localStorage.getItem('theme')).toBe('light');
+  });
+
+  test('a stored choice wins over the system preference', async () => {
+    const { window, toggle } = await loadPage({ stored: 'light', systemDark: true });
+
+    expect(window.document.documentElement.getAttribute('data-theme')).toBe('light');
+    expect(toggle.getAttribute('aria-pressed')).toBe('false');
+  });
+
+  test('invalid stored values are ignored', async () => {
+    const { window } = await loadPage({ stored: 'sepia' });
+    expect(window.document.documentElement.hasAttribute('data-theme')).toBe(false);
+  });
+
+  test('the toggle still works when storage is blocked', async () => {
+    const { window, toggle } = await loadPage({ storage: false });
+
+    toggle.click();
+    expect(window.document.documentElement.getAttribute('data-theme')).toBe('dark');
+  });
+
+  test('system changes update the toggle until a choice is made', async () => {
+    const { setMedia, toggle } = await loadPage();
+
+    setMedia(DARK_SCHEME, true);
+    expect(toggle.getAttribute('aria-pressed')).toBe('true');
+
+    // The reader picks light; the system staying dark no longer matters
+    toggle.click();
+    setMedia(DARK_SCHEME, true);
+    expect(toggle.getAttribute('aria-pressed')).toBe('false');
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for the design tokens and the files generated from them
+ * Feature: design-tokens
+ */
+
+const fc = require('fast-check');
+const fs = require('fs');
+const path = require('path');
+const {
+  CSS_FILE,
+  MODULE_FILE,
+  loadTokens,
+  validateTokens,
+  tokenValues,
+  customMedia,
+  renderVariablesCss,
+  renderTokensModule
+} = require('../tasks/tokens');
+const siteTokens = require('../js/tokens');
+
+const root = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(root, file), 'utf-8');
+
+// Custom properties declared in the first rule for a selector
+function declarations(css, selector) {
+  const start = css.indexOf(`${selector} {`);
+  const body = css.slice(start, css.indexOf('}', start));
+  return Object.fromEntries(Array.from(body.matchAll(/(--[\w-]+):\s*([^;]+);/g), match => [match[1], match[2]]));
+}
+
+describe('Generated files', () => {
+  const tokens = loadTokens();
+
+  test(`${CSS_FILE} and ${MODULE_FILE} are up to date with data/tokens.json`, () => {
+    expect(read(CSS_FILE)).toBe(renderVariablesCss(tokens));
+    expect(read(MODULE_FILE)).toBe(renderTokensModule(tokens));
+  });
+
+  test('the JS module exports the token values', () => {
+    expect(siteTokens).toEqual(tokenValues(tokens));
+  });
+
+  test(':root declares every token except the dark palette', () => {
+    const rootVariables = declarations(read(CSS_FILE), ':root');
+
+    Object.entries(siteTokens).filter(([group]) => group !== 'color-dark').forEach(([group, entries]) => {
+      Object.entries(entries).forEach(([name, value]) => {
+        expect(rootVariables[`--${group}-${name}`]).toBe(value);
+      });
+    });
+  });
+
+  test('the system preference and the toggle apply the same dark palette', () => {
+    const css = read(CSS_FILE);
+    const dark = declarations(css, ':root[data-theme="dark"]');
+
+    expect(declarations(css, ':root:not([data-theme="light"])')).toEqual(dark);
+    Object.entries(siteTokens['color-dark']).forEach(([name, value]) => {
+      expect(dark[`--color-${name}`]).toBe(value);
+    });
+    expect(dark['--bs-body-bg']).toBe(siteTokens['color-dark'].background);
+  });
+
+  test('breakpoints become @custom-media queries', () => {
+    const css = read(CSS_FILE);
+
+    expect(css).toContain('@custom-media --breakpoint-md-up (min-width: 768px);');
+    expect(css).toContain('@custom-media --breakpoint-md-down (max-width: 767.98px);');
+    expect(css.match(/^@custom-media /gm)).toHaveLength(Object.keys(siteTokens.breakpoint).length * 2);
+  });
+});
+
+describe('Token rendering', () => {
+  const minimal = {
+    color: { text: '#111111', surface: { value: '#ffffff', comment: 'Cards' } },
+    spacing: { 4: '1rem' }
+  };
+
+  test('tokens become --group-name properties with comments', () => {
+    const css = renderVariablesCss(minimal);
+
+    expect(css).toContain('  --color-text: #111111;\n');
+    expect(css).toContain('  --color-surface: #ffffff;  /* Cards */\n');
+    expect(css).toContain('  --spacing-4: 1rem;  /* 16px */\n');
+    expect(css).not.toMatch(/data-theme|@custom-media/);
+  });
+
+  test('up and down queries never overlap', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 4000 }), (px) => {
+        const queries = customMedia({ breakpoint: { x: `${px}px` } });
+        const below = parseFloat(queries['--breakpoint-x-down'].match(/[\d.]+/)[0]);
+
+        expect(queries['--breakpoint-x-up']).toBe(`(min-width: ${px}px)`);
+        expect(below).toBeLessThan(px);
+        expect(px - below).toBeLessThan(0.1);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  test('breakpoints must be in px', () => {
+    expect(() => customMedia({ breakpoint: { md: '48em' } })).toThrow(/must be in px/);
+  });
+
+  test('invalid token files are rejected', () => {
+    expect(() => validateTokens({ colour: {} })).toThrow(/Unknown token group "colour"/);
+    expect(() => validateTokens({ color: { text: '' } })).toThrow(/color\.text needs a string value/);
+    expect(() => validateTokens({ color: {}, 'color-dark': { text: '#000000' } })).toThrow(/no light counterpart/);
+  });
+});